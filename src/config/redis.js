@@ -77,6 +77,18 @@ const cache = {
     }
   },
 
+  // Returns true if the key was set, false if it already existed,
+  // null if Redis is unavailable
+  async setIfNotExists(key, value, ttlSeconds = 3600) {
+    if (!redisClient || !redisConnected) return null;
+    try {
+      const result = await redisClient.set(key, JSON.stringify(value), { NX: true, EX: ttlSeconds });
+      return result === 'OK';
+    } catch (error) {
+      return null;
+    }
+  },
+
   async del(key) {
     if (!redisClient || !redisConnected) return false;
     try {
@@ -0,0 +1,97 @@
+// =============================================================================
+// NoverThinker - Object Storage Configuration (S3 / MinIO)
+// =============================================================================
+// Works against AWS S3 or any S3-compatible endpoint. For local development
+// point S3_ENDPOINT at MinIO (e.g. http://localhost:9000) and keep
+// S3_FORCE_PATH_STYLE=true.
+// =============================================================================
+
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { S3Client, PutObjectCommand, HeadObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+
+const bucket = process.env.S3_BUCKET || 'noverthinker-videos';
+const uploadUrlExpiresIn = parseInt(process.env.S3_UPLOAD_URL_EXPIRES) || 900; // 15 minutes
+
+const s3Client = new S3Client({
+  region: process.env.S3_REGION || 'eu-central-1',
+  endpoint: process.env.S3_ENDPOINT || undefined,
+  forcePathStyle: process.env.S3_FORCE_PATH_STYLE
+    ? process.env.S3_FORCE_PATH_STYLE === 'true'
+    : Boolean(process.env.S3_ENDPOINT),
+  credentials: process.env.S3_ACCESS_KEY_ID ? {
+    accessKeyId: process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+  } : undefined
+});
+
+// Upload limits
+const ALLOWED_VIDEO_TYPES = {
+  'video/mp4': '.mp4',
+  'video/quicktime': '.mov',
+  'video/webm': '.webm'
+};
+const MAX_VIDEO_SIZE_BYTES = (parseInt(process.env.VIDEO_MAX_SIZE_MB) || 200) * 1024 * 1024;
+
+// Build a unique object key scoped to the owning player
+const buildObjectKey = (prefix, ownerId, fileName, contentType) => {
+  const ext = ALLOWED_VIDEO_TYPES[contentType] || path.extname(fileName || '').toLowerCase();
+  return `${prefix}/${ownerId}/${uuidv4()}${ext}`;
+};
+
+// Presigned PUT URL the client uploads to directly
+const createUploadUrl = async (key, contentType, contentLength) => {
+  const command = new PutObjectCommand({
+    Bucket: bucket,
+    Key: key,
+    ContentType: contentType,
+    ContentLength: contentLength
+  });
+
+  return getSignedUrl(s3Client, command, { expiresIn: uploadUrlExpiresIn });
+};
+
+// Returns object metadata, or null if the object does not exist
+const headObject = async (key) => {
+  try {
+    const result = await s3Client.send(new HeadObjectCommand({ Bucket: bucket, Key: key }));
+    return {
+      contentType: result.ContentType,
+      contentLength: result.ContentLength
+    };
+  } catch (error) {
+    if (error.name === 'NotFound' || error.$metadata?.httpStatusCode === 404) {
+      return null;
+    }
+    throw error;
+  }
+};
+
+const deleteObject = async (key) => {
+  await s3Client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+};
+
+// Public URL stored on the record (CDN / MinIO host when configured)
+const getPublicUrl = (key) => {
+  if (process.env.S3_PUBLIC_URL) {
+    return `${process.env.S3_PUBLIC_URL.replace(/\/$/, '')}/${key}`;
+  }
+  if (process.env.S3_ENDPOINT) {
+    return `${process.env.S3_ENDPOINT.replace(/\/$/, '')}/${bucket}/${key}`;
+  }
+  return `https://${bucket}.s3.${process.env.S3_REGION || 'eu-central-1'}.amazonaws.com/${key}`;
+};
+
+module.exports = {
+  s3Client,
+  bucket,
+  uploadUrlExpiresIn,
+  ALLOWED_VIDEO_TYPES,
+  MAX_VIDEO_SIZE_BYTES,
+  buildObjectKey,
+  createUploadUrl,
+  headObject,
+  deleteObject,
+  getPublicUrl
+};
@@ -0,0 +1,250 @@
+// =============================================================================
+// NoverThinker - Player Attributes Controller
+// =============================================================================
+// Coaches review derived attribute proposals (accept or override values);
+// every change is kept in player_attribute_history for comparisons over time.
+// =============================================================================
+
+const { pool, query, transaction } = require('../config/database');
+const { cache } = require('../config/redis');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { assertCanManagePlayer } = require('../utils/access');
+const { ATTRIBUTES } = require('../utils/attributeDerivation');
+const {
+  getCurrentAttributes,
+  getPendingProposal,
+  proposeAttributes,
+  applyAttributeChanges
+} = require('../utils/playerAttributes');
+
+const formatAttributes = (row) => {
+  if (!row) return null;
+
+  const attributes = {};
+  ATTRIBUTES.forEach(name => {
+    attributes[name] = row[name];
+  });
+
+  return { ...attributes, updatedBy: row.updated_by, updatedAt: row.updated_at };
+};
+
+const formatProposal = (row) => (row ? {
+  id: row.id,
+  attributes: row.attributes,
+  sample: row.sample,
+  status: row.status,
+  createdAt: row.created_at
+} : null);
+
+// @desc    Get attributes and the pending proposal
+// @route   GET /api/players/:id/attributes
+// @access  Private (Coach of the player, Admin)
+const getPlayerAttributes = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  await assertCanManagePlayer(req.user, id);
+
+  const [current, proposal] = await Promise.all([
+    getCurrentAttributes(pool, id),
+    getPendingProposal(pool, id)
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      playerId: id,
+      attributes: formatAttributes(current),
+      proposal: formatProposal(proposal)
+    }
+  });
+});
+
+// @desc    Derive a fresh proposal from combines and match data
+// @route   POST /api/players/:id/attributes/derive
+// @access  Private (Coach of the player, Admin)
+const derivePlayerAttributes = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  await assertCanManagePlayer(req.user, id);
+
+  const { proposal, created } = await transaction(client => proposeAttributes(client, id));
+
+  let message = 'Derived values match the current attributes';
+  if (proposal) {
+    message = created ? 'Proposal created for coach review' : 'Pending proposal is still up to date';
+  }
+
+  res.status(created ? 201 : 200).json({
+    success: true,
+    message,
+    data: {
+      proposal: formatProposal(proposal)
+    }
+  });
+});
+
+// @desc    Accept proposed values and/or override attributes
+// @route   PUT /api/players/:id/attributes
+// @access  Private (Coach of the player, Admin)
+const updatePlayerAttributes = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { proposalId, accept = [], values = {} } = req.body;
+
+  await assertCanManagePlayer(req.user, id);
+
+  if (accept.length === 0 && Object.keys(values).length === 0) {
+    throw new AppError('Nothing to accept or override', 400, 'NO_CHANGES');
+  }
+
+  const overlap = accept.filter(name => values[name] !== undefined);
+  if (overlap.length > 0) {
+    throw new AppError(`Attributes cannot be both accepted and overridden: ${overlap.join(', ')}`, 400, 'CONFLICTING_CHANGES');
+  }
+
+  const result = await transaction(async (client) => {
+    let proposal = null;
+
+    if (proposalId) {
+      const proposalResult = await client.query(
+        'SELECT * FROM player_attribute_proposals WHERE id = $1 AND player_id = $2 FOR UPDATE',
+        [proposalId, id]
+      );
+      proposal = proposalResult.rows[0];
+
+      if (!proposal) {
+        throw new AppError('Proposal not found', 404, 'PROPOSAL_NOT_FOUND');
+      }
+
+      if (proposal.status !== 'pending') {
+        throw new AppError(`Proposal is already ${proposal.status}`, 409, 'PROPOSAL_NOT_PENDING');
+      }
+
+      const notProposed = accept.filter(name => !proposal.attributes[name]);
+      if (notProposed.length > 0) {
+        throw new AppError(`Not part of the proposal: ${notProposed.join(', ')}`, 400, 'NOT_PROPOSED');
+      }
+    }
+
+    const changes = [
+      ...accept.map(name => ({ attribute: name, value: proposal.attributes[name].value, source: 'accepted' })),
+      ...Object.entries(values).map(([name, value]) => ({ attribute: name, value, source: 'override' }))
+    ];
+
+    const applied = await applyAttributeChanges(client, id, changes, {
+      changedBy: req.user.id,
+      proposalId: proposal ? proposal.id : null
+    });
+
+    // Reviewing a proposal closes it, including the values left untouched
+    if (proposal) {
+      await client.query(
+        `UPDATE player_attribute_proposals
+         SET status = 'reviewed', decisions = $2, reviewed_by = $3, reviewed_at = NOW()
+         WHERE id = $1`,
+        [proposal.id, JSON.stringify({ accepted: accept, overridden: values }), req.user.id]
+      );
+    }
+
+    return applied;
+  });
+
+  await cache.del(`player:${id}`);
+
+  res.json({
+    success: true,
+    message: `${result.changes.length} attribute(s) changed`,
+    data: {
+      attributes: formatAttributes(result.attributes),
+      changes: result.changes
+    }
+  });
+});
+
+// @desc    Attribute changes over time
+// @route   GET /api/players/:id/attributes/history
+// @access  Private (Player: own; Agent, Coach: public players; Admin)
+const getAttributeHistory = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { attribute, from, to } = req.query;
+
+  const playerResult = await query(
+    'SELECT id, profile_visibility FROM player_profiles WHERE id = $1',
+    [id]
+  );
+
+  if (playerResult.rows.length === 0) {
+    throw new AppError('Player not found', 404, 'PLAYER_NOT_FOUND');
+  }
+
+  const isScout = ['agent', 'coach'].includes(req.user.userType);
+
+  if (!(isScout && playerResult.rows[0].profile_visibility === 'public')) {
+    await assertCanManagePlayer(req.user, id);
+  }
+
+  const params = [id];
+  let whereClause = 'WHERE h.player_id = $1';
+
+  if (attribute) {
+    params.push(attribute);
+    whereClause += ` AND h.attribute = $${params.length}`;
+  }
+
+  if (from) {
+    params.push(from);
+    whereClause += ` AND h.created_at >= $${params.length}::date`;
+  }
+
+  if (to) {
+    params.push(to);
+    whereClause += ` AND h.created_at < $${params.length}::date + 1`;
+  }
+
+  const [historyResult, current] = await Promise.all([
+    query(
+      `SELECT h.*, u.first_name, u.last_name
+       FROM player_attribute_history h
+       LEFT JOIN users u ON u.id = h.changed_by
+       ${whereClause}
+       ORDER BY h.created_at`,
+      params
+    ),
+    getCurrentAttributes(pool, id)
+  ]);
+
+  const history = {};
+  (attribute ? [attribute] : ATTRIBUTES).forEach(name => {
+    history[name] = [];
+  });
+
+  historyResult.rows.forEach(row => {
+    history[row.attribute].push({
+      value: row.new_value,
+      previous: row.old_value,
+      source: row.source,
+      proposalId: row.proposal_id,
+      changedBy: row.changed_by ? {
+        id: row.changed_by,
+        firstName: row.first_name,
+        lastName: row.last_name
+      } : null,
+      changedAt: row.created_at
+    });
+  });
+
+  res.json({
+    success: true,
+    data: {
+      playerId: id,
+      current: formatAttributes(current),
+      history
+    }
+  });
+});
+
+module.exports = {
+  getPlayerAttributes,
+  derivePlayerAttributes,
+  updatePlayerAttributes,
+  getAttributeHistory
+};
@@ -7,6 +7,7 @@ const jwt = require('jsonwebtoken');
 const { v4: uuidv4 } = require('uuid');
 const { query, transaction } = require('../config/database');
 const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { calculateAgeGroup } = require('../utils/ageGroup');
 
 // Generate JWT tokens
 const generateTokens = (userId) => {
@@ -25,19 +26,6 @@ const generateTokens = (userId) => {
   return { accessToken, refreshToken };
 };
 
-// Calculate age group from date of birth
-const calculateAgeGroup = (dateOfBirth) => {
-  const today = new Date();
-  const birthDate = new Date(dateOfBirth);
-  const age = today.getFullYear() - birthDate.getFullYear();
-  
-  if (age < 16) return 'U15';
-  if (age < 17) return 'U17';
-  if (age < 18) return 'U17';
-  if (age < 19) return 'U19';
-  return 'U19';
-};
-
 // @desc    Register new user
 // @route   POST /api/auth/register
 // @access  Public
@@ -0,0 +1,167 @@
+// =============================================================================
+// NoverThinker - Clubs Controller
+// =============================================================================
+
+const { query } = require('../config/database');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { buildUpdateSet } = require('../utils/sql');
+
+const CLUB_FIELDS = {
+  name: 'name',
+  shortName: 'short_name',
+  logoUrl: 'logo_url',
+  country: 'country',
+  city: 'city',
+  league: 'league',
+  foundedYear: 'founded_year',
+  website: 'website',
+  isActive: 'is_active'
+};
+
+// @desc    Get clubs
+// @route   GET /api/clubs
+// @access  Public
+const getClubs = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, search, league, city, includeInactive } = req.query;
+
+  const offset = (page - 1) * limit;
+  const params = [];
+  let paramIndex = 1;
+  let whereClause = includeInactive === 'true' ? 'WHERE 1=1' : 'WHERE c.is_active = true';
+
+  if (search) {
+    whereClause += ` AND (c.name ILIKE $${paramIndex} OR c.short_name ILIKE $${paramIndex})`;
+    params.push(`%${search}%`);
+    paramIndex++;
+  }
+
+  if (league) {
+    whereClause += ` AND c.league = $${paramIndex}`;
+    params.push(league);
+    paramIndex++;
+  }
+
+  if (city) {
+    whereClause += ` AND c.city ILIKE $${paramIndex}`;
+    params.push(`%${city}%`);
+    paramIndex++;
+  }
+
+  const countResult = await query(
+    `SELECT COUNT(*) as total FROM clubs c ${whereClause}`,
+    params
+  );
+
+  const total = parseInt(countResult.rows[0].total);
+
+  const clubsResult = await query(
+    `SELECT c.*,
+            (SELECT COUNT(*) FROM teams t WHERE t.club_id = c.id AND t.is_active = true)::int as teams_count
+     FROM clubs c
+     ${whereClause}
+     ORDER BY c.name ASC
+     LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`,
+    [...params, parseInt(limit), offset]
+  );
+
+  res.json({
+    success: true,
+    data: {
+      clubs: clubsResult.rows,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    }
+  });
+});
+
+// @desc    Get single club with its teams
+// @route   GET /api/clubs/:id
+// @access  Public
+const getClub = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const clubResult = await query('SELECT * FROM clubs WHERE id = $1', [id]);
+
+  if (clubResult.rows.length === 0) {
+    throw new AppError('Club not found', 404, 'CLUB_NOT_FOUND');
+  }
+
+  const teamsResult = await query(
+    `SELECT t.id, t.name, t.age_group, t.season, t.logo_url, t.is_active,
+            (SELECT COUNT(*) FROM team_players tp WHERE tp.team_id = t.id AND tp.is_active = true)::int as players_count
+     FROM teams t
+     WHERE t.club_id = $1
+     ORDER BY t.season DESC, t.age_group ASC`,
+    [id]
+  );
+
+  res.json({
+    success: true,
+    data: {
+      club: clubResult.rows[0],
+      teams: teamsResult.rows
+    }
+  });
+});
+
+// @desc    Create club
+// @route   POST /api/clubs
+// @access  Private (Admin)
+const createClub = asyncHandler(async (req, res) => {
+  const { name, shortName, logoUrl, country, city, league, foundedYear, website } = req.body;
+
+  const result = await query(
+    `INSERT INTO clubs (name, short_name, logo_url, country, city, league, founded_year, website)
+     VALUES ($1, $2, $3, COALESCE($4, 'Germany'), $5, $6, $7, $8)
+     RETURNING *`,
+    [name, shortName, logoUrl, country, city, league, foundedYear, website]
+  );
+
+  res.status(201).json({
+    success: true,
+    data: {
+      club: result.rows[0]
+    }
+  });
+});
+
+// @desc    Update club
+// @route   PUT /api/clubs/:id
+// @access  Private (Admin)
+const updateClub = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { setClause, values } = buildUpdateSet(req.body, CLUB_FIELDS, 2);
+
+  if (!setClause) {
+    throw new AppError('No updatable fields provided', 400, 'NO_CHANGES');
+  }
+
+  const result = await query(
+    `UPDATE clubs SET ${setClause}, updated_at = NOW()
+     WHERE id = $1
+     RETURNING *`,
+    [id, ...values]
+  );
+
+  if (result.rows.length === 0) {
+    throw new AppError('Club not found', 404, 'CLUB_NOT_FOUND');
+  }
+
+  res.json({
+    success: true,
+    data: {
+      club: result.rows[0]
+    }
+  });
+});
+
+module.exports = {
+  getClubs,
+  getClub,
+  createClub,
+  updateClub
+};
@@ -0,0 +1,514 @@
+// =============================================================================
+// NoverThinker - Combines Controller
+// =============================================================================
+// Physical test sessions for a team. Results are entered in bulk (one row per
+// player, any subset of tests) while the combine is scheduled or in progress
+// and get age-normalised percentiles on save; completing it emits
+// personal-best pulse events and refreshes NovaScores and attribute proposals.
+// =============================================================================
+
+const { pool, query, transaction } = require('../config/database');
+const { cache } = require('../config/redis');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { assertCanManageTeam, isTeamCoach } = require('../utils/access');
+const { buildUpdateSet } = require('../utils/sql');
+const {
+  COMBINE_TESTS,
+  validateResultRow,
+  upsertResult,
+  findPersonalBests
+} = require('../utils/combineResults');
+const { recalculateResultPercentiles } = require('../utils/combinePercentiles');
+const { recalculateNovaScore } = require('../utils/novaScoreStore');
+const { proposeAttributes } = require('../utils/playerAttributes');
+
+const COMBINE_FIELDS = {
+  name: 'name',
+  description: 'description',
+  combineDate: 'combine_date',
+  location: 'location'
+};
+
+// Allowed status transitions
+const STATUS_TRANSITIONS = {
+  scheduled: ['in_progress', 'cancelled'],
+  in_progress: ['completed', 'cancelled'],
+  completed: [],
+  cancelled: []
+};
+
+const getCombineOrThrow = async (db, combineId, forUpdate = false) => {
+  const result = await db.query(
+    `SELECT * FROM combines WHERE id = $1 ${forUpdate ? 'FOR UPDATE' : ''}`,
+    [combineId]
+  );
+
+  if (result.rows.length === 0) {
+    throw new AppError('Combine not found', 404, 'COMBINE_NOT_FOUND');
+  }
+
+  return result.rows[0];
+};
+
+const assertOpenForResults = (combine) => {
+  if (!['scheduled', 'in_progress'].includes(combine.status)) {
+    throw new AppError(`Results cannot be changed once a combine is ${combine.status}`, 409, 'COMBINE_CLOSED');
+  }
+};
+
+const getResultRows = async (db, combineId) => {
+  const result = await db.query(
+    `SELECT cr.*, u.first_name, u.last_name, u.avatar_url,
+            pp.primary_position, tp.jersey_number
+     FROM combine_results cr
+     JOIN combines c ON c.id = cr.combine_id
+     JOIN player_profiles pp ON pp.id = cr.player_id
+     JOIN users u ON u.id = pp.user_id
+     LEFT JOIN team_players tp ON tp.team_id = c.team_id AND tp.player_id = cr.player_id AND tp.is_active = true
+     WHERE cr.combine_id = $1
+     ORDER BY u.last_name, u.first_name`,
+    [combineId]
+  );
+
+  return result.rows;
+};
+
+// Coach notes are for the team's coaches and admins only
+const canSeeNotes = async (user, combine) =>
+  user.userType === 'admin' || (combine.team_id && await isTeamCoach(user.id, combine.team_id));
+
+// @desc    Get combines
+// @route   GET /api/combines
+// @access  Private
+const getCombines = asyncHandler(async (req, res) => {
+  const {
+    page = 1,
+    limit = 20,
+    teamId,
+    status,
+    from,
+    to,
+    mine,
+    sortOrder = 'DESC'
+  } = req.query;
+
+  const offset = (page - 1) * limit;
+  const params = [];
+  let paramIndex = 1;
+  let whereClause = 'WHERE 1=1';
+
+  if (teamId) {
+    whereClause += ` AND c.team_id = $${paramIndex}`;
+    params.push(teamId);
+    paramIndex++;
+  }
+
+  // Teams the current coach runs
+  if (mine === 'true') {
+    whereClause += ` AND (t.head_coach_id = $${paramIndex} OR t.assistant_coach_id = $${paramIndex})`;
+    params.push(req.user.id);
+    paramIndex++;
+  }
+
+  if (status) {
+    whereClause += ` AND c.status = $${paramIndex}`;
+    params.push(status);
+    paramIndex++;
+  }
+
+  if (from) {
+    whereClause += ` AND c.combine_date >= $${paramIndex}`;
+    params.push(from);
+    paramIndex++;
+  }
+
+  if (to) {
+    whereClause += ` AND c.combine_date <= $${paramIndex}`;
+    params.push(to);
+    paramIndex++;
+  }
+
+  const order = sortOrder.toUpperCase() === 'ASC' ? 'ASC' : 'DESC';
+
+  const countResult = await query(
+    `SELECT COUNT(*) as total
+     FROM combines c
+     LEFT JOIN teams t ON t.id = c.team_id
+     ${whereClause}`,
+    params
+  );
+
+  const total = parseInt(countResult.rows[0].total);
+
+  const combinesResult = await query(
+    `SELECT c.*, t.name as team_name, t.age_group, t.season,
+            cl.name as club_name, cl.logo_url as club_logo,
+            (SELECT COUNT(*)::int FROM combine_results cr WHERE cr.combine_id = c.id) as result_count
+     FROM combines c
+     LEFT JOIN teams t ON t.id = c.team_id
+     LEFT JOIN clubs cl ON cl.id = t.club_id
+     ${whereClause}
+     ORDER BY c.combine_date ${order}
+     LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`,
+    [...params, parseInt(limit), offset]
+  );
+
+  res.json({
+    success: true,
+    data: {
+      combines: combinesResult.rows,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    }
+  });
+});
+
+// @desc    Get single combine with results
+// @route   GET /api/combines/:id
+// @access  Private (coach notes: team coaches and admins only)
+const getCombine = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const combineResult = await query(
+    `SELECT c.*, t.name as team_name, t.age_group, t.season,
+            cl.id as club_id, cl.name as club_name, cl.logo_url as club_logo,
+            u.first_name as conducted_by_first_name, u.last_name as conducted_by_last_name
+     FROM combines c
+     LEFT JOIN teams t ON t.id = c.team_id
+     LEFT JOIN clubs cl ON cl.id = t.club_id
+     LEFT JOIN users u ON u.id = c.conducted_by
+     WHERE c.id = $1`,
+    [id]
+  );
+
+  if (combineResult.rows.length === 0) {
+    throw new AppError('Combine not found', 404, 'COMBINE_NOT_FOUND');
+  }
+
+  const combine = combineResult.rows[0];
+  const rows = await getResultRows(pool, id);
+  const results = await canSeeNotes(req.user, combine)
+    ? rows
+    : rows.map(({ notes, ...row }) => row);
+
+  res.json({
+    success: true,
+    data: {
+      combine,
+      results
+    }
+  });
+});
+
+// @desc    Schedule a combine
+// @route   POST /api/combines
+// @access  Private (Coach, Admin)
+const createCombine = asyncHandler(async (req, res) => {
+  const { teamId, name, description, combineDate, location } = req.body;
+
+  await assertCanManageTeam(req.user, teamId);
+
+  const result = await query(
+    `INSERT INTO combines
+     (team_id, name, description, combine_date, location, conducted_by, status)
+     VALUES ($1, $2, $3, $4, $5, $6, 'scheduled')
+     RETURNING *`,
+    [teamId, name, description, combineDate, location, req.user.id]
+  );
+
+  res.status(201).json({
+    success: true,
+    data: {
+      combine: result.rows[0]
+    }
+  });
+});
+
+// @desc    Update combine details
+// @route   PUT /api/combines/:id
+// @access  Private (Coach, Admin)
+const updateCombine = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const combine = await getCombineOrThrow(pool, id);
+
+  await assertCanManageTeam(req.user, combine.team_id);
+
+  if (['completed', 'cancelled'].includes(combine.status)) {
+    throw new AppError(`A ${combine.status} combine cannot be edited`, 409, 'COMBINE_CLOSED');
+  }
+
+  const { setClause, values } = buildUpdateSet(req.body, COMBINE_FIELDS, 2);
+
+  if (!setClause) {
+    throw new AppError('No updatable fields provided', 400, 'NO_CHANGES');
+  }
+
+  const result = await query(
+    `UPDATE combines SET ${setClause}, updated_at = NOW()
+     WHERE id = $1
+     RETURNING *`,
+    [id, ...values]
+  );
+
+  // A new date can move players into another age group's norms
+  if (req.body.combineDate !== undefined) {
+    await recalculateResultPercentiles(pool, { combineId: id });
+  }
+
+  res.json({
+    success: true,
+    data: {
+      combine: result.rows[0]
+    }
+  });
+});
+
+// @desc    Change combine status (scheduled -> in_progress -> completed / cancelled)
+// @route   PATCH /api/combines/:id/status
+// @access  Private (Coach, Admin)
+const updateCombineStatus = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { status } = req.body;
+
+  const current = await getCombineOrThrow(pool, id);
+  await assertCanManageTeam(req.user, current.team_id);
+
+  const { combine, personalBests, playerIds } = await transaction(async (client) => {
+    const locked = await getCombineOrThrow(client, id, true);
+
+    if (!STATUS_TRANSITIONS[locked.status].includes(status)) {
+      throw new AppError(
+        `Cannot change status from ${locked.status} to ${status}`,
+        409,
+        'INVALID_STATUS_TRANSITION'
+      );
+    }
+
+    const updated = await client.query(
+      `UPDATE combines SET status = $2, updated_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [id, status]
+    );
+
+    if (status !== 'completed') {
+      return { combine: updated.rows[0], personalBests: [], playerIds: [] };
+    }
+
+    const resultsResult = await client.query(
+      'SELECT player_id FROM combine_results WHERE combine_id = $1',
+      [id]
+    );
+
+    if (resultsResult.rows.length === 0) {
+      throw new AppError('Enter at least one result before completing the combine', 409, 'NO_RESULTS');
+    }
+
+    const bests = await findPersonalBests(client, locked);
+
+    for (const { playerId, resultId, records } of bests) {
+      const summary = records
+        .map(r => `${r.label}: ${r.value}${r.unit === 'level' ? '' : r.unit} (was ${r.previousBest}${r.unit === 'level' ? '' : r.unit})`)
+        .join(', ');
+
+      await client.query(
+        `INSERT INTO pulse_feed_events (player_id, event_type, title, description, data, importance)
+         VALUES ($1, 'combine_result', $2, $3, $4, $5)`,
+        [
+          playerId,
+          records.length > 1 ? `${records.length} new personal bests` : 'New personal best',
+          summary,
+          JSON.stringify({
+            combineId: id,
+            combineName: locked.name,
+            combineDate: locked.combine_date,
+            resultId,
+            personalBests: records
+          }),
+          records.length > 1 ? 'high' : 'normal'
+        ]
+      );
+    }
+
+    // The physical component and the pace / physical proposals read
+    // completed combine results
+    const ids = resultsResult.rows.map(r => r.player_id);
+    for (const playerId of ids) {
+      await recalculateNovaScore(client, playerId);
+      await proposeAttributes(client, playerId);
+    }
+
+    return { combine: updated.rows[0], personalBests: bests, playerIds: ids };
+  });
+
+  await Promise.all(playerIds.map(playerId => cache.del(`player:${playerId}`)));
+
+  res.json({
+    success: true,
+    data: {
+      combine,
+      personalBests
+    }
+  });
+});
+
+// @desc    Enter results for the squad (bulk upsert, partial rows allowed)
+// @route   PUT /api/combines/:id/results
+// @access  Private (Coach, Admin)
+const saveCombineResults = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { results } = req.body;
+
+  const current = await getCombineOrThrow(pool, id);
+  await assertCanManageTeam(req.user, current.team_id);
+
+  const saved = await transaction(async (client) => {
+    const combine = await getCombineOrThrow(client, id, true);
+    assertOpenForResults(combine);
+
+    // Validate every row before writing anything
+    const details = [];
+    const rows = [];
+    const seen = new Set();
+
+    results.forEach((row, index) => {
+      const prefix = `results[${index}].`;
+      const { result, errors } = validateResultRow(row, prefix);
+      details.push(...errors);
+
+      if (!result) return;
+
+      if (seen.has(result.playerId)) {
+        details.push({ field: `${prefix}playerId`, location: 'body', message: 'Player appears more than once' });
+        return;
+      }
+      seen.add(result.playerId);
+      rows.push({ index, result });
+    });
+
+    // Players must be on the roster (now, or on the combine day)
+    if (rows.length > 0) {
+      const rosterResult = await client.query(
+        `SELECT DISTINCT player_id
+         FROM team_players
+         WHERE team_id = $1 AND player_id = ANY($2::uuid[])
+           AND (is_active = true
+                OR (COALESCE(joined_date, '-infinity'::date) <= $3::date
+                    AND (left_date IS NULL OR left_date >= $3::date)))`,
+        [combine.team_id, rows.map(r => r.result.playerId), combine.combine_date]
+      );
+      const rosterIds = new Set(rosterResult.rows.map(r => r.player_id));
+
+      rows.forEach(({ index, result }) => {
+        if (!rosterIds.has(result.playerId)) {
+          details.push({
+            field: `results[${index}].playerId`,
+            location: 'body',
+            message: 'Player is not on this team\'s roster'
+          });
+        }
+      });
+    }
+
+    if (details.length > 0) {
+      throw new AppError('Validation failed', 400, 'VALIDATION_ERROR', details);
+    }
+
+    for (const { result } of rows) {
+      await upsertResult(client, id, result);
+    }
+
+    await recalculateResultPercentiles(client, { combineId: id });
+
+    // First results mean testing has started
+    if (combine.status === 'scheduled') {
+      await client.query(
+        `UPDATE combines SET status = 'in_progress', updated_at = NOW() WHERE id = $1`,
+        [id]
+      );
+    }
+
+    return getResultRows(client, id);
+  });
+
+  res.json({
+    success: true,
+    message: `${results.length} result(s) saved`,
+    data: {
+      results: saved
+    }
+  });
+});
+
+// Standard competition ranking (1, 2, 2, 4) on one test
+const rankTest = (rows, test) => {
+  const entries = rows
+    .filter(row => row[test.column] !== null)
+    .map(row => ({
+      playerId: row.player_id,
+      firstName: row.first_name,
+      lastName: row.last_name,
+      avatarUrl: row.avatar_url,
+      primaryPosition: row.primary_position,
+      jerseyNumber: row.jersey_number,
+      value: parseFloat(row[test.column])
+    }))
+    .sort((a, b) => (test.lowerIsBetter ? a.value - b.value : b.value - a.value));
+
+  entries.forEach((entry, i) => {
+    entry.rank = i > 0 && entry.value === entries[i - 1].value ? entries[i - 1].rank : i + 1;
+  });
+
+  return entries;
+};
+
+// @desc    Session leaderboard, per test
+// @route   GET /api/combines/:id/leaderboard
+// @access  Private
+const getCombineLeaderboard = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { test } = req.query;
+
+  const combine = await getCombineOrThrow(pool, id);
+  const rows = await getResultRows(pool, id);
+
+  const tests = test ? { [test]: COMBINE_TESTS[test] } : COMBINE_TESTS;
+  const leaderboards = {};
+
+  Object.entries(tests).forEach(([key, definition]) => {
+    leaderboards[key] = {
+      label: definition.label,
+      unit: definition.unit,
+      lowerIsBetter: definition.lowerIsBetter,
+      entries: rankTest(rows, definition)
+    };
+  });
+
+  res.json({
+    success: true,
+    data: {
+      combine: {
+        id: combine.id,
+        name: combine.name,
+        combineDate: combine.combine_date,
+        status: combine.status
+      },
+      participants: rows.length,
+      leaderboards
+    }
+  });
+});
+
+module.exports = {
+  getCombines,
+  getCombine,
+  createCombine,
+  updateCombine,
+  updateCombineStatus,
+  saveCombineResults,
+  getCombineLeaderboard
+};
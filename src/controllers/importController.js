@@ -0,0 +1,72 @@
+// =============================================================================
+// NoverThinker - Import Controller
+// =============================================================================
+
+const { transaction } = require('../config/database');
+const { cache } = require('../config/redis');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { assertCanManageTeam } = require('../utils/access');
+const { planImport, applyImport, formatPlan } = require('../utils/matchImport');
+
+const fileText = (req, field) => {
+  const file = req.files && req.files[field] && req.files[field][0];
+  return file ? file.buffer.toString('utf8') : req.body[field];
+};
+
+// @desc    Import fixtures and stat sheets from CSV (?dryRun=true to preview)
+// @route   POST /api/teams/:id/import
+// @access  Private (Coach, Admin)
+const importTeamMatches = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const dryRun = req.query.dryRun === 'true';
+  const matchesCsv = fileText(req, 'matches');
+  const performancesCsv = fileText(req, 'performances');
+
+  if (!matchesCsv && !performancesCsv) {
+    throw new AppError('Upload a matches and/or performances CSV file', 400, 'NO_FILES');
+  }
+
+  await assertCanManageTeam(req.user, id);
+
+  // Plan and apply in one transaction - any failure leaves nothing behind
+  const { plan, applied } = await transaction(async (client) => {
+    const plan = await planImport(client, { teamId: id, matchesCsv, performancesCsv });
+
+    if (dryRun) {
+      return { plan, applied: null };
+    }
+
+    if (plan.details.length > 0) {
+      throw new AppError('Import has invalid rows', 400, 'VALIDATION_ERROR', plan.details);
+    }
+
+    return { plan, applied: await applyImport(client, plan, req.user.id) };
+  });
+
+  if (dryRun) {
+    return res.json({
+      success: true,
+      data: {
+        dryRun: true,
+        valid: plan.details.length === 0,
+        details: plan.details,
+        ...formatPlan(plan)
+      }
+    });
+  }
+
+  await Promise.all(applied.playerIds.map(playerId => cache.del(`player:${playerId}`)));
+
+  res.status(201).json({
+    success: true,
+    message: `Imported ${plan.summary.matchesToCreate} match(es) and ${plan.summary.performancesToSave} performance(s)`,
+    data: {
+      summary: plan.summary,
+      matchIds: applied.matchIds
+    }
+  });
+});
+
+module.exports = {
+  importTeamMatches
+};
@@ -0,0 +1,336 @@
+// =============================================================================
+// NoverThinker - Matches Controller
+// =============================================================================
+
+const { query } = require('../config/database');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { assertCanManageTeam } = require('../utils/access');
+const { buildUpdateSet } = require('../utils/sql');
+const { parseSeason } = require('../utils/ageGroup');
+const { deriveResult } = require('../utils/matchResult');
+
+const MATCH_FIELDS = {
+  opponentName: 'opponent_name',
+  opponentLogoUrl: 'opponent_logo_url',
+  matchType: 'match_type',
+  competitionName: 'competition_name',
+  matchDate: 'match_date',
+  venue: 'venue',
+  isHome: 'is_home',
+  notes: 'notes'
+};
+
+// Allowed status transitions
+const STATUS_TRANSITIONS = {
+  scheduled: ['in_progress', 'cancelled'],
+  in_progress: ['completed', 'cancelled'],
+  completed: [],
+  cancelled: []
+};
+
+const toScore = (value) => (value === undefined || value === null ? null : parseInt(value));
+
+const getMatchOrThrow = async (matchId) => {
+  const result = await query('SELECT * FROM matches WHERE id = $1', [matchId]);
+
+  if (result.rows.length === 0) {
+    throw new AppError('Match not found', 404, 'MATCH_NOT_FOUND');
+  }
+
+  return result.rows[0];
+};
+
+// @desc    Get matches
+// @route   GET /api/matches
+// @access  Private
+const getMatches = asyncHandler(async (req, res) => {
+  const {
+    page = 1,
+    limit = 20,
+    teamId,
+    status,
+    matchType,
+    from,
+    to,
+    season,
+    mine,
+    sortOrder = 'DESC'
+  } = req.query;
+
+  const offset = (page - 1) * limit;
+  const params = [];
+  let paramIndex = 1;
+  let whereClause = 'WHERE 1=1';
+
+  if (teamId) {
+    whereClause += ` AND m.team_id = $${paramIndex}`;
+    params.push(teamId);
+    paramIndex++;
+  }
+
+  // Teams the current coach runs
+  if (mine === 'true') {
+    whereClause += ` AND (t.head_coach_id = $${paramIndex} OR t.assistant_coach_id = $${paramIndex})`;
+    params.push(req.user.id);
+    paramIndex++;
+  }
+
+  if (status) {
+    whereClause += ` AND m.status = $${paramIndex}`;
+    params.push(status);
+    paramIndex++;
+  }
+
+  if (matchType) {
+    whereClause += ` AND m.match_type = $${paramIndex}`;
+    params.push(matchType);
+    paramIndex++;
+  }
+
+  // Season "2025-2026" covers 1 July 2025 - 30 June 2026
+  if (season) {
+    const { startYear, endYear } = parseSeason(season);
+    whereClause += ` AND m.match_date >= $${paramIndex} AND m.match_date < $${paramIndex + 1}`;
+    params.push(`${startYear}-07-01`, `${endYear}-07-01`);
+    paramIndex += 2;
+  }
+
+  if (from) {
+    whereClause += ` AND m.match_date >= $${paramIndex}`;
+    params.push(from);
+    paramIndex++;
+  }
+
+  if (to) {
+    whereClause += ` AND m.match_date <= $${paramIndex}`;
+    params.push(to);
+    paramIndex++;
+  }
+
+  const order = sortOrder.toUpperCase() === 'ASC' ? 'ASC' : 'DESC';
+
+  const countResult = await query(
+    `SELECT COUNT(*) as total
+     FROM matches m
+     JOIN teams t ON t.id = m.team_id
+     ${whereClause}`,
+    params
+  );
+
+  const total = parseInt(countResult.rows[0].total);
+
+  const matchesResult = await query(
+    `SELECT m.*, t.name as team_name, t.age_group, t.season,
+            c.name as club_name, c.logo_url as club_logo
+     FROM matches m
+     JOIN teams t ON t.id = m.team_id
+     LEFT JOIN clubs c ON c.id = t.club_id
+     ${whereClause}
+     ORDER BY m.match_date ${order}
+     LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`,
+    [...params, parseInt(limit), offset]
+  );
+
+  res.json({
+    success: true,
+    data: {
+      matches: matchesResult.rows,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    }
+  });
+});
+
+// @desc    Get single match
+// @route   GET /api/matches/:id
+// @access  Private
+const getMatch = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const matchResult = await query(
+    `SELECT m.*, t.name as team_name, t.age_group, t.season,
+            c.id as club_id, c.name as club_name, c.logo_url as club_logo
+     FROM matches m
+     JOIN teams t ON t.id = m.team_id
+     LEFT JOIN clubs c ON c.id = t.club_id
+     WHERE m.id = $1`,
+    [id]
+  );
+
+  if (matchResult.rows.length === 0) {
+    throw new AppError('Match not found', 404, 'MATCH_NOT_FOUND');
+  }
+
+  res.json({
+    success: true,
+    data: {
+      match: matchResult.rows[0]
+    }
+  });
+});
+
+// @desc    Schedule a match
+// @route   POST /api/matches
+// @access  Private (Coach, Admin)
+const createMatch = asyncHandler(async (req, res) => {
+  const {
+    teamId,
+    opponentName,
+    opponentLogoUrl,
+    matchType = 'league',
+    competitionName,
+    matchDate,
+    venue,
+    isHome = true,
+    notes
+  } = req.body;
+
+  await assertCanManageTeam(req.user, teamId);
+
+  const result = await query(
+    `INSERT INTO matches
+     (team_id, opponent_name, opponent_logo_url, match_type, competition_name,
+      match_date, venue, is_home, notes, status, created_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, 'scheduled', $10)
+     RETURNING *`,
+    [teamId, opponentName, opponentLogoUrl, matchType, competitionName,
+     matchDate, venue, isHome, notes, req.user.id]
+  );
+
+  res.status(201).json({
+    success: true,
+    data: {
+      match: result.rows[0]
+    }
+  });
+});
+
+// @desc    Update match details
+// @route   PUT /api/matches/:id
+// @access  Private (Coach, Admin)
+const updateMatch = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const match = await getMatchOrThrow(id);
+
+  await assertCanManageTeam(req.user, match.team_id);
+
+  if (match.status === 'cancelled') {
+    throw new AppError('Cancelled matches cannot be edited', 409, 'MATCH_CANCELLED');
+  }
+
+  const { setClause, values } = buildUpdateSet(req.body, MATCH_FIELDS, 2);
+
+  if (!setClause) {
+    throw new AppError('No updatable fields provided', 400, 'NO_CHANGES');
+  }
+
+  const result = await query(
+    `UPDATE matches SET ${setClause}
+     WHERE id = $1
+     RETURNING *`,
+    [id, ...values]
+  );
+
+  res.json({
+    success: true,
+    data: {
+      match: result.rows[0]
+    }
+  });
+});
+
+// @desc    Change match status (scheduled -> in_progress -> completed / cancelled)
+// @route   PATCH /api/matches/:id/status
+// @access  Private (Coach, Admin)
+const updateMatchStatus = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { status } = req.body;
+  const match = await getMatchOrThrow(id);
+
+  await assertCanManageTeam(req.user, match.team_id);
+
+  if (!STATUS_TRANSITIONS[match.status].includes(status)) {
+    throw new AppError(
+      `Cannot change status from ${match.status} to ${status}`,
+      409,
+      'INVALID_STATUS_TRANSITION'
+    );
+  }
+
+  // Kick-off starts the score at 0-0 unless one is given
+  const defaultScore = status === 'in_progress' ? 0 : null;
+  const teamScore = toScore(req.body.teamScore) ?? match.team_score ?? defaultScore;
+  const opponentScore = toScore(req.body.opponentScore) ?? match.opponent_score ?? defaultScore;
+
+  if (status === 'completed' && (teamScore === null || opponentScore === null)) {
+    throw new AppError('Final score is required to complete a match', 400, 'SCORE_REQUIRED');
+  }
+
+  const result = await query(
+    `UPDATE matches SET status = $2, team_score = $3, opponent_score = $4, result = $5
+     WHERE id = $1
+     RETURNING *`,
+    [
+      id,
+      status,
+      status === 'cancelled' ? match.team_score : teamScore,
+      status === 'cancelled' ? match.opponent_score : opponentScore,
+      status === 'completed' ? deriveResult(teamScore, opponentScore) : null
+    ]
+  );
+
+  res.json({
+    success: true,
+    data: {
+      match: result.rows[0]
+    }
+  });
+});
+
+// @desc    Update live / final score
+// @route   PATCH /api/matches/:id/score
+// @access  Private (Coach, Admin)
+const updateMatchScore = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const teamScore = toScore(req.body.teamScore);
+  const opponentScore = toScore(req.body.opponentScore);
+  const match = await getMatchOrThrow(id);
+
+  await assertCanManageTeam(req.user, match.team_id);
+
+  if (!['in_progress', 'completed'].includes(match.status)) {
+    throw new AppError('Scores can only be set once the match has started', 409, 'MATCH_NOT_STARTED');
+  }
+
+  const result = await query(
+    `UPDATE matches SET team_score = $2, opponent_score = $3, result = $4
+     WHERE id = $1
+     RETURNING *`,
+    [
+      id,
+      teamScore,
+      opponentScore,
+      match.status === 'completed' ? deriveResult(teamScore, opponentScore) : null
+    ]
+  );
+
+  res.json({
+    success: true,
+    data: {
+      match: result.rows[0]
+    }
+  });
+});
+
+module.exports = {
+  getMatches,
+  getMatch,
+  createMatch,
+  updateMatch,
+  updateMatchStatus,
+  updateMatchScore
+};
@@ -0,0 +1,266 @@
+// =============================================================================
+// NoverThinker - NovaScore Controller
+// =============================================================================
+
+const { pool, query } = require('../config/database');
+const { cache } = require('../config/redis');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { assertCanManagePlayer } = require('../utils/access');
+const { COMPONENTS, getWeightsConfig, calculateNovaScore } = require('../utils/novaScore');
+const { loadNovaScoreInputs } = require('../utils/novaScoreStore');
+
+// Bucket size -> moving average windows (in buckets) and the lead-in needed
+// so the first bucket's averages are not cut short
+const HISTORY_INTERVALS = {
+  day: { shortWindow: 7, longWindow: 30, leadIn: '30 days' },
+  week: { shortWindow: 4, longWindow: 12, leadIn: '12 weeks' },
+  month: { shortWindow: 3, longWindow: 6, leadIn: '6 months' }
+};
+
+// Above this many days, daily buckets are refused; without an interval the
+// bucket size is picked from the range length
+const MAX_DAY_BUCKETS = 731;
+const AUTO_WEEK_AFTER_DAYS = 180;
+const AUTO_MONTH_AFTER_DAYS = 1095;
+
+const HISTORY_SCORES = {
+  novaScore: 'nova_score',
+  matchScore: 'match_score',
+  taskScore: 'task_score',
+  videoScore: 'video_score',
+  physicalScore: 'physical_score'
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toNumber = (value) => (value === null ? null : parseFloat(value));
+
+const resolveHistoryRange = ({ from, to, interval }) => {
+  const end = to ? new Date(to) : new Date();
+  const start = from ? new Date(from) : new Date(end.getTime() - 365 * DAY_MS);
+
+  if (start > end) {
+    throw new AppError('from must be on or before to', 400, 'INVALID_RANGE');
+  }
+
+  const days = Math.round((end - start) / DAY_MS) + 1;
+
+  if (interval === 'day' && days > MAX_DAY_BUCKETS) {
+    throw new AppError(
+      `Daily history is limited to ${MAX_DAY_BUCKETS} days. Use interval=week or interval=month.`,
+      400,
+      'RANGE_TOO_LARGE'
+    );
+  }
+
+  return {
+    from: start.toISOString().slice(0, 10),
+    to: end.toISOString().slice(0, 10),
+    interval: interval ||
+      (days > AUTO_MONTH_AFTER_DAYS ? 'month' : days > AUTO_WEEK_AFTER_DAYS ? 'week' : 'day')
+  };
+};
+
+// @desc    Get NovaScore history aggregated per day/week/month
+// @route   GET /api/players/:id/nova-score/history
+// @access  Private (Agent, Admin)
+const getNovaScoreHistory = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const range = resolveHistoryRange(req.query);
+
+  const cacheKey = `nova-history:${id}:${range.from}:${range.to}:${range.interval}`;
+  const cached = await cache.get(cacheKey);
+
+  if (cached) {
+    return res.json({
+      success: true,
+      data: cached
+    });
+  }
+
+  const playerResult = await query(
+    'SELECT id, nova_score, nova_score_version FROM player_profiles WHERE id = $1',
+    [id]
+  );
+
+  if (playerResult.rows.length === 0) {
+    throw new AppError('Player not found', 404, 'PLAYER_NOT_FOUND');
+  }
+
+  const { shortWindow, longWindow, leadIn } = HISTORY_INTERVALS[range.interval];
+
+  const aggregates = Object.values(HISTORY_SCORES).map(column => `
+         ROUND(AVG(${column}), 1) as ${column}_avg,
+         MIN(${column}) as ${column}_min,
+         MAX(${column}) as ${column}_max`).join(',');
+
+  // Moving averages run over the bucket averages, including the lead-in
+  const historyResult = await query(
+    `WITH buckets AS (
+       SELECT to_char(date_trunc($4, recorded_date), 'YYYY-MM-DD') as bucket,
+              COUNT(*)::int as samples,${aggregates}
+       FROM nova_score_history
+       WHERE player_id = $1
+         AND recorded_date >= $2::date - INTERVAL '${leadIn}'
+         AND recorded_date <= $3::date
+       GROUP BY 1
+     ), averaged AS (
+       SELECT *,
+              ROUND(AVG(nova_score_avg) OVER (ORDER BY bucket ROWS BETWEEN ${shortWindow - 1} PRECEDING AND CURRENT ROW), 1)
+                as moving_avg_short,
+              ROUND(AVG(nova_score_avg) OVER (ORDER BY bucket ROWS BETWEEN ${longWindow - 1} PRECEDING AND CURRENT ROW), 1)
+                as moving_avg_long
+       FROM buckets
+     )
+     SELECT * FROM averaged
+     WHERE bucket >= to_char(date_trunc($4, $2::date), 'YYYY-MM-DD')
+     ORDER BY bucket`,
+    [id, range.from, range.to, range.interval]
+  );
+
+  const buckets = historyResult.rows.map(row => {
+    const bucket = { date: row.bucket, samples: row.samples };
+
+    Object.entries(HISTORY_SCORES).forEach(([key, column]) => {
+      bucket[key] = {
+        avg: toNumber(row[`${column}_avg`]),
+        min: toNumber(row[`${column}_min`]),
+        max: toNumber(row[`${column}_max`])
+      };
+    });
+
+    bucket.movingAverages = {
+      short: toNumber(row.moving_avg_short),
+      long: toNumber(row.moving_avg_long)
+    };
+
+    return bucket;
+  });
+
+  const data = {
+    playerId: id,
+    currentScore: playerResult.rows[0].nova_score,
+    weightsVersion: playerResult.rows[0].nova_score_version,
+    range,
+    movingAverageWindows: { short: shortWindow, long: longWindow, unit: range.interval },
+    buckets
+  };
+
+  // Past ranges only change on backfill; ranges reaching today follow the snapshots
+  const today = new Date().toISOString().slice(0, 10);
+  await cache.set(cacheKey, data, range.to < today ? 86400 : 3600);
+
+  res.json({
+    success: true,
+    data
+  });
+});
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// Snapshot column for each engine component
+const SNAPSHOT_COLUMNS = {
+  match: 'match_score',
+  task: 'task_score',
+  video: 'video_score',
+  physical: 'physical_score'
+};
+
+// @desc    Explain the current NovaScore input by input
+// @route   GET /api/players/:id/nova-score/explain
+// @access  Private (Player: own; Agent, Coach: public players; Admin)
+const explainNovaScore = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const playerResult = await query(
+    'SELECT id, user_id, profile_visibility, nova_score FROM player_profiles WHERE id = $1',
+    [id]
+  );
+
+  if (playerResult.rows.length === 0) {
+    throw new AppError('Player not found', 404, 'PLAYER_NOT_FOUND');
+  }
+
+  const player = playerResult.rows[0];
+  const isScout = ['agent', 'coach'].includes(req.user.userType);
+
+  if (!(isScout && player.profile_visibility === 'public')) {
+    await assertCanManagePlayer(req.user, id);
+  }
+
+  const asOf = new Date();
+  const [{ inputs, previousScore }, snapshotResult] = await Promise.all([
+    loadNovaScoreInputs(pool, id, asOf),
+    query(
+      `SELECT to_char(recorded_date, 'YYYY-MM-DD') as recorded_date, nova_score,
+              match_score, task_score, video_score, physical_score, weights_version
+       FROM nova_score_history
+       WHERE player_id = $1 AND recorded_date < CURRENT_DATE
+       ORDER BY recorded_date DESC
+       LIMIT 1`,
+      [id]
+    )
+  ]);
+
+  const result = calculateNovaScore(inputs, { asOf, previousScore });
+  const { weights } = getWeightsConfig(result.weightsVersion);
+
+  const components = {};
+  COMPONENTS.forEach(component => {
+    const { items, ...detail } = result.details[component];
+    const contribution = result.contributions[component];
+
+    components[component] = {
+      ...detail,
+      ...contribution,
+      inputs: items.map(({ input, points }) => ({
+        ...input,
+        componentPoints: round2(points),
+        novaPoints: round2(points * contribution.effectiveWeight)
+      }))
+    };
+  });
+
+  const snapshot = snapshotResult.rows[0];
+  let diff = null;
+
+  if (snapshot) {
+    const change = (previous, current) => ({
+      previous: previous === null ? null : parseFloat(previous),
+      current,
+      change: previous === null || current === null ? null : round2(current - parseFloat(previous))
+    });
+
+    diff = { novaScore: change(snapshot.nova_score, result.novaScore) };
+    COMPONENTS.forEach(component => {
+      diff[component] = change(snapshot[SNAPSHOT_COLUMNS[component]], result.components[component]);
+    });
+    diff.weightsVersionChanged = Boolean(snapshot.weights_version) &&
+      snapshot.weights_version !== result.weightsVersion;
+  }
+
+  res.json({
+    success: true,
+    data: {
+      playerId: id,
+      novaScore: result.novaScore,
+      storedNovaScore: player.nova_score,
+      trend: result.trend,
+      weightsVersion: result.weightsVersion,
+      weights,
+      calculatedAt: asOf,
+      components,
+      previousSnapshot: snapshot ? {
+        recordedDate: snapshot.recorded_date,
+        novaScore: snapshot.nova_score,
+        weightsVersion: snapshot.weights_version
+      } : null,
+      diff
+    }
+  });
+});
+
+module.exports = {
+  getNovaScoreHistory,
+  explainNovaScore
+};
@@ -0,0 +1,266 @@
+// =============================================================================
+// NoverThinker - Match Performances Controller
+// =============================================================================
+// Coach ratings per match. Entries lock 72 hours after kick-off; only an
+// admin can reopen them, and every unlock and late correction is audited.
+// =============================================================================
+
+const { pool, transaction } = require('../config/database');
+const { cache } = require('../config/redis');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { assertCanManageTeam, isTeamCoach } = require('../utils/access');
+const { recordAudit } = require('../utils/audit');
+const { validatePerformanceRow, upsertPerformance } = require('../utils/matchPerformance');
+const { DEFAULT_UNLOCK_HOURS, getLockState } = require('../utils/performanceLock');
+const { recalculatePlayerTotals } = require('../utils/playerTotals');
+const { recalculateNovaScore } = require('../utils/novaScoreStore');
+
+const getMatchWithTeam = async (db, matchId, forUpdate = false) => {
+  const result = await db.query(
+    `SELECT m.*, t.age_group
+     FROM matches m
+     JOIN teams t ON t.id = m.team_id
+     WHERE m.id = $1
+     ${forUpdate ? 'FOR UPDATE OF m' : ''}`,
+    [matchId]
+  );
+
+  if (result.rows.length === 0) {
+    throw new AppError('Match not found', 404, 'MATCH_NOT_FOUND');
+  }
+
+  return result.rows[0];
+};
+
+const getPerformanceRows = async (db, matchId) => {
+  const result = await db.query(
+    `SELECT mp.*, u.first_name, u.last_name, u.avatar_url,
+            pp.primary_position, tp.jersey_number
+     FROM match_performances mp
+     JOIN matches m ON m.id = mp.match_id
+     JOIN player_profiles pp ON pp.id = mp.player_id
+     JOIN users u ON u.id = pp.user_id
+     LEFT JOIN team_players tp ON tp.team_id = m.team_id AND tp.player_id = mp.player_id AND tp.is_active = true
+     WHERE mp.match_id = $1
+     ORDER BY mp.started DESC, mp.minutes_played DESC, u.last_name`,
+    [matchId]
+  );
+
+  return result.rows;
+};
+
+const formatLockState = (lock) => ({
+  isLocked: lock.isLocked,
+  locksAt: lock.locksAt,
+  unlockedUntil: lock.unlockedUntil
+});
+
+// @desc    Get player ratings for a match
+// @route   GET /api/matches/:id/performances
+// @access  Private (coach notes: team coaches and admins only)
+const getPerformances = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const match = await getMatchWithTeam(pool, id);
+  const rows = await getPerformanceRows(pool, id);
+
+  const canSeeNotes = req.user.userType === 'admin' || await isTeamCoach(req.user.id, match.team_id);
+  const performances = canSeeNotes
+    ? rows
+    : rows.map(({ coach_notes, ...row }) => row);
+
+  res.json({
+    success: true,
+    data: {
+      performances,
+      lock: formatLockState(getLockState(match, rows.some(r => r.is_locked)))
+    }
+  });
+});
+
+// @desc    Save ratings for the squad (bulk upsert)
+// @route   PUT /api/matches/:id/performances
+// @access  Private (Coach, Admin)
+const savePerformances = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { performances } = req.body;
+
+  const match = await getMatchWithTeam(pool, id);
+  await assertCanManageTeam(req.user, match.team_id);
+
+  const result = await transaction(async (client) => {
+    // Lock the match row so an unlock / re-lock can't interleave
+    const lockedMatch = await getMatchWithTeam(client, id, true);
+
+    if (lockedMatch.status !== 'completed') {
+      throw new AppError('Ratings can only be entered for completed matches', 409, 'MATCH_NOT_COMPLETED');
+    }
+
+    const existingResult = await client.query(
+      'SELECT * FROM match_performances WHERE match_id = $1',
+      [id]
+    );
+    const existing = existingResult.rows;
+    const lock = getLockState(lockedMatch, existing.some(r => r.is_locked));
+
+    if (lock.isLocked) {
+      throw new AppError(
+        'Ratings for this match are locked. An admin must unlock them first.',
+        423,
+        'PERFORMANCES_LOCKED'
+      );
+    }
+
+    // Validate every row before writing anything
+    const details = [];
+    const rows = [];
+    const seen = new Set();
+
+    performances.forEach((row, index) => {
+      const prefix = `performances[${index}].`;
+      const { performance, errors } = validatePerformanceRow(row, lockedMatch, prefix);
+      details.push(...errors);
+
+      if (!performance) return;
+
+      if (seen.has(performance.playerId)) {
+        details.push({ field: `${prefix}playerId`, location: 'body', message: 'Player appears more than once' });
+        return;
+      }
+      seen.add(performance.playerId);
+      rows.push({ index, performance });
+    });
+
+    // Players must be on the roster (now, or on the match day)
+    if (rows.length > 0) {
+      const rosterResult = await client.query(
+        `SELECT DISTINCT player_id
+         FROM team_players
+         WHERE team_id = $1 AND player_id = ANY($2::uuid[])
+           AND (is_active = true
+                OR (COALESCE(joined_date, '-infinity'::date) <= $3::date
+                    AND (left_date IS NULL OR left_date >= $3::date)))`,
+        [lockedMatch.team_id, rows.map(r => r.performance.playerId), lockedMatch.match_date]
+      );
+      const rosterIds = new Set(rosterResult.rows.map(r => r.player_id));
+
+      rows.forEach(({ index, performance }) => {
+        if (!rosterIds.has(performance.playerId)) {
+          details.push({
+            field: `performances[${index}].playerId`,
+            location: 'body',
+            message: 'Player is not on this team\'s roster'
+          });
+        }
+      });
+    }
+
+    if (details.length > 0) {
+      throw new AppError('Validation failed', 400, 'VALIDATION_ERROR', details);
+    }
+
+    const saved = [];
+    for (const { performance } of rows) {
+      saved.push(await upsertPerformance(client, id, performance));
+    }
+
+    // Career totals and NovaScore follow the match sheet
+    await recalculatePlayerTotals(client, saved.map(r => r.player_id));
+    for (const row of saved) {
+      await recalculateNovaScore(client, row.player_id);
+    }
+
+    // Changes made inside an admin unlock window are corrections - audit them
+    if (lock.unlockedUntil) {
+      const savedIds = new Set(saved.map(r => r.player_id));
+      await recordAudit(client, {
+        userId: req.user.id,
+        action: 'match_performances.correct',
+        entityType: 'match',
+        entityId: id,
+        oldData: { performances: existing.filter(r => savedIds.has(r.player_id)) },
+        newData: { performances: saved },
+        req
+      });
+    }
+
+    return { lock, rows: await getPerformanceRows(client, id) };
+  });
+
+  await Promise.all(result.rows.map(row => cache.del(`player:${row.player_id}`)));
+
+  res.json({
+    success: true,
+    message: `${performances.length} rating(s) saved`,
+    data: {
+      performances: result.rows,
+      lock: formatLockState(result.lock)
+    }
+  });
+});
+
+// @desc    Reopen locked ratings for a limited window
+// @route   POST /api/matches/:id/performances/unlock
+// @access  Private (Admin)
+const unlockPerformances = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { reason } = req.body;
+  const hours = parseInt(req.body.hours) || DEFAULT_UNLOCK_HOURS;
+
+  const unlockedUntil = await transaction(async (client) => {
+    const match = await getMatchWithTeam(client, id, true);
+
+    const lockedResult = await client.query(
+      'SELECT COUNT(*) FILTER (WHERE is_locked) as locked FROM match_performances WHERE match_id = $1',
+      [id]
+    );
+    const lockedRows = parseInt(lockedResult.rows[0].locked);
+
+    if (!getLockState(match, lockedRows > 0).isLocked) {
+      throw new AppError('Ratings for this match are not locked', 409, 'PERFORMANCES_NOT_LOCKED');
+    }
+
+    const updated = await client.query(
+      `UPDATE matches SET performances_unlocked_until = NOW() + make_interval(hours => $2)
+       WHERE id = $1
+       RETURNING performances_unlocked_until`,
+      [id, hours]
+    );
+
+    await client.query(
+      `UPDATE match_performances SET is_locked = false, updated_at = NOW()
+       WHERE match_id = $1 AND is_locked = true`,
+      [id]
+    );
+
+    const until = updated.rows[0].performances_unlocked_until;
+
+    await recordAudit(client, {
+      userId: req.user.id,
+      action: 'match_performances.unlock',
+      entityType: 'match',
+      entityId: id,
+      oldData: { lockedRows, unlockedUntil: match.performances_unlocked_until },
+      newData: { unlockedUntil: until, hours, reason },
+      req
+    });
+
+    return until;
+  });
+
+  res.json({
+    success: true,
+    message: `Ratings unlocked for ${hours} hour(s)`,
+    data: {
+      lock: {
+        isLocked: false,
+        unlockedUntil
+      }
+    }
+  });
+});
+
+module.exports = {
+  getPerformances,
+  savePerformances,
+  unlockPerformances
+};
@@ -2,9 +2,13 @@
 // NoverThinker - Players Controller
 // =============================================================================
 
-const { query } = require('../config/database');
+const { pool, query, transaction } = require('../config/database');
 const { cache } = require('../config/redis');
 const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { assertCanManagePlayer } = require('../utils/access');
+const { calculatePlayerAnalytics } = require('../utils/playerAnalytics');
+const { getStaleness, isStaleTooLong } = require('../utils/analyticsInvalidation');
+const { getPercentileOptions, loadPeerPercentiles } = require('../utils/peerPercentiles');
 
 // @desc    Get players for Radar feed
 // @route   GET /api/players
@@ -133,12 +137,13 @@ const getPlayers = asyncHandler(async (req, res) => {
 // @access  Public
 const getPlayer = asyncHandler(async (req, res) => {
   const { id } = req.params;
+  const percentileOptions = getPercentileOptions(req.query);
 
   // Try cache first
   const cacheKey = `player:${id}`;
   const cached = await cache.get(cacheKey);
   if (cached) {
-    return res.json({ success: true, data: cached, cached: true });
+    return res.json({ success: true, data: await withPeerPercentiles(cached, id, percentileOptions), cached: true });
   }
 
   // Get player with full details
@@ -238,19 +243,34 @@ const getPlayer = asyncHandler(async (req, res) => {
 
   res.json({
     success: true,
-    data: responseData
+    data: await withPeerPercentiles(responseData, id, percentileOptions)
   });
 });
 
+// Add peer percentile ranks to a profile response when asked for
+// (kept out of the cached profile, they have their own refresh cycle)
+const withPeerPercentiles = async (data, playerId, options) => {
+  if (!options) return data;
+
+  const rankings = await loadPeerPercentiles(pool, [playerId], options.scope);
+  return {
+    ...data,
+    peerPercentiles: rankings.get(playerId) || null
+  };
+};
+
 // @desc    Get player analytics (Agent-only panels)
 // @route   GET /api/players/:id/analytics
 // @access  Private (Agent)
 const getPlayerAnalytics = asyncHandler(async (req, res) => {
   const { id } = req.params;
 
-  // Check if player exists
+  // Check if player exists (and how fresh the stored analytics are)
   const playerResult = await query(
-    'SELECT id, nova_score, discipline_score FROM player_profiles WHERE id = $1',
+    `SELECT pp.id, pp.nova_score, aac.is_dirty, aac.invalidated_at, aac.invalidated_by
+     FROM player_profiles pp
+     LEFT JOIN agent_analytics_cache aac ON aac.player_id = pp.id
+     WHERE pp.id = $1`,
     [id]
   );
 
@@ -259,23 +279,31 @@ const getPlayerAnalytics = asyncHandler(async (req, res) => {
   }
 
   const player = playerResult.rows[0];
+  let staleness = getStaleness(player);
+
+  // Dirty rows are served as-is while the worker recomputes them, unless
+  // they have been waiting too long
+  const recalculate = isStaleTooLong(staleness);
 
   // Try to get cached analytics
   const cacheKey = `analytics:${id}`;
-  let analytics = await cache.get(cacheKey);
+  let analytics = recalculate ? null : await cache.get(cacheKey);
 
-  if (!analytics) {
+  if (!analytics || !analytics.sample_sizes) {
     // Get or calculate analytics
     const analyticsResult = await query(
       'SELECT * FROM agent_analytics_cache WHERE player_id = $1',
       [id]
     );
 
-    if (analyticsResult.rows.length > 0) {
-      analytics = analyticsResult.rows[0];
+    // Rows without sample sizes predate the real panel calculations
+    const stored = analyticsResult.rows[0];
+    if (!recalculate && stored && stored.sample_sizes && Object.keys(stored.sample_sizes).length > 0) {
+      analytics = stored;
     } else {
       // Calculate analytics on-the-fly
-      analytics = await calculatePlayerAnalytics(id, player);
+      analytics = await calculatePlayerAnalytics(pool, id);
+      staleness = getStaleness(null);
     }
 
     // Cache for 1 hour
@@ -303,99 +331,28 @@ const getPlayerAnalytics = asyncHandler(async (req, res) => {
       consistency: {
         score: analytics.consistency_score,
         level: analytics.consistency_level,
-        trend: analytics.consistency_trend
+        trend: analytics.consistency_trend,
+        sampleSize: analytics.sample_sizes.consistency
       },
       workRate: {
         score: analytics.work_rate_score,
         level: analytics.work_rate_level,
-        breakdown: analytics.work_rate_breakdown
+        breakdown: analytics.work_rate_breakdown,
+        sampleSize: analytics.sample_sizes.workRate
       },
       risk: {
         score: analytics.risk_score,
         level: analytics.risk_level,
-        factors: analytics.risk_factors
+        factors: analytics.risk_factors,
+        sampleSize: analytics.sample_sizes.risk
       },
       recentMatches: matchesResult.rows,
-      lastCalculated: analytics.last_calculated_at
+      lastCalculated: analytics.last_calculated_at,
+      staleness
     }
   });
 });
 
-// Calculate player analytics
-const calculatePlayerAnalytics = async (playerId, player) => {
-  // This would be a complex calculation based on:
-  // - Match performance history
-  // - Task completion rates
-  // - Attendance records
-  // - NovaScore trends
-
-  // Simplified version for now
-  const analytics = {
-    performance_data: {
-      overall: player.nova_score,
-      matchScore: player.nova_score * 0.45,
-      taskScore: player.nova_score * 0.25,
-      videoScore: player.nova_score * 0.15,
-      physicalScore: player.nova_score * 0.15
-    },
-    consistency_score: Math.round(player.nova_score * 0.9),
-    consistency_level: player.nova_score >= 80 ? 'high' : player.nova_score >= 60 ? 'medium' : 'low',
-    consistency_trend: 'stable',
-    work_rate_score: player.discipline_score,
-    work_rate_level: player.discipline_score >= 90 ? 'elite' : player.discipline_score >= 75 ? 'high' : 'medium',
-    work_rate_breakdown: {
-      attendance: Math.round(player.discipline_score * 0.4),
-      taskCompletion: Math.round(player.discipline_score * 0.3),
-      uploadFrequency: Math.round(player.discipline_score * 0.2),
-      discipline: Math.round(player.discipline_score * 0.1)
-    },
-    risk_score: 100 - Math.round((100 - player.discipline_score) * 0.5),
-    risk_level: player.discipline_score >= 80 ? 'low' : player.discipline_score >= 60 ? 'medium' : 'high',
-    risk_factors: {
-      consistency: player.nova_score >= 70 ? 'low' : 'medium',
-      discipline: player.discipline_score >= 80 ? 'low' : 'medium',
-      engagement: 'medium'
-    },
-    last_calculated_at: new Date()
-  };
-
-  // Store in cache table
-  await query(
-    `INSERT INTO agent_analytics_cache 
-     (player_id, performance_data, consistency_score, consistency_level, consistency_trend,
-      work_rate_score, work_rate_level, work_rate_breakdown, risk_score, risk_level, risk_factors)
-     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
-     ON CONFLICT (player_id) DO UPDATE SET
-       performance_data = $2,
-       consistency_score = $3,
-       consistency_level = $4,
-       consistency_trend = $5,
-       work_rate_score = $6,
-       work_rate_level = $7,
-       work_rate_breakdown = $8,
-       risk_score = $9,
-       risk_level = $10,
-       risk_factors = $11,
-       last_calculated_at = NOW(),
-       updated_at = NOW()`,
-    [
-      playerId,
-      JSON.stringify(analytics.performance_data),
-      analytics.consistency_score,
-      analytics.consistency_level,
-      analytics.consistency_trend,
-      analytics.work_rate_score,
-      analytics.work_rate_level,
-      JSON.stringify(analytics.work_rate_breakdown),
-      analytics.risk_score,
-      analytics.risk_level,
-      JSON.stringify(analytics.risk_factors)
-    ]
-  );
-
-  return analytics;
-};
-
 // @desc    Discover players (Advanced search for agents)
 // @route   GET /api/players/discover
 // @access  Private (Agent)
@@ -417,6 +374,7 @@ const discoverPlayers = asyncHandler(async (req, res) => {
     sortOrder = 'DESC'
   } = req.query;
 
+  const percentileOptions = getPercentileOptions(req.query);
   const offset = (page - 1) * limit;
   const params = [];
   let paramIndex = 1;
@@ -569,6 +527,13 @@ const discoverPlayers = asyncHandler(async (req, res) => {
     }
   }
 
+  if (percentileOptions) {
+    const rankings = await loadPeerPercentiles(pool, playersResult.rows.map(p => p.id), percentileOptions.scope);
+    playersResult.rows.forEach(player => {
+      player.peerPercentiles = rankings.get(player.id) || null;
+    });
+  }
+
   res.json({
     success: true,
     data: {
@@ -604,6 +569,8 @@ const comparePlayers = asyncHandler(async (req, res) => {
     throw new AppError('Please provide 2-4 player IDs to compare', 400);
   }
 
+  const percentileOptions = getPercentileOptions(req.body);
+
   // Get all players with their details
   const playersResult = await query(
     `SELECT 
@@ -648,6 +615,10 @@ const comparePlayers = asyncHandler(async (req, res) => {
 
   const analyticsData = await Promise.all(analyticsPromises);
 
+  const rankings = percentileOptions
+    ? await loadPeerPercentiles(pool, playersResult.rows.map(p => p.id), percentileOptions.scope)
+    : null;
+
   // Format comparison data
   const comparison = playersResult.rows.map(player => {
     const playerAnalytics = analyticsData.find(a => a.playerId === player.id)?.analytics;
@@ -693,7 +664,8 @@ const comparePlayers = asyncHandler(async (req, res) => {
       risk: playerAnalytics ? {
         score: playerAnalytics.risk_score,
         level: playerAnalytics.risk_level
-      } : null
+      } : null,
+      ...(rankings && { peerPercentiles: rankings.get(player.id) || null })
     };
   });
 
@@ -706,10 +678,252 @@ const comparePlayers = asyncHandler(async (req, res) => {
   });
 });
 
+// Season label ("2025-2026") for a match date, seasons start 1 July
+const SEASON_SQL = `CASE WHEN EXTRACT(MONTH FROM m.match_date) >= 7
+  THEN EXTRACT(YEAR FROM m.match_date)::int || '-' || (EXTRACT(YEAR FROM m.match_date)::int + 1)
+  ELSE (EXTRACT(YEAR FROM m.match_date)::int - 1) || '-' || EXTRACT(YEAR FROM m.match_date)::int
+END`;
+
+const STATS_COLUMNS = `COUNT(*) FILTER (WHERE mp.minutes_played > 0)::int as matches,
+       COALESCE(SUM(mp.minutes_played), 0)::int as minutes,
+       COALESCE(SUM(mp.goals), 0)::int as goals,
+       COALESCE(SUM(mp.assists), 0)::int as assists,
+       COALESCE(SUM(mp.yellow_cards), 0)::int as yellow_cards,
+       COALESCE(SUM(mp.red_cards), 0)::int as red_cards,
+       ROUND(AVG(mp.performance_credits), 1) as avg_credits`;
+
+// @desc    Get career stats with season and competition breakdown
+// @route   GET /api/players/:id/stats
+// @access  Public (non-public profiles: player, their coaches, admin)
+const getPlayerStats = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const playerResult = await query(
+    `SELECT id, profile_visibility, total_matches, total_goals, total_assists,
+            total_yellow_cards, total_red_cards, total_minutes
+     FROM player_profiles WHERE id = $1`,
+    [id]
+  );
+
+  if (playerResult.rows.length === 0) {
+    throw new AppError('Player not found', 404, 'PLAYER_NOT_FOUND');
+  }
+
+  const player = playerResult.rows[0];
+
+  if (player.profile_visibility !== 'public') {
+    if (!req.user) {
+      throw new AppError('Player not found', 404, 'PLAYER_NOT_FOUND');
+    }
+    await assertCanManagePlayer(req.user, id);
+  }
+
+  // Only completed matches count
+  const fromClause = `FROM match_performances mp
+     JOIN matches m ON m.id = mp.match_id AND m.status = 'completed'
+     WHERE mp.player_id = $1`;
+
+  const [seasonsResult, competitionsResult] = await Promise.all([
+    query(
+      `SELECT ${SEASON_SQL} as season, ${STATS_COLUMNS}
+       ${fromClause}
+       GROUP BY 1
+       ORDER BY 1 DESC`,
+      [id]
+    ),
+    query(
+      `SELECT ${SEASON_SQL} as season, m.match_type,
+              COALESCE(m.competition_name, INITCAP(m.match_type)) as competition,
+              ${STATS_COLUMNS}
+       ${fromClause}
+       GROUP BY 1, 2, 3
+       ORDER BY 1 DESC, 3`,
+      [id]
+    )
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      playerId: id,
+      totals: {
+        matches: player.total_matches,
+        minutes: player.total_minutes,
+        goals: player.total_goals,
+        assists: player.total_assists,
+        yellowCards: player.total_yellow_cards,
+        redCards: player.total_red_cards
+      },
+      seasons: seasonsResult.rows,
+      competitions: competitionsResult.rows
+    }
+  });
+});
+
+// Lock the player's highlight reel and return current slots
+const lockTopVideos = async (client, playerId) => {
+  // Row lock on the profile serialises concurrent curation for one player
+  await client.query('SELECT id FROM player_profiles WHERE id = $1 FOR UPDATE', [playerId]);
+
+  const result = await client.query(
+    'SELECT position, video_id FROM top_player_videos WHERE player_id = $1 ORDER BY position',
+    [playerId]
+  );
+
+  return result.rows;
+};
+
+// Ensure every video is approved and belongs to the player
+const assertPinnableVideos = async (client, playerId, videoIds) => {
+  const result = await client.query(
+    `SELECT id FROM videos
+     WHERE id = ANY($1) AND player_id = $2 AND status = 'approved'`,
+    [videoIds, playerId]
+  );
+
+  if (result.rows.length !== videoIds.length) {
+    throw new AppError('Only the player\'s own approved videos can be pinned', 400, 'VIDEO_NOT_PINNABLE');
+  }
+};
+
+// Replace the highlight reel in one go. Deleting first avoids transient
+// UNIQUE(player_id, position) violations when slots are swapped.
+const writeTopVideos = async (client, playerId, slots) => {
+  await client.query('DELETE FROM top_player_videos WHERE player_id = $1', [playerId]);
+
+  for (const slot of slots) {
+    await client.query(
+      'INSERT INTO top_player_videos (player_id, video_id, position) VALUES ($1, $2, $3)',
+      [playerId, slot.video_id, slot.position]
+    );
+  }
+};
+
+const getTopVideosResponse = async (playerId) => {
+  const result = await query(
+    `SELECT tpv.position, v.id, v.title, v.video_url, v.thumbnail_url, v.duration_seconds,
+            v.category, v.impact_level, v.views_count, v.likes_count
+     FROM top_player_videos tpv
+     JOIN videos v ON v.id = tpv.video_id
+     WHERE tpv.player_id = $1
+     ORDER BY tpv.position ASC`,
+    [playerId]
+  );
+
+  return result.rows;
+};
+
+// @desc    Pin a video to a highlight slot (swaps if already pinned elsewhere)
+// @route   PUT /api/players/:id/top-videos/:position
+// @access  Private (Player, Coach, Admin)
+const pinTopVideo = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const position = parseInt(req.params.position);
+  const { videoId } = req.body;
+
+  await assertCanManagePlayer(req.user, id);
+
+  await transaction(async (client) => {
+    const current = await lockTopVideos(client, id);
+    await assertPinnableVideos(client, id, [videoId]);
+
+    const previousSlot = current.find(slot => slot.video_id === videoId);
+    const occupant = current.find(slot => slot.position === position);
+
+    let slots = current.filter(slot => slot.video_id !== videoId && slot.position !== position);
+    slots.push({ position, video_id: videoId });
+
+    // Moving between slots swaps with whatever was in the target slot
+    if (previousSlot && occupant && previousSlot.position !== position) {
+      slots.push({ position: previousSlot.position, video_id: occupant.video_id });
+    }
+
+    slots = slots.sort((a, b) => a.position - b.position);
+    await writeTopVideos(client, id, slots);
+  });
+
+  await cache.del(`player:${id}`);
+
+  res.json({
+    success: true,
+    data: {
+      topVideos: await getTopVideosResponse(id)
+    }
+  });
+});
+
+// @desc    Reorder / replace the whole highlight reel
+// @route   PUT /api/players/:id/top-videos
+// @access  Private (Player, Coach, Admin)
+const reorderTopVideos = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { videoIds } = req.body;
+
+  if (new Set(videoIds).size !== videoIds.length) {
+    throw new AppError('A video can only be pinned once', 400, 'DUPLICATE_VIDEO');
+  }
+
+  await assertCanManagePlayer(req.user, id);
+
+  await transaction(async (client) => {
+    await lockTopVideos(client, id);
+    if (videoIds.length > 0) {
+      await assertPinnableVideos(client, id, videoIds);
+    }
+
+    await writeTopVideos(
+      client,
+      id,
+      videoIds.map((videoId, index) => ({ position: index + 1, video_id: videoId }))
+    );
+  });
+
+  await cache.del(`player:${id}`);
+
+  res.json({
+    success: true,
+    data: {
+      topVideos: await getTopVideosResponse(id)
+    }
+  });
+});
+
+// @desc    Unpin the video in a highlight slot
+// @route   DELETE /api/players/:id/top-videos/:position
+// @access  Private (Player, Coach, Admin)
+const unpinTopVideo = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const position = parseInt(req.params.position);
+
+  await assertCanManagePlayer(req.user, id);
+
+  const result = await query(
+    'DELETE FROM top_player_videos WHERE player_id = $1 AND position = $2 RETURNING id',
+    [id, position]
+  );
+
+  if (result.rows.length === 0) {
+    throw new AppError('No video pinned at this position', 404, 'NOT_FOUND');
+  }
+
+  await cache.del(`player:${id}`);
+
+  res.json({
+    success: true,
+    data: {
+      topVideos: await getTopVideosResponse(id)
+    }
+  });
+});
+
 module.exports = {
   getPlayers,
   getPlayer,
   getPlayerAnalytics,
+  getPlayerStats,
   discoverPlayers,
-  comparePlayers
+  comparePlayers,
+  pinTopVideo,
+  reorderTopVideos,
+  unpinTopVideo
 };
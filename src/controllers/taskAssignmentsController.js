@@ -0,0 +1,307 @@
+// =============================================================================
+// NoverThinker - Task Assignments Controller
+// =============================================================================
+
+const { query, transaction } = require('../config/database');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const {
+  getPlayerProfileId,
+  isCoachOfPlayer,
+  assertCanManageTeam
+} = require('../utils/access');
+const { assignmentReachesPlayerSql, notifyAssignedPlayers } = require('../utils/taskAssignments');
+
+// Check the target for the assignment type and the user's right to use it
+const assertCanAssign = async (user, { assignmentType, playerId, playerIds, teamId }) => {
+  if (assignmentType === 'global') {
+    if (user.userType !== 'admin') {
+      throw new AppError('Only admins can assign tasks to everyone', 403, 'FORBIDDEN');
+    }
+    return;
+  }
+
+  if (assignmentType === 'individual') {
+    if (!playerId) {
+      throw new AppError('playerId is required for individual assignments', 400, 'TARGET_REQUIRED');
+    }
+
+    const playerResult = await query('SELECT id FROM player_profiles WHERE id = $1', [playerId]);
+    if (playerResult.rows.length === 0) {
+      throw new AppError('Player not found', 404, 'PLAYER_NOT_FOUND');
+    }
+
+    if (user.userType !== 'admin' && !(await isCoachOfPlayer(user.id, playerId))) {
+      throw new AppError('You can only assign tasks to players you coach', 403, 'FORBIDDEN');
+    }
+    return;
+  }
+
+  // group / team
+  if (!teamId) {
+    throw new AppError(`teamId is required for ${assignmentType} assignments`, 400, 'TARGET_REQUIRED');
+  }
+
+  await assertCanManageTeam(user, teamId);
+
+  if (assignmentType === 'group') {
+    if (!playerIds || playerIds.length === 0) {
+      throw new AppError('playerIds is required for group assignments', 400, 'TARGET_REQUIRED');
+    }
+
+    const rosterResult = await query(
+      `SELECT player_id FROM team_players
+       WHERE team_id = $1 AND is_active = true AND player_id = ANY($2::uuid[])`,
+      [teamId, playerIds]
+    );
+
+    if (rosterResult.rows.length !== new Set(playerIds).size) {
+      throw new AppError('All group members must be on the team\'s roster', 400, 'NOT_ON_ROSTER');
+    }
+  }
+};
+
+// @desc    Assign a task to a player, group, team or everyone
+// @route   POST /api/tasks/:id/assign
+// @access  Private (Coach, Admin)
+const createAssignment = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { assignmentType, playerId, playerIds, teamId, dueDate, instructions } = req.body;
+
+  const taskResult = await query(
+    'SELECT id, title FROM tasks WHERE id = $1 AND is_active = true',
+    [id]
+  );
+
+  if (taskResult.rows.length === 0) {
+    throw new AppError('Task not found', 404, 'TASK_NOT_FOUND');
+  }
+
+  const task = taskResult.rows[0];
+
+  if (dueDate && new Date(dueDate) <= new Date()) {
+    throw new AppError('Due date must be in the future', 400, 'INVALID_DUE_DATE');
+  }
+
+  await assertCanAssign(req.user, { assignmentType, playerId, playerIds, teamId });
+
+  const result = await transaction(async (client) => {
+    const assignmentResult = await client.query(
+      `INSERT INTO task_assignments
+       (task_id, assignment_type, player_id, team_id, assigned_by, due_date, instructions)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING *`,
+      [
+        id,
+        assignmentType,
+        assignmentType === 'individual' ? playerId : null,
+        ['group', 'team'].includes(assignmentType) ? teamId : null,
+        req.user.id,
+        dueDate || null,
+        instructions
+      ]
+    );
+
+    const assignment = assignmentResult.rows[0];
+
+    if (assignmentType === 'group') {
+      await client.query(
+        `INSERT INTO task_assignment_players (assignment_id, player_id)
+         SELECT $1, unnest($2::uuid[])
+         ON CONFLICT DO NOTHING`,
+        [assignment.id, playerIds]
+      );
+    }
+
+    const notified = await notifyAssignedPlayers(client, assignment.id, task);
+
+    return { assignment, notified };
+  });
+
+  res.status(201).json({
+    success: true,
+    message: `Task assigned to ${result.notified} player(s)`,
+    data: {
+      assignment: result.assignment,
+      playersNotified: result.notified
+    }
+  });
+});
+
+// @desc    List assignments (coach: own and their teams', admin: all)
+// @route   GET /api/tasks/assignments
+// @access  Private (Coach, Admin)
+const getAssignments = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, status, teamId, taskId, assignmentType } = req.query;
+
+  const offset = (page - 1) * limit;
+  const params = [];
+  let paramIndex = 1;
+  let whereClause = 'WHERE 1=1';
+
+  if (req.user.userType !== 'admin') {
+    whereClause += ` AND (ta.assigned_by = $${paramIndex}
+      OR t.head_coach_id = $${paramIndex} OR t.assistant_coach_id = $${paramIndex})`;
+    params.push(req.user.id);
+    paramIndex++;
+  }
+
+  if (status) {
+    whereClause += ` AND ta.status = $${paramIndex}`;
+    params.push(status);
+    paramIndex++;
+  }
+
+  if (teamId) {
+    whereClause += ` AND ta.team_id = $${paramIndex}`;
+    params.push(teamId);
+    paramIndex++;
+  }
+
+  if (taskId) {
+    whereClause += ` AND ta.task_id = $${paramIndex}`;
+    params.push(taskId);
+    paramIndex++;
+  }
+
+  if (assignmentType) {
+    whereClause += ` AND ta.assignment_type = $${paramIndex}`;
+    params.push(assignmentType);
+    paramIndex++;
+  }
+
+  const fromClause = `FROM task_assignments ta
+     JOIN tasks tk ON tk.id = ta.task_id
+     LEFT JOIN teams t ON t.id = ta.team_id
+     LEFT JOIN player_profiles pp ON pp.id = ta.player_id
+     LEFT JOIN users pu ON pu.id = pp.user_id`;
+
+  const countResult = await query(
+    `SELECT COUNT(*) as total ${fromClause} ${whereClause}`,
+    params
+  );
+
+  const total = parseInt(countResult.rows[0].total);
+
+  const assignmentsResult = await query(
+    `SELECT ta.*, tk.title as task_title, tk.category as task_category,
+            t.name as team_name, pu.first_name as player_first_name, pu.last_name as player_last_name,
+            (SELECT COUNT(*) FROM task_assignment_players tap WHERE tap.assignment_id = ta.id)::int as group_size,
+            (SELECT COUNT(*) FROM task_submissions ts WHERE ts.assignment_id = ta.id)::int as submissions_count
+     ${fromClause}
+     ${whereClause}
+     ORDER BY ta.created_at DESC
+     LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`,
+    [...params, parseInt(limit), offset]
+  );
+
+  res.json({
+    success: true,
+    data: {
+      assignments: assignmentsResult.rows,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    }
+  });
+});
+
+// @desc    Cancel an active assignment
+// @route   PATCH /api/tasks/assignments/:assignmentId/cancel
+// @access  Private (Coach, Admin)
+const cancelAssignment = asyncHandler(async (req, res) => {
+  const { assignmentId } = req.params;
+
+  const assignmentResult = await query(
+    'SELECT * FROM task_assignments WHERE id = $1',
+    [assignmentId]
+  );
+
+  if (assignmentResult.rows.length === 0) {
+    throw new AppError('Assignment not found', 404, 'ASSIGNMENT_NOT_FOUND');
+  }
+
+  const assignment = assignmentResult.rows[0];
+
+  // Assigner, the target team's coaches, or an admin
+  if (req.user.userType !== 'admin' && assignment.assigned_by !== req.user.id) {
+    if (!assignment.team_id) {
+      throw new AppError('Only the assigning coach can cancel this assignment', 403, 'FORBIDDEN');
+    }
+    await assertCanManageTeam(req.user, assignment.team_id);
+  }
+
+  if (assignment.status !== 'active') {
+    throw new AppError(`Assignment is already ${assignment.status}`, 409, 'ASSIGNMENT_NOT_ACTIVE');
+  }
+
+  const result = await query(
+    `UPDATE task_assignments SET status = 'cancelled', updated_at = NOW()
+     WHERE id = $1
+     RETURNING *`,
+    [assignmentId]
+  );
+
+  res.json({
+    success: true,
+    data: {
+      assignment: result.rows[0]
+    }
+  });
+});
+
+// @desc    Player's task inbox (individual, group, team and global)
+// @route   GET /api/tasks/mine
+// @access  Private (Player)
+const getMyTasks = asyncHandler(async (req, res) => {
+  const { status = 'active' } = req.query;
+  const playerId = await getPlayerProfileId(req.user.id);
+
+  // Per-player status: an approved submission completes the task for this player
+  const inboxResult = await query(
+    `SELECT * FROM (
+       SELECT ta.id as assignment_id, ta.assignment_type, ta.due_date, ta.instructions,
+              ta.status as assignment_status, ta.created_at as assigned_at,
+              tk.id as task_id, tk.title, tk.description, tk.category, tk.difficulty,
+              tk.requirements, tk.example_video_url, tk.thumbnail_url,
+              tk.estimated_duration_minutes, tk.equipment_needed,
+              u.first_name as assigned_by_first_name, u.last_name as assigned_by_last_name,
+              ls.id as submission_id, ls.status as submission_status,
+              ls.points_awarded, ls.review_notes,
+              CASE
+                WHEN ls.status = 'approved' THEN 'completed'
+                ELSE ta.status
+              END as status
+       FROM task_assignments ta
+       JOIN tasks tk ON tk.id = ta.task_id
+       JOIN users u ON u.id = ta.assigned_by
+       LEFT JOIN LATERAL (
+         SELECT ts.id, ts.status, ts.points_awarded, ts.review_notes
+         FROM task_submissions ts
+         WHERE ts.assignment_id = ta.id AND ts.player_id = $1
+         ORDER BY ts.created_at DESC
+         LIMIT 1
+       ) ls ON true
+       WHERE ${assignmentReachesPlayerSql('ta', '$1')}
+     ) inbox
+     WHERE ($2 = 'all' AND status <> 'cancelled') OR status = $2
+     ORDER BY due_date ASC NULLS LAST, assigned_at DESC`,
+    [playerId, status]
+  );
+
+  res.json({
+    success: true,
+    data: {
+      tasks: inboxResult.rows
+    }
+  });
+});
+
+module.exports = {
+  createAssignment,
+  getAssignments,
+  cancelAssignment,
+  getMyTasks
+};
@@ -0,0 +1,370 @@
+// =============================================================================
+// NoverThinker - Task Submissions Controller
+// =============================================================================
+// Players upload a video per assignment; coaches review it. A submission
+// marked needs_improvement can be followed by a new one, rejected and
+// approved are final.
+// =============================================================================
+
+const { query, transaction } = require('../config/database');
+const { cache } = require('../config/redis');
+const { getPublicUrl } = require('../config/storage');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { getPlayerProfileId } = require('../utils/access');
+const { prepareVideoUpload, assertOwnedUpload } = require('../utils/uploads');
+const { assignmentReachesPlayerSql } = require('../utils/taskAssignments');
+const { recalculateNovaScore } = require('../utils/novaScoreStore');
+
+// Coach sees submissions from players on their active teams
+const coachScopeClause = (paramIndex) => `
+  AND EXISTS (
+    SELECT 1 FROM team_players tp
+    JOIN teams t ON t.id = tp.team_id
+    WHERE tp.player_id = ts.player_id AND tp.is_active = true
+      AND (t.head_coach_id = $${paramIndex} OR t.assistant_coach_id = $${paramIndex})
+  )`;
+
+// @desc    Request a presigned upload URL for a task video
+// @route   POST /api/tasks/submissions/upload-url
+// @access  Private (Player)
+const requestSubmissionUploadUrl = asyncHandler(async (req, res) => {
+  const playerId = await getPlayerProfileId(req.user.id);
+  const upload = await prepareVideoUpload('tasks', playerId, req.body);
+
+  res.status(201).json({
+    success: true,
+    data: upload
+  });
+});
+
+// @desc    Submit a video for an assignment
+// @route   POST /api/tasks/assignments/:assignmentId/submissions
+// @access  Private (Player)
+const createSubmission = asyncHandler(async (req, res) => {
+  const { assignmentId } = req.params;
+  const { key, thumbnailKey, durationSeconds, notes } = req.body;
+  const playerId = await getPlayerProfileId(req.user.id);
+
+  const assignmentResult = await query(
+    `SELECT ta.*, tk.title as task_title
+     FROM task_assignments ta
+     JOIN tasks tk ON tk.id = ta.task_id
+     WHERE ta.id = $1 AND ${assignmentReachesPlayerSql('ta', '$2')}`,
+    [assignmentId, playerId]
+  );
+
+  if (assignmentResult.rows.length === 0) {
+    throw new AppError('Assignment not found', 404, 'ASSIGNMENT_NOT_FOUND');
+  }
+
+  const assignment = assignmentResult.rows[0];
+
+  if (assignment.status !== 'active' || (assignment.due_date && new Date(assignment.due_date) < new Date())) {
+    throw new AppError('This assignment is no longer open for submissions', 409, 'ASSIGNMENT_CLOSED');
+  }
+
+  const latestResult = await query(
+    `SELECT status FROM task_submissions
+     WHERE assignment_id = $1 AND player_id = $2
+     ORDER BY created_at DESC
+     LIMIT 1`,
+    [assignmentId, playerId]
+  );
+
+  const latest = latestResult.rows[0];
+  if (latest && latest.status !== 'needs_improvement') {
+    const messages = {
+      pending: 'Your previous submission is still awaiting review',
+      approved: 'You have already completed this task',
+      rejected: 'Your submission for this task was rejected'
+    };
+    throw new AppError(messages[latest.status], 409, 'SUBMISSION_NOT_ALLOWED');
+  }
+
+  await assertOwnedUpload(key, 'tasks', playerId);
+
+  if (thumbnailKey) {
+    await assertOwnedUpload(thumbnailKey, 'tasks', playerId, { checkExists: false, label: 'Thumbnail' });
+  }
+
+  const result = await query(
+    `INSERT INTO task_submissions
+     (assignment_id, player_id, video_url, thumbnail_url, duration_seconds, notes, status)
+     VALUES ($1, $2, $3, $4, $5, $6, 'pending')
+     RETURNING *`,
+    [
+      assignmentId,
+      playerId,
+      getPublicUrl(key),
+      thumbnailKey ? getPublicUrl(thumbnailKey) : null,
+      durationSeconds ? parseInt(durationSeconds) : null,
+      notes
+    ]
+  );
+
+  res.status(201).json({
+    success: true,
+    message: latest ? 'Resubmission received and awaiting review' : 'Submission received and awaiting review',
+    data: {
+      submission: result.rows[0]
+    }
+  });
+});
+
+// @desc    Get my submissions
+// @route   GET /api/tasks/submissions/mine
+// @access  Private (Player)
+const getMySubmissions = asyncHandler(async (req, res) => {
+  const { status } = req.query;
+  const playerId = await getPlayerProfileId(req.user.id);
+
+  const params = [playerId];
+  let statusClause = '';
+
+  if (status) {
+    statusClause = 'AND ts.status = $2';
+    params.push(status);
+  }
+
+  const result = await query(
+    `SELECT ts.*, tk.id as task_id, tk.title as task_title, tk.category as task_category,
+            ru.first_name as reviewer_first_name, ru.last_name as reviewer_last_name
+     FROM task_submissions ts
+     JOIN task_assignments ta ON ta.id = ts.assignment_id
+     JOIN tasks tk ON tk.id = ta.task_id
+     LEFT JOIN users ru ON ru.id = ts.reviewer_id
+     WHERE ts.player_id = $1 ${statusClause}
+     ORDER BY ts.created_at DESC`,
+    params
+  );
+
+  res.json({
+    success: true,
+    data: {
+      submissions: result.rows
+    }
+  });
+});
+
+// @desc    Get submissions awaiting review (coaches: their teams' players)
+// @route   GET /api/tasks/submissions/queue
+// @access  Private (Coach, Admin)
+const getReviewQueue = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, taskId, teamId, category } = req.query;
+
+  const offset = (page - 1) * limit;
+  const params = [];
+  let paramIndex = 1;
+  let whereClause = 'WHERE ts.status = \'pending\'';
+
+  if (taskId) {
+    whereClause += ` AND ta.task_id = $${paramIndex}`;
+    params.push(taskId);
+    paramIndex++;
+  }
+
+  if (category) {
+    whereClause += ` AND tk.category = $${paramIndex}`;
+    params.push(category);
+    paramIndex++;
+  }
+
+  if (teamId) {
+    whereClause += ` AND EXISTS (SELECT 1 FROM team_players tq
+      WHERE tq.player_id = ts.player_id AND tq.team_id = $${paramIndex} AND tq.is_active = true)`;
+    params.push(teamId);
+    paramIndex++;
+  }
+
+  if (req.user.userType === 'coach') {
+    whereClause += coachScopeClause(paramIndex);
+    params.push(req.user.id);
+    paramIndex++;
+  }
+
+  const fromClause = `FROM task_submissions ts
+     JOIN task_assignments ta ON ta.id = ts.assignment_id
+     JOIN tasks tk ON tk.id = ta.task_id`;
+
+  const countResult = await query(
+    `SELECT COUNT(*) as total ${fromClause} ${whereClause}`,
+    params
+  );
+
+  const total = parseInt(countResult.rows[0].total);
+
+  const submissionsResult = await query(
+    `SELECT ts.id, ts.assignment_id, ts.video_url, ts.thumbnail_url, ts.duration_seconds,
+            ts.notes, ts.created_at,
+            tk.id as task_id, tk.title as task_title, tk.category as task_category,
+            tk.requirements, ta.due_date, ta.instructions,
+            pp.id as player_id, u.first_name, u.last_name, pp.age_group, pp.primary_position,
+            (SELECT COUNT(*) FROM task_submissions prev
+             WHERE prev.assignment_id = ts.assignment_id AND prev.player_id = ts.player_id
+               AND prev.created_at < ts.created_at)::int as previous_attempts
+     ${fromClause}
+     JOIN player_profiles pp ON pp.id = ts.player_id
+     JOIN users u ON u.id = pp.user_id
+     ${whereClause}
+     ORDER BY ts.created_at ASC
+     LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`,
+    [...params, parseInt(limit), offset]
+  );
+
+  res.json({
+    success: true,
+    data: {
+      submissions: submissionsResult.rows,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    }
+  });
+});
+
+// @desc    Review a submission (approved / rejected / needs_improvement)
+// @route   PATCH /api/tasks/submissions/:submissionId/review
+// @access  Private (Coach, Admin)
+const reviewSubmission = asyncHandler(async (req, res) => {
+  const { submissionId } = req.params;
+  const { status, pointsAwarded, reviewNotes } = req.body;
+
+  if (status === 'approved' && !pointsAwarded) {
+    throw new AppError('pointsAwarded is required to approve a submission', 400, 'POINTS_REQUIRED');
+  }
+
+  if (status !== 'approved' && !reviewNotes) {
+    throw new AppError('reviewNotes are required when not approving', 400, 'NOTES_REQUIRED');
+  }
+
+  const submission = await transaction(async (client) => {
+    const params = [submissionId];
+    let scopeClause = '';
+
+    if (req.user.userType === 'coach') {
+      scopeClause = coachScopeClause(2);
+      params.push(req.user.id);
+    }
+
+    const pendingResult = await client.query(
+      `SELECT ts.*, ta.task_id, ta.assignment_type, tk.title as task_title, tk.category as task_category,
+              pp.user_id as player_user_id
+       FROM task_submissions ts
+       JOIN task_assignments ta ON ta.id = ts.assignment_id
+       JOIN tasks tk ON tk.id = ta.task_id
+       JOIN player_profiles pp ON pp.id = ts.player_id
+       WHERE ts.id = $1 ${scopeClause}
+       FOR UPDATE OF ts`,
+      params
+    );
+
+    if (pendingResult.rows.length === 0) {
+      throw new AppError('Submission not found', 404, 'SUBMISSION_NOT_FOUND');
+    }
+
+    const pending = pendingResult.rows[0];
+
+    if (pending.status !== 'pending') {
+      throw new AppError(`Submission has already been ${pending.status.replace('_', ' ')}`, 409, 'ALREADY_REVIEWED');
+    }
+
+    const points = status === 'approved' ? parseInt(pointsAwarded) : null;
+
+    const submissionResult = await client.query(
+      `UPDATE task_submissions SET
+         status = $2,
+         points_awarded = $3,
+         reviewer_id = $4,
+         review_notes = $5,
+         reviewed_at = NOW(),
+         updated_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [submissionId, status, points, req.user.id, reviewNotes]
+    );
+
+    if (status === 'approved') {
+      await client.query(
+        'UPDATE player_profiles SET total_tasks_completed = total_tasks_completed + 1 WHERE id = $1',
+        [pending.player_id]
+      );
+
+      await recalculateNovaScore(client, pending.player_id);
+
+      // Individual and group assignments are done once every target has an approval
+      await client.query(
+        `UPDATE task_assignments ta SET status = 'completed', updated_at = NOW()
+         WHERE ta.id = $1 AND ta.status = 'active'
+           AND (ta.assignment_type = 'individual'
+                OR (ta.assignment_type = 'group' AND NOT EXISTS (
+                  SELECT 1 FROM task_assignment_players tap
+                  WHERE tap.assignment_id = ta.id
+                    AND NOT EXISTS (
+                      SELECT 1 FROM task_submissions ok
+                      WHERE ok.assignment_id = ta.id AND ok.player_id = tap.player_id
+                        AND ok.status = 'approved'))))`,
+        [pending.assignment_id]
+      );
+
+      await client.query(
+        `INSERT INTO pulse_feed_events (player_id, event_type, title, description, data, importance)
+         VALUES ($1, 'task_completed', $2, $3, $4, $5)`,
+        [
+          pending.player_id,
+          'Task completed',
+          pending.task_title,
+          JSON.stringify({
+            taskId: pending.task_id,
+            assignmentId: pending.assignment_id,
+            submissionId,
+            category: pending.task_category,
+            pointsAwarded: points
+          }),
+          points >= 18 ? 'high' : 'normal'
+        ]
+      );
+    }
+
+    const titles = {
+      approved: `Task approved: ${pending.task_title}`,
+      rejected: `Task rejected: ${pending.task_title}`,
+      needs_improvement: `Try again: ${pending.task_title}`
+    };
+
+    await client.query(
+      `INSERT INTO notifications (user_id, title, body, notification_type, data)
+       VALUES ($1, $2, $3, 'task_reviewed', $4)`,
+      [
+        pending.player_user_id,
+        titles[status],
+        reviewNotes,
+        JSON.stringify({ submissionId, assignmentId: pending.assignment_id, status, pointsAwarded: points })
+      ]
+    );
+
+    return submissionResult.rows[0];
+  });
+
+  if (status === 'approved') {
+    await cache.del(`player:${submission.player_id}`);
+  }
+
+  res.json({
+    success: true,
+    message: `Submission ${status.replace('_', ' ')}`,
+    data: {
+      submission
+    }
+  });
+});
+
+module.exports = {
+  requestSubmissionUploadUrl,
+  createSubmission,
+  getMySubmissions,
+  getReviewQueue,
+  reviewSubmission
+};
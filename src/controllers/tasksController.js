@@ -0,0 +1,246 @@
+// =============================================================================
+// NoverThinker - Task Library Controller
+// =============================================================================
+
+const { query } = require('../config/database');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { buildUpdateSet } = require('../utils/sql');
+
+const TASK_FIELDS = {
+  title: 'title',
+  description: 'description',
+  category: 'category',
+  difficulty: 'difficulty',
+  requirements: 'requirements',
+  exampleVideoUrl: 'example_video_url',
+  thumbnailUrl: 'thumbnail_url',
+  estimatedDurationMinutes: 'estimated_duration_minutes',
+  equipmentNeeded: 'equipment_needed',
+  positionSpecific: 'position_specific',
+  isActive: 'is_active'
+};
+
+// Positions played across the coach's active rosters
+const getRosterPositions = async (coachId) => {
+  const result = await query(
+    `SELECT DISTINCT COALESCE(tp.position, pp.primary_position) as position
+     FROM team_players tp
+     JOIN teams t ON t.id = tp.team_id
+     JOIN player_profiles pp ON pp.id = tp.player_id
+     WHERE tp.is_active = true AND t.is_active = true
+       AND (t.head_coach_id = $1 OR t.assistant_coach_id = $1)
+       AND COALESCE(tp.position, pp.primary_position) IS NOT NULL
+     ORDER BY 1`,
+    [coachId]
+  );
+
+  return result.rows.map(r => r.position);
+};
+
+// @desc    Browse the task library
+// @route   GET /api/tasks
+// @access  Private (Coach, Admin)
+const getTasks = asyncHandler(async (req, res) => {
+  const {
+    page = 1,
+    limit = 20,
+    category,
+    difficulty,
+    position,
+    search,
+    myRoster,
+    includeInactive
+  } = req.query;
+
+  const offset = (page - 1) * limit;
+  const params = [];
+  let paramIndex = 1;
+
+  // Only admins see deactivated drills
+  const showInactive = includeInactive === 'true' && req.user.userType === 'admin';
+  let whereClause = showInactive ? 'WHERE 1=1' : 'WHERE t.is_active = true';
+
+  if (category) {
+    whereClause += ` AND t.category = $${paramIndex}`;
+    params.push(category);
+    paramIndex++;
+  }
+
+  if (difficulty) {
+    whereClause += ` AND t.difficulty = $${paramIndex}`;
+    params.push(difficulty);
+    paramIndex++;
+  }
+
+  if (search) {
+    whereClause += ` AND (t.title ILIKE $${paramIndex} OR t.description ILIKE $${paramIndex})`;
+    params.push(`%${search}%`);
+    paramIndex++;
+  }
+
+  // Drills with no position list suit every position
+  if (position) {
+    whereClause += ` AND (t.position_specific = '[]'::jsonb OR t.position_specific ? $${paramIndex})`;
+    params.push(position);
+    paramIndex++;
+  }
+
+  let rosterPositions = null;
+  if (myRoster === 'true') {
+    rosterPositions = await getRosterPositions(req.user.id);
+    whereClause += ` AND (t.position_specific = '[]'::jsonb OR t.position_specific ?| $${paramIndex}::text[])`;
+    params.push(rosterPositions);
+    paramIndex++;
+  }
+
+  const countResult = await query(
+    `SELECT COUNT(*) as total FROM tasks t ${whereClause}`,
+    params
+  );
+
+  const total = parseInt(countResult.rows[0].total);
+
+  const tasksResult = await query(
+    `SELECT t.*
+     FROM tasks t
+     ${whereClause}
+     ORDER BY t.category ASC, t.title ASC
+     LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`,
+    [...params, parseInt(limit), offset]
+  );
+
+  res.json({
+    success: true,
+    data: {
+      tasks: tasksResult.rows,
+      ...(rosterPositions && { rosterPositions }),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    }
+  });
+});
+
+// @desc    Get single task
+// @route   GET /api/tasks/:id
+// @access  Private (Coach, Admin)
+const getTask = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const result = await query('SELECT * FROM tasks WHERE id = $1', [id]);
+  const task = result.rows[0];
+
+  if (!task || (!task.is_active && req.user.userType !== 'admin')) {
+    throw new AppError('Task not found', 404, 'TASK_NOT_FOUND');
+  }
+
+  res.json({
+    success: true,
+    data: {
+      task
+    }
+  });
+});
+
+// @desc    Add a drill to the library
+// @route   POST /api/tasks
+// @access  Private (Admin)
+const createTask = asyncHandler(async (req, res) => {
+  const {
+    title,
+    description,
+    category,
+    difficulty = 'intermediate',
+    requirements = {},
+    exampleVideoUrl,
+    thumbnailUrl,
+    estimatedDurationMinutes,
+    equipmentNeeded = [],
+    positionSpecific = []
+  } = req.body;
+
+  const result = await query(
+    `INSERT INTO tasks
+     (title, description, category, difficulty, requirements, example_video_url, thumbnail_url,
+      estimated_duration_minutes, equipment_needed, position_specific, created_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+     RETURNING *`,
+    [title, description, category, difficulty, JSON.stringify(requirements), exampleVideoUrl,
+     thumbnailUrl, estimatedDurationMinutes, JSON.stringify(equipmentNeeded),
+     JSON.stringify(positionSpecific), req.user.id]
+  );
+
+  res.status(201).json({
+    success: true,
+    data: {
+      task: result.rows[0]
+    }
+  });
+});
+
+// @desc    Update a drill (isActive: true reactivates it)
+// @route   PUT /api/tasks/:id
+// @access  Private (Admin)
+const updateTask = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { setClause, values } = buildUpdateSet(req.body, TASK_FIELDS, 2);
+
+  if (!setClause) {
+    throw new AppError('No updatable fields provided', 400, 'NO_CHANGES');
+  }
+
+  const result = await query(
+    `UPDATE tasks SET ${setClause}
+     WHERE id = $1
+     RETURNING *`,
+    [id, ...values]
+  );
+
+  if (result.rows.length === 0) {
+    throw new AppError('Task not found', 404, 'TASK_NOT_FOUND');
+  }
+
+  res.json({
+    success: true,
+    data: {
+      task: result.rows[0]
+    }
+  });
+});
+
+// @desc    Deactivate a drill (kept for existing assignments)
+// @route   DELETE /api/tasks/:id
+// @access  Private (Admin)
+const deactivateTask = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const result = await query(
+    `UPDATE tasks SET is_active = false
+     WHERE id = $1
+     RETURNING id, is_active`,
+    [id]
+  );
+
+  if (result.rows.length === 0) {
+    throw new AppError('Task not found', 404, 'TASK_NOT_FOUND');
+  }
+
+  res.json({
+    success: true,
+    message: 'Task deactivated',
+    data: {
+      task: result.rows[0]
+    }
+  });
+});
+
+module.exports = {
+  getTasks,
+  getTask,
+  createTask,
+  updateTask,
+  deactivateTask
+};
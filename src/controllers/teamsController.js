@@ -0,0 +1,602 @@
+// =============================================================================
+// NoverThinker - Teams Controller
+// =============================================================================
+
+const { query, transaction } = require('../config/database');
+const { cache } = require('../config/redis');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { assertCanManageTeam, assertCanManagePlayer } = require('../utils/access');
+const { buildUpdateSet } = require('../utils/sql');
+
+const TEAM_FIELDS = {
+  name: 'name',
+  ageGroup: 'age_group',
+  season: 'season',
+  logoUrl: 'logo_url',
+  primaryColor: 'primary_color',
+  secondaryColor: 'secondary_color',
+  isActive: 'is_active'
+};
+
+// Ensure the team exists (404 before any permission check)
+const getTeamOrThrow = async (teamId) => {
+  const result = await query('SELECT * FROM teams WHERE id = $1', [teamId]);
+
+  if (result.rows.length === 0) {
+    throw new AppError('Team not found', 404, 'TEAM_NOT_FOUND');
+  }
+
+  return result.rows[0];
+};
+
+// Ensure a user exists and is a coach
+const assertCoachUser = async (userId, field) => {
+  const result = await query(
+    'SELECT id FROM users WHERE id = $1 AND user_type = \'coach\' AND is_active = true',
+    [userId]
+  );
+
+  if (result.rows.length === 0) {
+    throw new AppError(`${field} must reference an active coach`, 400, 'INVALID_COACH');
+  }
+};
+
+// Only one captain / vice captain per active roster
+const releaseRole = async (client, teamId, role, exceptPlayerId) => {
+  if (role !== 'captain' && role !== 'vice_captain') return;
+
+  await client.query(
+    `UPDATE team_players SET role = 'player'
+     WHERE team_id = $1 AND role = $2 AND is_active = true AND player_id != $3`,
+    [teamId, role, exceptPlayerId]
+  );
+};
+
+// Jersey numbers must be unique within an active roster
+const assertJerseyAvailable = async (client, teamId, jerseyNumber, exceptPlayerId) => {
+  if (jerseyNumber === undefined || jerseyNumber === null) return;
+
+  const result = await client.query(
+    `SELECT player_id FROM team_players
+     WHERE team_id = $1 AND jersey_number = $2 AND is_active = true AND player_id != $3`,
+    [teamId, jerseyNumber, exceptPlayerId]
+  );
+
+  if (result.rows.length > 0) {
+    throw new AppError(`Jersey number ${jerseyNumber} is already taken in this team`, 409, 'JERSEY_TAKEN');
+  }
+};
+
+// @desc    Get teams
+// @route   GET /api/teams
+// @access  Public
+const getTeams = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, clubId, ageGroup, season, coachId, includeInactive } = req.query;
+
+  const offset = (page - 1) * limit;
+  const params = [];
+  let paramIndex = 1;
+  let whereClause = includeInactive === 'true' ? 'WHERE 1=1' : 'WHERE t.is_active = true';
+
+  if (clubId) {
+    whereClause += ` AND t.club_id = $${paramIndex}`;
+    params.push(clubId);
+    paramIndex++;
+  }
+
+  if (ageGroup) {
+    whereClause += ` AND t.age_group = $${paramIndex}`;
+    params.push(ageGroup);
+    paramIndex++;
+  }
+
+  if (season) {
+    whereClause += ` AND t.season = $${paramIndex}`;
+    params.push(season);
+    paramIndex++;
+  }
+
+  if (coachId) {
+    whereClause += ` AND (t.head_coach_id = $${paramIndex} OR t.assistant_coach_id = $${paramIndex})`;
+    params.push(coachId);
+    paramIndex++;
+  }
+
+  const countResult = await query(
+    `SELECT COUNT(*) as total FROM teams t ${whereClause}`,
+    params
+  );
+
+  const total = parseInt(countResult.rows[0].total);
+
+  const teamsResult = await query(
+    `SELECT t.id, t.name, t.age_group, t.season, t.logo_url, t.primary_color, t.secondary_color,
+            t.head_coach_id, t.assistant_coach_id, t.is_active,
+            c.id as club_id, c.name as club_name, c.logo_url as club_logo,
+            (SELECT COUNT(*) FROM team_players tp WHERE tp.team_id = t.id AND tp.is_active = true)::int as players_count
+     FROM teams t
+     LEFT JOIN clubs c ON c.id = t.club_id
+     ${whereClause}
+     ORDER BY c.name ASC, t.age_group ASC
+     LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`,
+    [...params, parseInt(limit), offset]
+  );
+
+  res.json({
+    success: true,
+    data: {
+      teams: teamsResult.rows,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    }
+  });
+});
+
+// @desc    Get single team with coaches
+// @route   GET /api/teams/:id
+// @access  Public
+const getTeam = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const teamResult = await query(
+    `SELECT t.*,
+            c.name as club_name, c.short_name as club_short_name, c.logo_url as club_logo, c.city as club_city,
+            hc.first_name as head_coach_first_name, hc.last_name as head_coach_last_name,
+            ac.first_name as assistant_coach_first_name, ac.last_name as assistant_coach_last_name,
+            (SELECT COUNT(*) FROM team_players tp WHERE tp.team_id = t.id AND tp.is_active = true)::int as players_count
+     FROM teams t
+     LEFT JOIN clubs c ON c.id = t.club_id
+     LEFT JOIN users hc ON hc.id = t.head_coach_id
+     LEFT JOIN users ac ON ac.id = t.assistant_coach_id
+     WHERE t.id = $1`,
+    [id]
+  );
+
+  if (teamResult.rows.length === 0) {
+    throw new AppError('Team not found', 404, 'TEAM_NOT_FOUND');
+  }
+
+  const team = teamResult.rows[0];
+
+  res.json({
+    success: true,
+    data: {
+      team: {
+        id: team.id,
+        name: team.name,
+        ageGroup: team.age_group,
+        season: team.season,
+        logoUrl: team.logo_url,
+        primaryColor: team.primary_color,
+        secondaryColor: team.secondary_color,
+        isActive: team.is_active,
+        playersCount: team.players_count,
+        club: team.club_id ? {
+          id: team.club_id,
+          name: team.club_name,
+          shortName: team.club_short_name,
+          logo: team.club_logo,
+          city: team.club_city
+        } : null,
+        headCoach: team.head_coach_id ? {
+          id: team.head_coach_id,
+          firstName: team.head_coach_first_name,
+          lastName: team.head_coach_last_name
+        } : null,
+        assistantCoach: team.assistant_coach_id ? {
+          id: team.assistant_coach_id,
+          firstName: team.assistant_coach_first_name,
+          lastName: team.assistant_coach_last_name
+        } : null
+      }
+    }
+  });
+});
+
+// @desc    Get team roster
+// @route   GET /api/teams/:id/roster
+// @access  Public
+const getRoster = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  await getTeamOrThrow(id);
+
+  const rosterResult = await query(
+    `SELECT tp.id as membership_id, tp.jersey_number, tp.position, tp.role, tp.joined_date,
+            pp.id as player_id, u.first_name, u.last_name, u.avatar_url,
+            pp.age_group, pp.primary_position, pp.nova_score, pp.stars, pp.star_type
+     FROM team_players tp
+     JOIN player_profiles pp ON pp.id = tp.player_id
+     JOIN users u ON u.id = pp.user_id
+     WHERE tp.team_id = $1 AND tp.is_active = true
+     ORDER BY tp.jersey_number ASC NULLS LAST, u.last_name ASC`,
+    [id]
+  );
+
+  res.json({
+    success: true,
+    data: {
+      teamId: id,
+      players: rosterResult.rows
+    }
+  });
+});
+
+// @desc    Create team
+// @route   POST /api/teams
+// @access  Private (Admin)
+const createTeam = asyncHandler(async (req, res) => {
+  const {
+    clubId,
+    name,
+    ageGroup,
+    season,
+    headCoachId,
+    assistantCoachId,
+    logoUrl,
+    primaryColor,
+    secondaryColor
+  } = req.body;
+
+  if (headCoachId) await assertCoachUser(headCoachId, 'headCoachId');
+  if (assistantCoachId) await assertCoachUser(assistantCoachId, 'assistantCoachId');
+
+  const result = await query(
+    `INSERT INTO teams
+     (club_id, name, age_group, season, head_coach_id, assistant_coach_id, logo_url, primary_color, secondary_color)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+     RETURNING *`,
+    [clubId, name, ageGroup, season, headCoachId, assistantCoachId, logoUrl, primaryColor, secondaryColor]
+  );
+
+  res.status(201).json({
+    success: true,
+    data: {
+      team: result.rows[0]
+    }
+  });
+});
+
+// @desc    Update team
+// @route   PUT /api/teams/:id
+// @access  Private (Admin, Team coaches)
+const updateTeam = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  await getTeamOrThrow(id);
+  await assertCanManageTeam(req.user, id);
+
+  const { setClause, values } = buildUpdateSet(req.body, TEAM_FIELDS, 2);
+
+  if (!setClause) {
+    throw new AppError('No updatable fields provided', 400, 'NO_CHANGES');
+  }
+
+  const result = await query(
+    `UPDATE teams SET ${setClause}
+     WHERE id = $1
+     RETURNING *`,
+    [id, ...values]
+  );
+
+  res.json({
+    success: true,
+    data: {
+      team: result.rows[0]
+    }
+  });
+});
+
+// @desc    Assign head / assistant coach
+// @route   PUT /api/teams/:id/coaches
+// @access  Private (Admin, Team coaches; head coach only: Admin, Head coach)
+const assignCoaches = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { headCoachId, assistantCoachId } = req.body;
+
+  const team = await getTeamOrThrow(id);
+  await assertCanManageTeam(req.user, id);
+
+  if (headCoachId === undefined && assistantCoachId === undefined) {
+    throw new AppError('Provide headCoachId and/or assistantCoachId', 400, 'NO_CHANGES');
+  }
+
+  // The assistant coach may not hand the team to someone else
+  if (headCoachId !== undefined && req.user.userType !== 'admin' && team.head_coach_id !== req.user.id) {
+    throw new AppError('Only admins and the head coach can change the head coach', 403, 'FORBIDDEN');
+  }
+
+  if (headCoachId) await assertCoachUser(headCoachId, 'headCoachId');
+  if (assistantCoachId) await assertCoachUser(assistantCoachId, 'assistantCoachId');
+
+  const nextHead = headCoachId === undefined ? team.head_coach_id : headCoachId;
+  const nextAssistant = assistantCoachId === undefined ? team.assistant_coach_id : assistantCoachId;
+
+  if (nextHead && nextHead === nextAssistant) {
+    throw new AppError('Head and assistant coach must be different people', 400, 'INVALID_COACH');
+  }
+
+  const { setClause, values } = buildUpdateSet(
+    req.body,
+    { headCoachId: 'head_coach_id', assistantCoachId: 'assistant_coach_id' },
+    2
+  );
+
+  const result = await query(
+    `UPDATE teams SET ${setClause}
+     WHERE id = $1
+     RETURNING id, name, head_coach_id, assistant_coach_id`,
+    [id, ...values]
+  );
+
+  res.json({
+    success: true,
+    data: {
+      team: result.rows[0]
+    }
+  });
+});
+
+// @desc    Add player to roster
+// @route   POST /api/teams/:id/players
+// @access  Private (Admin, Team coaches)
+const addRosterPlayer = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { playerId, jerseyNumber, position, role = 'player' } = req.body;
+
+  await getTeamOrThrow(id);
+  await assertCanManageTeam(req.user, id);
+
+  const membership = await transaction(async (client) => {
+    await assertJerseyAvailable(client, id, jerseyNumber, playerId);
+    await releaseRole(client, id, role, playerId);
+
+    const result = await client.query(
+      `INSERT INTO team_players (team_id, player_id, jersey_number, position, role, is_active)
+       VALUES ($1, $2, $3, $4, $5, true)
+       RETURNING *`,
+      [id, playerId, jerseyNumber, position, role]
+    );
+
+    return result.rows[0];
+  });
+
+  await cache.del(`player:${playerId}`);
+
+  res.status(201).json({
+    success: true,
+    data: {
+      membership
+    }
+  });
+});
+
+// @desc    Update roster entry (jersey number, position, role)
+// @route   PATCH /api/teams/:id/players/:playerId
+// @access  Private (Admin, Team coaches)
+const updateRosterPlayer = asyncHandler(async (req, res) => {
+  const { id, playerId } = req.params;
+
+  await getTeamOrThrow(id);
+  await assertCanManageTeam(req.user, id);
+
+  const { setClause, values } = buildUpdateSet(
+    req.body,
+    { jerseyNumber: 'jersey_number', position: 'position', role: 'role' },
+    3
+  );
+
+  if (!setClause) {
+    throw new AppError('No updatable fields provided', 400, 'NO_CHANGES');
+  }
+
+  const membership = await transaction(async (client) => {
+    await assertJerseyAvailable(client, id, req.body.jerseyNumber, playerId);
+
+    if (req.body.role) {
+      await releaseRole(client, id, req.body.role, playerId);
+    }
+
+    const result = await client.query(
+      `UPDATE team_players SET ${setClause}
+       WHERE team_id = $1 AND player_id = $2 AND is_active = true
+       RETURNING *`,
+      [id, playerId, ...values]
+    );
+
+    if (result.rows.length === 0) {
+      throw new AppError('Player is not on this team\'s active roster', 404, 'NOT_ON_ROSTER');
+    }
+
+    return result.rows[0];
+  });
+
+  await cache.del(`player:${playerId}`);
+
+  res.json({
+    success: true,
+    data: {
+      membership
+    }
+  });
+});
+
+// @desc    Remove player from roster (closes the membership, keeps history)
+// @route   DELETE /api/teams/:id/players/:playerId
+// @access  Private (Admin, Team coaches)
+const removeRosterPlayer = asyncHandler(async (req, res) => {
+  const { id, playerId } = req.params;
+  const { leftDate } = req.body || {};
+
+  await getTeamOrThrow(id);
+  await assertCanManageTeam(req.user, id);
+
+  const result = await query(
+    `UPDATE team_players SET is_active = false, left_date = COALESCE($3::date, CURRENT_DATE)
+     WHERE team_id = $1 AND player_id = $2 AND is_active = true
+     RETURNING *`,
+    [id, playerId, leftDate || null]
+  );
+
+  if (result.rows.length === 0) {
+    throw new AppError('Player is not on this team\'s active roster', 404, 'NOT_ON_ROSTER');
+  }
+
+  await cache.del(`player:${playerId}`);
+
+  res.json({
+    success: true,
+    message: 'Player removed from roster',
+    data: {
+      membership: result.rows[0]
+    }
+  });
+});
+
+// @desc    Transfer player between teams (closes current stint, opens new one)
+// @route   POST /api/players/:id/transfer
+// @access  Private (Admin, Coaches of the source team)
+const transferPlayer = asyncHandler(async (req, res) => {
+  const { id: playerId } = req.params;
+  const {
+    toTeamId,
+    fromTeamId,
+    jerseyNumber,
+    position,
+    role = 'player',
+    effectiveDate
+  } = req.body;
+
+  const targetTeam = await getTeamOrThrow(toTeamId);
+
+  if (!targetTeam.is_active) {
+    throw new AppError('Cannot transfer into an inactive team', 400, 'TEAM_INACTIVE');
+  }
+
+  const result = await transaction(async (client) => {
+    // Lock the player's active memberships so concurrent transfers serialise
+    const activeResult = await client.query(
+      `SELECT * FROM team_players
+       WHERE player_id = $1 AND is_active = true
+       FOR UPDATE`,
+      [playerId]
+    );
+
+    let current = null;
+    if (fromTeamId) {
+      current = activeResult.rows.find(m => m.team_id === fromTeamId);
+      if (!current) {
+        throw new AppError('Player is not on the source team\'s active roster', 404, 'NOT_ON_ROSTER');
+      }
+    } else if (activeResult.rows.length > 1) {
+      throw new AppError('Player has several active teams; specify fromTeamId', 400, 'AMBIGUOUS_SOURCE_TEAM');
+    } else {
+      current = activeResult.rows[0] || null;
+    }
+
+    if (current && current.team_id === toTeamId) {
+      throw new AppError('Player is already on this team', 409, 'ALREADY_ON_TEAM');
+    }
+
+    // Releasing team decides; free agents can be signed by the target team
+    await assertCanManageTeam(req.user, current ? current.team_id : toTeamId);
+
+    await assertJerseyAvailable(client, toTeamId, jerseyNumber, playerId);
+
+    let closed = null;
+    if (current) {
+      const closedResult = await client.query(
+        `UPDATE team_players SET is_active = false, left_date = COALESCE($2::date, CURRENT_DATE)
+         WHERE id = $1
+         RETURNING *`,
+        [current.id, effectiveDate || null]
+      );
+      closed = closedResult.rows[0];
+    }
+
+    await releaseRole(client, toTeamId, role, playerId);
+
+    const openedResult = await client.query(
+      `INSERT INTO team_players (team_id, player_id, jersey_number, position, role, joined_date, is_active)
+       VALUES ($1, $2, $3, COALESCE($4, $7), $5, COALESCE($6::date, CURRENT_DATE), true)
+       RETURNING *`,
+      [toTeamId, playerId, jerseyNumber, position, role, effectiveDate || null, current ? current.position : null]
+    );
+
+    return { closed, opened: openedResult.rows[0] };
+  });
+
+  await cache.del(`player:${playerId}`);
+
+  res.status(201).json({
+    success: true,
+    message: 'Player transferred',
+    data: {
+      previousMembership: result.closed,
+      membership: result.opened
+    }
+  });
+});
+
+// @desc    Get player career timeline (every club / team stint)
+// @route   GET /api/players/:id/career
+// @access  Public (public profiles) / Player, Coach, Admin
+const getPlayerCareer = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const playerResult = await query(
+    'SELECT id, profile_visibility FROM player_profiles WHERE id = $1',
+    [id]
+  );
+
+  if (playerResult.rows.length === 0) {
+    throw new AppError('Player not found', 404, 'PLAYER_NOT_FOUND');
+  }
+
+  if (playerResult.rows[0].profile_visibility !== 'public') {
+    if (!req.user) {
+      throw new AppError('Player not found', 404, 'PLAYER_NOT_FOUND');
+    }
+    await assertCanManagePlayer(req.user, id);
+  }
+
+  const careerResult = await query(
+    `SELECT tp.id as membership_id, tp.jersey_number, tp.position, tp.role,
+            tp.joined_date, tp.left_date, tp.is_active,
+            (COALESCE(tp.left_date, CURRENT_DATE) - tp.joined_date) as days,
+            t.id as team_id, t.name as team_name, t.age_group, t.season,
+            c.id as club_id, c.name as club_name, c.logo_url as club_logo
+     FROM team_players tp
+     JOIN teams t ON t.id = tp.team_id
+     LEFT JOIN clubs c ON c.id = t.club_id
+     WHERE tp.player_id = $1
+     ORDER BY tp.joined_date DESC, tp.created_at DESC`,
+    [id]
+  );
+
+  res.json({
+    success: true,
+    data: {
+      playerId: id,
+      stints: careerResult.rows,
+      clubsCount: new Set(careerResult.rows.map(r => r.club_id).filter(Boolean)).size
+    }
+  });
+});
+
+module.exports = {
+  getTeams,
+  getTeam,
+  getRoster,
+  createTeam,
+  updateTeam,
+  assignCoaches,
+  addRosterPlayer,
+  updateRosterPlayer,
+  removeRosterPlayer,
+  transferPlayer,
+  getPlayerCareer
+};
@@ -0,0 +1,749 @@
+// =============================================================================
+// NoverThinker - Videos Controller
+// =============================================================================
+
+const { query, transaction } = require('../config/database');
+const { cache } = require('../config/redis');
+const { getPublicUrl } = require('../config/storage');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { getPlayerProfileId } = require('../utils/access');
+const { prepareVideoUpload, assertOwnedUpload } = require('../utils/uploads');
+const { recalculateNovaScore } = require('../utils/novaScoreStore');
+
+// Impact level -> NovaScore video points
+const IMPACT_POINTS = {
+  low: 5,
+  medium: 10,
+  high: 15
+};
+
+// Repeat views from the same viewer within this window are not counted
+const VIEW_DEDUPE_WINDOW_SECONDS = parseInt(process.env.VIDEO_VIEW_DEDUPE_SECONDS) || 1800;
+
+// @desc    Request a presigned upload URL
+// @route   POST /api/videos/upload-url
+// @access  Private (Player)
+const requestUploadUrl = asyncHandler(async (req, res) => {
+  const playerId = await getPlayerProfileId(req.user.id);
+  const upload = await prepareVideoUpload('videos', playerId, req.body);
+
+  res.status(201).json({
+    success: true,
+    data: upload
+  });
+});
+
+// @desc    Confirm an upload and create the video (pending moderation)
+// @route   POST /api/videos
+// @access  Private (Player)
+const createVideo = asyncHandler(async (req, res) => {
+  const {
+    key,
+    title,
+    description,
+    category,
+    visibility = 'public',
+    durationSeconds,
+    thumbnailKey
+  } = req.body;
+
+  const playerId = await getPlayerProfileId(req.user.id);
+
+  // Players can only confirm objects uploaded under their own prefix
+  await assertOwnedUpload(key, 'videos', playerId);
+
+  if (thumbnailKey) {
+    await assertOwnedUpload(thumbnailKey, 'videos', playerId, { checkExists: false, label: 'Thumbnail' });
+  }
+
+  const result = await query(
+    `INSERT INTO videos
+     (player_id, title, description, category, video_url, thumbnail_url, duration_seconds, visibility, status)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, 'pending')
+     RETURNING *`,
+    [
+      playerId,
+      title,
+      description,
+      category,
+      getPublicUrl(key),
+      thumbnailKey ? getPublicUrl(thumbnailKey) : null,
+      durationSeconds ? parseInt(durationSeconds) : null,
+      visibility
+    ]
+  );
+
+  res.status(201).json({
+    success: true,
+    message: 'Video uploaded and awaiting moderation',
+    data: {
+      video: result.rows[0]
+    }
+  });
+});
+
+// @desc    Get current player's videos
+// @route   GET /api/videos/mine
+// @access  Private (Player)
+const getMyVideos = asyncHandler(async (req, res) => {
+  const { status, category } = req.query;
+  const playerId = await getPlayerProfileId(req.user.id);
+
+  const params = [playerId];
+  let paramIndex = 2;
+  let whereClause = 'WHERE v.player_id = $1';
+
+  if (status) {
+    whereClause += ` AND v.status = $${paramIndex}`;
+    params.push(status);
+    paramIndex++;
+  }
+
+  if (category) {
+    whereClause += ` AND v.category = $${paramIndex}`;
+    params.push(category);
+    paramIndex++;
+  }
+
+  const result = await query(
+    `SELECT v.*
+     FROM videos v
+     ${whereClause}
+     ORDER BY v.created_at DESC`,
+    params
+  );
+
+  res.json({
+    success: true,
+    data: {
+      videos: result.rows
+    }
+  });
+});
+
+// Keyset cursor helpers: "<created_at ISO>|<id>" encoded as base64url. The
+// timestamp comes from Postgres as text with full microseconds (cursor_created_at);
+// a JS Date would cut it to milliseconds and skip rows in the same millisecond.
+const encodeFeedCursor = (row) =>
+  Buffer.from(`${row.cursor_created_at}|${row.id}`).toString('base64url');
+
+const decodeFeedCursor = (cursor) => {
+  const [createdAt, id] = Buffer.from(cursor, 'base64url').toString('utf8').split('|');
+  if (!createdAt || !id || isNaN(Date.parse(createdAt))) {
+    throw new AppError('Invalid cursor', 400, 'INVALID_CURSOR');
+  }
+  return { createdAt, id };
+};
+
+// @desc    Public discovery feed of approved videos (keyset paginated)
+// @route   GET /api/videos/feed
+// @access  Public (watchlist mode: Agent)
+const getFeed = asyncHandler(async (req, res) => {
+  const {
+    limit = 20,
+    cursor,
+    category,
+    position,
+    ageGroup,
+    watchlistOnly
+  } = req.query;
+
+  const params = [];
+  let paramIndex = 1;
+  let joinClause = '';
+  let whereClause = `WHERE v.status = 'approved' AND v.visibility = 'public'
+    AND pp.profile_visibility = 'public'`;
+
+  if (watchlistOnly === 'true') {
+    if (!req.user || req.user.userType !== 'agent') {
+      throw new AppError('Watchlist feed is only available to agents', 403, 'FORBIDDEN');
+    }
+    joinClause = `JOIN agent_watchlists aw ON aw.player_id = v.player_id
+      JOIN agent_profiles ap ON ap.id = aw.agent_id AND ap.user_id = $${paramIndex}`;
+    params.push(req.user.id);
+    paramIndex++;
+  }
+
+  if (category) {
+    whereClause += ` AND v.category = $${paramIndex}`;
+    params.push(category);
+    paramIndex++;
+  }
+
+  if (position) {
+    whereClause += ` AND (pp.primary_position = $${paramIndex} OR pp.secondary_position = $${paramIndex})`;
+    params.push(position);
+    paramIndex++;
+  }
+
+  if (ageGroup) {
+    whereClause += ` AND pp.age_group = $${paramIndex}`;
+    params.push(ageGroup);
+    paramIndex++;
+  }
+
+  if (cursor) {
+    const { createdAt, id } = decodeFeedCursor(cursor);
+    whereClause += ` AND (v.created_at, v.id) < ($${paramIndex}::timestamptz, $${paramIndex + 1})`;
+    params.push(createdAt, id);
+    paramIndex += 2;
+  }
+
+  const pageSize = parseInt(limit);
+
+  // Fetch one extra row to know whether another page exists
+  const videosResult = await query(
+    `SELECT v.id, v.title, v.description, v.category, v.video_url, v.thumbnail_url,
+            v.duration_seconds, v.impact_level, v.views_count, v.likes_count,
+            v.comments_count, v.created_at,
+            to_char(v.created_at AT TIME ZONE 'UTC', 'YYYY-MM-DD"T"HH24:MI:SS.US"Z"') as cursor_created_at,
+            pp.id as player_id, u.first_name, u.last_name, u.avatar_url,
+            pp.primary_position, pp.age_group, pp.nova_score,
+            club.name as club_name, club.logo_url as club_logo
+     FROM videos v
+     JOIN player_profiles pp ON pp.id = v.player_id
+     JOIN users u ON u.id = pp.user_id
+     ${joinClause}
+     LEFT JOIN LATERAL (
+       SELECT c.name, c.logo_url
+       FROM team_players tp
+       JOIN teams t ON t.id = tp.team_id
+       JOIN clubs c ON c.id = t.club_id
+       WHERE tp.player_id = pp.id AND tp.is_active = true
+       LIMIT 1
+     ) club ON true
+     ${whereClause}
+     ORDER BY v.created_at DESC, v.id DESC
+     LIMIT $${paramIndex}`,
+    [...params, pageSize + 1]
+  );
+
+  const hasMore = videosResult.rows.length > pageSize;
+  const rows = videosResult.rows.slice(0, pageSize);
+  const videos = rows.map(({ cursor_created_at, ...video }) => video);
+
+  res.json({
+    success: true,
+    data: {
+      videos,
+      pagination: {
+        limit: pageSize,
+        nextCursor: hasMore ? encodeFeedCursor(rows[rows.length - 1]) : null,
+        hasMore
+      }
+    }
+  });
+});
+
+// Load a video the current user is allowed to see
+// (approved public videos for everyone; owner, coaches and admins see all)
+const getAccessibleVideo = async (videoId, user) => {
+  const result = await query(
+    `SELECT v.*, u.id as owner_user_id, u.first_name, u.last_name, u.avatar_url,
+            pp.primary_position, pp.age_group
+     FROM videos v
+     JOIN player_profiles pp ON pp.id = v.player_id
+     JOIN users u ON u.id = pp.user_id
+     WHERE v.id = $1`,
+    [videoId]
+  );
+
+  if (result.rows.length === 0) {
+    throw new AppError('Video not found', 404, 'VIDEO_NOT_FOUND');
+  }
+
+  const { owner_user_id: ownerUserId, ...video } = result.rows[0];
+
+  const isPubliclyVisible = video.status === 'approved' && video.visibility === 'public';
+  const isOwner = user && user.id === ownerUserId;
+  const isStaff = user && ['coach', 'admin'].includes(user.userType);
+
+  if (!isPubliclyVisible && !isOwner && !isStaff) {
+    throw new AppError('Video not found', 404, 'VIDEO_NOT_FOUND');
+  }
+
+  return { video, ownerUserId };
+};
+
+// @desc    Get single video
+// @route   GET /api/videos/:id
+// @access  Public (approved public videos) / Owner, Coach, Admin
+const getVideo = asyncHandler(async (req, res) => {
+  const { video } = await getAccessibleVideo(req.params.id, req.user);
+
+  res.json({
+    success: true,
+    data: {
+      video
+    }
+  });
+});
+
+// Restrict coaches to videos from players in teams they coach
+const coachScopeClause = (paramIndex) => `
+  AND EXISTS (
+    SELECT 1 FROM team_players tp
+    JOIN teams t ON t.id = tp.team_id
+    WHERE tp.player_id = v.player_id AND tp.is_active = true
+      AND (t.head_coach_id = $${paramIndex} OR t.assistant_coach_id = $${paramIndex})
+  )`;
+
+// Load a pending video for moderation, enforcing coach scope
+const getVideoForModeration = async (client, videoId, user) => {
+  const params = [videoId];
+  let scopeClause = '';
+
+  if (user.userType === 'coach') {
+    scopeClause = coachScopeClause(2);
+    params.push(user.id);
+  }
+
+  const result = await client.query(
+    `SELECT v.* FROM videos v
+     WHERE v.id = $1 ${scopeClause}
+     FOR UPDATE`,
+    params
+  );
+
+  if (result.rows.length === 0) {
+    throw new AppError('Video not found', 404, 'VIDEO_NOT_FOUND');
+  }
+
+  const video = result.rows[0];
+
+  if (video.status !== 'pending') {
+    throw new AppError(`Video has already been ${video.status}`, 409, 'VIDEO_ALREADY_MODERATED');
+  }
+
+  return video;
+};
+
+// @desc    Get moderation queue (pending videos, oldest first)
+// @route   GET /api/videos/moderation/queue
+// @access  Private (Coach, Admin)
+const getModerationQueue = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, category, ageGroup } = req.query;
+
+  const offset = (page - 1) * limit;
+  const params = [];
+  let paramIndex = 1;
+  let whereClause = 'WHERE v.status = \'pending\'';
+
+  if (category) {
+    whereClause += ` AND v.category = $${paramIndex}`;
+    params.push(category);
+    paramIndex++;
+  }
+
+  if (ageGroup) {
+    whereClause += ` AND pp.age_group = $${paramIndex}`;
+    params.push(ageGroup);
+    paramIndex++;
+  }
+
+  if (req.user.userType === 'coach') {
+    whereClause += coachScopeClause(paramIndex);
+    params.push(req.user.id);
+    paramIndex++;
+  }
+
+  const countResult = await query(
+    `SELECT COUNT(*) as total
+     FROM videos v
+     JOIN player_profiles pp ON pp.id = v.player_id
+     ${whereClause}`,
+    params
+  );
+
+  const total = parseInt(countResult.rows[0].total);
+
+  const videosResult = await query(
+    `SELECT v.id, v.title, v.description, v.category, v.video_url, v.thumbnail_url,
+            v.duration_seconds, v.visibility, v.created_at,
+            pp.id as player_id, u.first_name, u.last_name, pp.age_group, pp.primary_position
+     FROM videos v
+     JOIN player_profiles pp ON pp.id = v.player_id
+     JOIN users u ON u.id = pp.user_id
+     ${whereClause}
+     ORDER BY v.created_at ASC
+     LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`,
+    [...params, parseInt(limit), offset]
+  );
+
+  res.json({
+    success: true,
+    data: {
+      videos: videosResult.rows,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    }
+  });
+});
+
+// @desc    Approve a video and award impact points
+// @route   PATCH /api/videos/:id/approve
+// @access  Private (Coach, Admin)
+const approveVideo = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { impactLevel, moderationNotes } = req.body;
+  const impactPoints = IMPACT_POINTS[impactLevel];
+
+  const video = await transaction(async (client) => {
+    const pending = await getVideoForModeration(client, id, req.user);
+
+    const videoResult = await client.query(
+      `UPDATE videos SET
+         status = 'approved',
+         impact_level = $2,
+         impact_points = $3,
+         moderator_id = $4,
+         moderation_notes = $5,
+         moderated_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [id, impactLevel, impactPoints, req.user.id, moderationNotes]
+    );
+
+    await client.query(
+      'UPDATE player_profiles SET total_videos = total_videos + 1 WHERE id = $1',
+      [pending.player_id]
+    );
+
+    await recalculateNovaScore(client, pending.player_id);
+
+    await client.query(
+      `INSERT INTO pulse_feed_events (player_id, event_type, title, description, data, importance)
+       VALUES ($1, 'video_approved', $2, $3, $4, $5)`,
+      [
+        pending.player_id,
+        'New video approved',
+        pending.title,
+        JSON.stringify({
+          videoId: id,
+          category: pending.category,
+          impactLevel,
+          impactPoints
+        }),
+        impactLevel === 'high' ? 'high' : 'normal'
+      ]
+    );
+
+    return videoResult.rows[0];
+  });
+
+  await cache.del(`player:${video.player_id}`);
+
+  res.json({
+    success: true,
+    message: 'Video approved',
+    data: {
+      video
+    }
+  });
+});
+
+// @desc    Reject a video
+// @route   PATCH /api/videos/:id/reject
+// @access  Private (Coach, Admin)
+const rejectVideo = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { moderationNotes } = req.body;
+
+  const video = await transaction(async (client) => {
+    await getVideoForModeration(client, id, req.user);
+
+    const videoResult = await client.query(
+      `UPDATE videos SET
+         status = 'rejected',
+         moderator_id = $2,
+         moderation_notes = $3,
+         moderated_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [id, req.user.id, moderationNotes]
+    );
+
+    return videoResult.rows[0];
+  });
+
+  res.json({
+    success: true,
+    message: 'Video rejected',
+    data: {
+      video
+    }
+  });
+});
+
+// @desc    Like a video (idempotent)
+// @route   POST /api/videos/:id/like
+// @access  Private
+const likeVideo = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  await getAccessibleVideo(id, req.user);
+
+  // Counter only moves when a like row is actually inserted; the
+  // UNIQUE(video_id, user_id) constraint serialises concurrent likes
+  const likesCount = await transaction(async (client) => {
+    const inserted = await client.query(
+      `INSERT INTO video_likes (video_id, user_id)
+       VALUES ($1, $2)
+       ON CONFLICT (video_id, user_id) DO NOTHING
+       RETURNING id`,
+      [id, req.user.id]
+    );
+
+    const videoResult = inserted.rows.length > 0
+      ? await client.query(
+        'UPDATE videos SET likes_count = likes_count + 1 WHERE id = $1 RETURNING likes_count',
+        [id]
+      )
+      : await client.query('SELECT likes_count FROM videos WHERE id = $1', [id]);
+
+    return videoResult.rows[0].likes_count;
+  });
+
+  res.json({
+    success: true,
+    data: {
+      liked: true,
+      likesCount
+    }
+  });
+});
+
+// @desc    Unlike a video (idempotent)
+// @route   DELETE /api/videos/:id/like
+// @access  Private
+const unlikeVideo = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  await getAccessibleVideo(id, req.user);
+
+  const likesCount = await transaction(async (client) => {
+    const deleted = await client.query(
+      'DELETE FROM video_likes WHERE video_id = $1 AND user_id = $2 RETURNING id',
+      [id, req.user.id]
+    );
+
+    const videoResult = deleted.rows.length > 0
+      ? await client.query(
+        'UPDATE videos SET likes_count = GREATEST(likes_count - 1, 0) WHERE id = $1 RETURNING likes_count',
+        [id]
+      )
+      : await client.query('SELECT likes_count FROM videos WHERE id = $1', [id]);
+
+    return videoResult.rows[0].likes_count;
+  });
+
+  res.json({
+    success: true,
+    data: {
+      liked: false,
+      likesCount
+    }
+  });
+});
+
+// @desc    Record a video view (de-duplicated per viewer within a window)
+// @route   POST /api/videos/:id/view
+// @access  Public
+const recordView = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  await getAccessibleVideo(id, req.user);
+
+  const viewerKey = req.user ? `user:${req.user.id}` : `ip:${req.ip}`;
+  const isNewView = await cache.setIfNotExists(
+    `video_view:${id}:${viewerKey}`,
+    1,
+    VIEW_DEDUPE_WINDOW_SECONDS
+  );
+
+  // Without Redis we cannot de-duplicate, so every view counts
+  let viewsCount;
+  if (isNewView !== false) {
+    const result = await query(
+      'UPDATE videos SET views_count = views_count + 1 WHERE id = $1 RETURNING views_count',
+      [id]
+    );
+    viewsCount = result.rows[0].views_count;
+  } else {
+    const result = await query('SELECT views_count FROM videos WHERE id = $1', [id]);
+    viewsCount = result.rows[0].views_count;
+  }
+
+  res.json({
+    success: true,
+    data: {
+      counted: isNewView !== false,
+      viewsCount
+    }
+  });
+});
+
+// @desc    Get comments for a video
+// @route   GET /api/videos/:id/comments
+// @access  Public
+const getComments = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { page = 1, limit = 20 } = req.query;
+  const offset = (page - 1) * limit;
+
+  const { video } = await getAccessibleVideo(id, req.user);
+
+  const commentsResult = await query(
+    `SELECT vc.id, vc.content, vc.is_edited, vc.created_at, vc.updated_at,
+            u.id as user_id, u.first_name, u.last_name, u.avatar_url, u.user_type
+     FROM video_comments vc
+     JOIN users u ON u.id = vc.user_id
+     WHERE vc.video_id = $1
+     ORDER BY vc.created_at ASC
+     LIMIT $2 OFFSET $3`,
+    [id, parseInt(limit), offset]
+  );
+
+  res.json({
+    success: true,
+    data: {
+      comments: commentsResult.rows,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total: video.comments_count,
+        totalPages: Math.ceil(video.comments_count / limit)
+      }
+    }
+  });
+});
+
+// @desc    Add a comment
+// @route   POST /api/videos/:id/comments
+// @access  Private
+const addComment = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { content } = req.body;
+
+  await getAccessibleVideo(id, req.user);
+
+  const comment = await transaction(async (client) => {
+    const result = await client.query(
+      `INSERT INTO video_comments (video_id, user_id, content)
+       VALUES ($1, $2, $3)
+       RETURNING *`,
+      [id, req.user.id, content.trim()]
+    );
+
+    await client.query(
+      'UPDATE videos SET comments_count = comments_count + 1 WHERE id = $1',
+      [id]
+    );
+
+    return result.rows[0];
+  });
+
+  res.status(201).json({
+    success: true,
+    data: {
+      comment
+    }
+  });
+});
+
+// @desc    Edit own comment
+// @route   PUT /api/videos/:id/comments/:commentId
+// @access  Private (Author)
+const updateComment = asyncHandler(async (req, res) => {
+  const { id, commentId } = req.params;
+  const { content } = req.body;
+
+  const result = await query(
+    `UPDATE video_comments SET
+       content = $4,
+       is_edited = true,
+       updated_at = NOW()
+     WHERE id = $1 AND video_id = $2 AND user_id = $3
+     RETURNING *`,
+    [commentId, id, req.user.id, content.trim()]
+  );
+
+  if (result.rows.length === 0) {
+    throw new AppError('Comment not found', 404, 'COMMENT_NOT_FOUND');
+  }
+
+  res.json({
+    success: true,
+    data: {
+      comment: result.rows[0]
+    }
+  });
+});
+
+// @desc    Delete a comment
+// @route   DELETE /api/videos/:id/comments/:commentId
+// @access  Private (Author, Video owner, Admin)
+const deleteComment = asyncHandler(async (req, res) => {
+  const { id, commentId } = req.params;
+
+  await transaction(async (client) => {
+    const commentResult = await client.query(
+      `SELECT vc.user_id, u.id as video_owner_id
+       FROM video_comments vc
+       JOIN videos v ON v.id = vc.video_id
+       JOIN player_profiles pp ON pp.id = v.player_id
+       JOIN users u ON u.id = pp.user_id
+       WHERE vc.id = $1 AND vc.video_id = $2`,
+      [commentId, id]
+    );
+
+    if (commentResult.rows.length === 0) {
+      throw new AppError('Comment not found', 404, 'COMMENT_NOT_FOUND');
+    }
+
+    const comment = commentResult.rows[0];
+    const canDelete = comment.user_id === req.user.id
+      || comment.video_owner_id === req.user.id
+      || req.user.userType === 'admin';
+
+    if (!canDelete) {
+      throw new AppError('Not allowed to delete this comment', 403, 'FORBIDDEN');
+    }
+
+    const deleted = await client.query(
+      'DELETE FROM video_comments WHERE id = $1 RETURNING id',
+      [commentId]
+    );
+
+    if (deleted.rows.length > 0) {
+      await client.query(
+        'UPDATE videos SET comments_count = GREATEST(comments_count - 1, 0) WHERE id = $1',
+        [id]
+      );
+    }
+  });
+
+  res.json({
+    success: true,
+    message: 'Comment deleted'
+  });
+});
+
+module.exports = {
+  requestUploadUrl,
+  createVideo,
+  getMyVideos,
+  getFeed,
+  getVideo,
+  getModerationQueue,
+  approveVideo,
+  rejectVideo,
+  likeVideo,
+  unlikeVideo,
+  recordView,
+  getComments,
+  addComment,
+  updateComment,
+  deleteComment
+};
@@ -0,0 +1,102 @@
+// =============================================================================
+// NoverThinker - Fixtures & Stats CSV Import
+// =============================================================================
+// Imports a team's matches and match_performances from spreadsheet exports.
+// Players are matched by jersey number in the team's active roster.
+// Dry-run by default - prints the preview and row errors. Pass --apply to
+// write everything in a single transaction.
+//
+//   node src/database/import.js --team <teamId> [--matches fixtures.csv]
+//        [--performances stats.csv] [--apply] [--json]
+// =============================================================================
+
+require('dotenv').config();
+
+const fs = require('fs');
+const { pool, transaction } = require('../config/database');
+const { planImport, applyImport, formatPlan } = require('../utils/matchImport');
+
+const parseArgs = (argv) => {
+  const args = { apply: false, json: false };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--apply') args.apply = true;
+    else if (argv[i] === '--json') args.json = true;
+    else if (argv[i] === '--team') args.team = argv[++i];
+    else if (argv[i] === '--matches') args.matches = argv[++i];
+    else if (argv[i] === '--performances') args.performances = argv[++i];
+  }
+  return args;
+};
+
+const printPlan = (plan) => {
+  console.log(`🏟️  ${plan.team.name} (${plan.team.age_group}, ${plan.team.season || 'no season'})\n`);
+  console.log('📊 Summary:');
+  console.log(`   • Matches to create:  ${plan.summary.matchesToCreate} (${plan.summary.matchesSkipped} already exist)`);
+  console.log(`   • Performances:       ${plan.summary.performancesToSave} (${plan.summary.playersAffected} players)`);
+  console.log(`   • Row errors:         ${plan.summary.errors}`);
+
+  if (plan.details.length > 0) {
+    console.log('\n❌ Errors:');
+    plan.details.forEach(error => {
+      console.log(`   - ${error.field}: ${error.message}`);
+    });
+  }
+  console.log('');
+};
+
+async function run() {
+  const args = parseArgs(process.argv.slice(2));
+
+  console.log('📥 NoverThinker Match Import');
+  console.log('============================\n');
+
+  try {
+    if (!args.team || (!args.matches && !args.performances)) {
+      throw new Error('Usage: --team <teamId> [--matches file.csv] [--performances file.csv] [--apply]');
+    }
+
+    const input = {
+      teamId: args.team,
+      matchesCsv: args.matches ? fs.readFileSync(args.matches, 'utf8') : null,
+      performancesCsv: args.performances ? fs.readFileSync(args.performances, 'utf8') : null
+    };
+
+    const result = await transaction(async (client) => {
+      const plan = await planImport(client, input);
+
+      if (args.json) {
+        console.log(JSON.stringify({ ...formatPlan(plan), details: plan.details }, null, 2));
+      } else {
+        printPlan(plan);
+      }
+
+      if (!args.apply || plan.details.length > 0) {
+        return { plan, applied: null };
+      }
+
+      return { plan, applied: await applyImport(client, plan) };
+    });
+
+    if (result.plan.details.length > 0) {
+      console.log('⚠️  Fix the rows above and re-run. Nothing was imported.');
+      process.exitCode = 1;
+    } else if (!result.applied) {
+      console.log('💡 Dry run only. Re-run with --apply to import.');
+    } else {
+      console.log(`✅ Imported ${result.applied.matchIds.length} match(es), totals updated for ${result.applied.playerIds.length} player(s)`);
+    }
+  } catch (error) {
+    console.error('❌ Import failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+if (require.main === module) {
+  run();
+}
+
+module.exports = {
+  run
+};
@@ -58,6 +58,7 @@ CREATE TABLE player_profiles (
     task_score DECIMAL(4,1) DEFAULT 0.0,
     video_score DECIMAL(4,1) DEFAULT 0.0,
     physical_score DECIMAL(4,1) DEFAULT 0.0,
+    nova_score_version VARCHAR(20),
     
     -- Stars & Discipline
     stars DECIMAL(2,1) DEFAULT 3.0 CHECK (stars >= 1.0 AND stars <= 5.0),
@@ -68,6 +69,9 @@ CREATE TABLE player_profiles (
     total_matches INTEGER DEFAULT 0,
     total_goals INTEGER DEFAULT 0,
     total_assists INTEGER DEFAULT 0,
+    total_yellow_cards INTEGER DEFAULT 0,
+    total_red_cards INTEGER DEFAULT 0,
+    total_minutes INTEGER DEFAULT 0,
     total_videos INTEGER DEFAULT 0,
     total_tasks_completed INTEGER DEFAULT 0,
     
@@ -175,14 +179,35 @@ CREATE TABLE team_players (
     left_date DATE,
     is_active BOOLEAN DEFAULT TRUE,
     
-    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
-    
-    UNIQUE(team_id, player_id, is_active)
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
 );
 
 CREATE INDEX idx_team_players_team ON team_players(team_id);
 CREATE INDEX idx_team_players_player ON team_players(player_id);
 
+-- Only one active membership per player per team (closed stints are history)
+CREATE UNIQUE INDEX idx_team_players_active ON team_players(team_id, player_id) WHERE is_active = true;
+
+-- Jersey numbers are unique within an active roster
+CREATE UNIQUE INDEX idx_team_players_jersey ON team_players(team_id, jersey_number)
+    WHERE is_active = true AND jersey_number IS NOT NULL;
+
+-- Season rollovers (what each clone / age-group promotion run changed)
+CREATE TABLE season_rollovers (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    from_season VARCHAR(20) NOT NULL,
+    to_season VARCHAR(20) NOT NULL,
+    cutoff_date DATE NOT NULL,
+    
+    summary JSONB DEFAULT '{}',
+    changes JSONB DEFAULT '{}',
+    
+    applied_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    applied_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    
+    UNIQUE(from_season, to_season)
+);
+
 -- =============================================================================
 -- 3. SOCIAL & RELATIONSHIPS
 -- =============================================================================
@@ -254,6 +279,9 @@ CREATE TABLE matches (
     notes TEXT,
     created_by UUID REFERENCES users(id),
     
+    -- Admin unlock window for ratings past the 72h lock
+    performances_unlocked_until TIMESTAMP WITH TIME ZONE,
+    
     created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
 );
@@ -334,6 +362,7 @@ CREATE TABLE tasks (
 CREATE INDEX idx_tasks_category ON tasks(category);
 CREATE INDEX idx_tasks_difficulty ON tasks(difficulty);
 CREATE INDEX idx_tasks_active ON tasks(is_active);
+CREATE INDEX idx_tasks_positions ON tasks USING GIN (position_specific);
 
 -- Task Assignments
 CREATE TABLE task_assignments (
@@ -361,6 +390,17 @@ CREATE INDEX idx_assignments_task ON task_assignments(task_id);
 CREATE INDEX idx_assignments_player ON task_assignments(player_id);
 CREATE INDEX idx_assignments_team ON task_assignments(team_id);
 CREATE INDEX idx_assignments_status ON task_assignments(status);
+CREATE INDEX idx_assignments_due ON task_assignments(due_date) WHERE status = 'active';
+
+-- Members of a 'group' assignment (a chosen subset of team_id's roster)
+CREATE TABLE task_assignment_players (
+    assignment_id UUID NOT NULL REFERENCES task_assignments(id) ON DELETE CASCADE,
+    player_id UUID NOT NULL REFERENCES player_profiles(id) ON DELETE CASCADE,
+    
+    PRIMARY KEY (assignment_id, player_id)
+);
+
+CREATE INDEX idx_assignment_players_player ON task_assignment_players(player_id);
 
 -- Task Submissions
 CREATE TABLE task_submissions (
@@ -389,6 +429,10 @@ CREATE INDEX idx_submissions_assignment ON task_submissions(assignment_id);
 CREATE INDEX idx_submissions_player ON task_submissions(player_id);
 CREATE INDEX idx_submissions_status ON task_submissions(status);
 
+-- One submission under review and one approval per player per assignment
+CREATE UNIQUE INDEX idx_submissions_one_pending ON task_submissions(assignment_id, player_id) WHERE status = 'pending';
+CREATE UNIQUE INDEX idx_submissions_one_approved ON task_submissions(assignment_id, player_id) WHERE status = 'approved';
+
 -- =============================================================================
 -- 6. VIDEOS & CONTENT
 -- =============================================================================
@@ -521,6 +565,8 @@ CREATE TABLE combine_results (
     strength_percentile INTEGER,
     endurance_percentile INTEGER,
     overall_physical_percentile INTEGER,
+    age_group VARCHAR(10), -- DFB age group on the combine date, selects the norms
+    percentiles_calculated_at TIMESTAMP WITH TIME ZONE,
     
     notes TEXT,
     
@@ -531,6 +577,23 @@ CREATE TABLE combine_results (
 );
 
 CREATE INDEX idx_combine_results_player ON combine_results(player_id);
+CREATE INDEX idx_combine_results_age_group ON combine_results(age_group);
+
+-- Reference norms per age group and test (combine_results percentiles).
+-- Loaded from a norms file or derived from the platform's own results.
+CREATE TABLE combine_norms (
+    age_group VARCHAR(10) NOT NULL,
+    test VARCHAR(30) NOT NULL, -- API key, e.g. sprint30m
+    
+    mean DECIMAL(8,3) NOT NULL,
+    sd DECIMAL(8,3) NOT NULL CHECK (sd > 0),
+    sample_size INTEGER,
+    
+    source VARCHAR(20) NOT NULL CHECK (source IN ('file', 'population')),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    
+    PRIMARY KEY (age_group, test)
+);
 
 -- =============================================================================
 -- 8. PLAYER ATTRIBUTES (FIFA-style)
@@ -560,6 +623,46 @@ CREATE TABLE player_attributes (
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Derived values awaiting coach review (one pending proposal per player)
+CREATE TABLE player_attribute_proposals (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    player_id UUID NOT NULL REFERENCES player_profiles(id) ON DELETE CASCADE,
+    
+    -- { pace: { value: 81, current: 74, signals: [{ signal, value, weight }] }, ... }
+    attributes JSONB NOT NULL DEFAULT '{}',
+    sample JSONB DEFAULT '{}',
+    
+    status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'reviewed', 'superseded')),
+    
+    -- { accepted: ['pace'], overridden: { shooting: 72 } }
+    decisions JSONB,
+    reviewed_by UUID REFERENCES users(id),
+    reviewed_at TIMESTAMP WITH TIME ZONE,
+    
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX idx_attribute_proposals_pending ON player_attribute_proposals(player_id) WHERE status = 'pending';
+
+-- Every change to player_attributes
+CREATE TABLE player_attribute_history (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    player_id UUID NOT NULL REFERENCES player_profiles(id) ON DELETE CASCADE,
+    
+    attribute VARCHAR(30) NOT NULL,
+    old_value INTEGER,
+    new_value INTEGER NOT NULL,
+    
+    -- accepted: derived value accepted by a coach; override: value set by a coach
+    source VARCHAR(20) NOT NULL CHECK (source IN ('accepted', 'override')),
+    proposal_id UUID REFERENCES player_attribute_proposals(id) ON DELETE SET NULL,
+    changed_by UUID REFERENCES users(id),
+    
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_attribute_history_player ON player_attribute_history(player_id, attribute, created_at);
+
 -- =============================================================================
 -- 9. TEAM EVENTS & ATTENDANCE
 -- =============================================================================
@@ -667,6 +770,7 @@ CREATE TABLE nova_score_history (
     task_score DECIMAL(4,1),
     video_score DECIMAL(4,1),
     physical_score DECIMAL(4,1),
+    weights_version VARCHAR(20),
     
     created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
     
@@ -699,12 +803,44 @@ CREATE TABLE agent_analytics_cache (
     risk_level VARCHAR(20),
     risk_factors JSONB DEFAULT '{}',
     
+    -- Inputs each panel was based on
+    sample_sizes JSONB DEFAULT '{}',
+    
+    -- Set by mark_player_analytics_dirty() when the player's data changes
+    is_dirty BOOLEAN DEFAULT FALSE,
+    invalidated_at TIMESTAMP WITH TIME ZONE,
+    invalidated_by VARCHAR(50),
+    -- Bumped on every invalidation; a recompute only clears is_dirty if it
+    -- is unchanged since the recompute read its inputs
+    invalidation_seq BIGINT NOT NULL DEFAULT 0,
+    
     last_calculated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
     
     created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
 );
 
+CREATE INDEX idx_analytics_dirty ON agent_analytics_cache(invalidated_at) WHERE is_dirty = TRUE;
+
+-- Peer percentile ranks (rebuilt periodically, see src/utils/peerPercentiles.js)
+CREATE TABLE player_peer_percentiles (
+    player_id UUID NOT NULL REFERENCES player_profiles(id) ON DELETE CASCADE,
+    scope VARCHAR(20) NOT NULL CHECK (scope IN ('position', 'league')),
+    
+    -- Peer group
+    age_group VARCHAR(10) NOT NULL,
+    primary_position VARCHAR(50) NOT NULL,
+    league VARCHAR(100),
+    peer_count INTEGER NOT NULL,
+    
+    -- { novaScore: 78, matchScore: 64, pace: 91, ... } (0-100, null when unranked)
+    percentiles JSONB NOT NULL DEFAULT '{}',
+    
+    calculated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    
+    PRIMARY KEY (player_id, scope)
+);
+
 -- =============================================================================
 -- 12. PULSE FEED (Real-time Agent Notifications)
 -- =============================================================================
@@ -740,6 +876,9 @@ CREATE TABLE pulse_feed_events (
 CREATE INDEX idx_pulse_player ON pulse_feed_events(player_id);
 CREATE INDEX idx_pulse_created ON pulse_feed_events(created_at DESC);
 CREATE INDEX idx_pulse_type ON pulse_feed_events(event_type);
+-- One NovaScore change event per player and day; snapshot refreshes update it
+CREATE UNIQUE INDEX idx_pulse_nova_score_day ON pulse_feed_events(player_id, (data->>'recordedDate'))
+    WHERE event_type = 'nova_score_change';
 
 -- =============================================================================
 -- 13. NOTIFICATIONS
@@ -847,6 +986,64 @@ CREATE TRIGGER update_tasks_updated_at BEFORE UPDATE ON tasks
 CREATE TRIGGER update_videos_updated_at BEFORE UPDATE ON videos
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
+-- Analytics invalidation: flag the player's cached analytics as dirty and
+-- announce the change on the 'player_changed' channel (see src/worker.js)
+CREATE OR REPLACE FUNCTION mark_player_analytics_dirty(changed_player_id UUID, reason TEXT)
+RETURNS VOID AS $$
+BEGIN
+    UPDATE agent_analytics_cache
+    SET is_dirty = TRUE, invalidated_at = CURRENT_TIMESTAMP, invalidated_by = reason,
+        invalidation_seq = invalidation_seq + 1
+    WHERE player_id = changed_player_id;
+
+    PERFORM pg_notify('player_changed', json_build_object('playerId', changed_player_id, 'reason', reason)::text);
+END;
+$$ LANGUAGE plpgsql;
+
+-- Rows that carry a player_id
+CREATE OR REPLACE FUNCTION player_data_changed()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF TG_OP <> 'INSERT' THEN
+        PERFORM mark_player_analytics_dirty(OLD.player_id, TG_TABLE_NAME);
+    END IF;
+    IF TG_OP = 'INSERT' OR (TG_OP = 'UPDATE' AND NEW.player_id IS DISTINCT FROM OLD.player_id) THEN
+        PERFORM mark_player_analytics_dirty(NEW.player_id, TG_TABLE_NAME);
+    END IF;
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Match status/date changes affect everyone rated in the match
+CREATE OR REPLACE FUNCTION match_data_changed()
+RETURNS TRIGGER AS $$
+BEGIN
+    PERFORM mark_player_analytics_dirty(mp.player_id, 'matches')
+    FROM match_performances mp
+    WHERE mp.match_id = NEW.id;
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER match_performances_changed AFTER INSERT OR UPDATE OR DELETE ON match_performances
+    FOR EACH ROW EXECUTE FUNCTION player_data_changed();
+
+CREATE TRIGGER event_attendance_changed AFTER INSERT OR UPDATE OR DELETE ON event_attendance
+    FOR EACH ROW EXECUTE FUNCTION player_data_changed();
+
+CREATE TRIGGER discipline_notes_changed AFTER INSERT OR UPDATE OR DELETE ON discipline_notes
+    FOR EACH ROW EXECUTE FUNCTION player_data_changed();
+
+CREATE TRIGGER task_submissions_changed AFTER INSERT OR DELETE OR UPDATE OF status, points_awarded ON task_submissions
+    FOR EACH ROW EXECUTE FUNCTION player_data_changed();
+
+-- Not on every update: view and like counters change constantly
+CREATE TRIGGER videos_changed AFTER INSERT OR DELETE OR UPDATE OF status, impact_points ON videos
+    FOR EACH ROW EXECUTE FUNCTION player_data_changed();
+
+CREATE TRIGGER matches_changed AFTER UPDATE OF status, match_date ON matches
+    FOR EACH ROW EXECUTE FUNCTION match_data_changed();
+
 -- Function to calculate age group from date of birth
 CREATE OR REPLACE FUNCTION calculate_age_group(dob DATE)
 RETURNS VARCHAR(10) AS $$
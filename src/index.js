@@ -22,6 +22,12 @@ const { notFound, errorHandler } = require('./middleware/errorHandler');
 // Routes
 const authRoutes = require('./routes/auth');
 const playersRoutes = require('./routes/players');
+const videosRoutes = require('./routes/videos');
+const clubsRoutes = require('./routes/clubs');
+const teamsRoutes = require('./routes/teams');
+const matchesRoutes = require('./routes/matches');
+const combinesRoutes = require('./routes/combines');
+const tasksRoutes = require('./routes/tasks');
 
 // Initialize Express
 const app = express();
@@ -90,8 +96,10 @@ app.get('/api', (req, res) => {
       auth: '/api/auth',
       players: '/api/players',
       videos: '/api/videos',
+      clubs: '/api/clubs',
       teams: '/api/teams',
       matches: '/api/matches',
+      combines: '/api/combines',
       tasks: '/api/tasks',
       watchlist: '/api/watchlist',
       pulse: '/api/pulse'
@@ -102,24 +110,14 @@ app.get('/api', (req, res) => {
 // Mount routes
 app.use('/api/auth', authRoutes);
 app.use('/api/players', playersRoutes);
+app.use('/api/videos', videosRoutes);
+app.use('/api/clubs', clubsRoutes);
+app.use('/api/teams', teamsRoutes);
+app.use('/api/matches', matchesRoutes);
+app.use('/api/combines', combinesRoutes);
+app.use('/api/tasks', tasksRoutes);
 
 // Placeholder routes (to be implemented)
-app.use('/api/videos', (req, res) => {
-  res.json({ message: 'Videos API - Coming soon', status: 'pending' });
-});
-
-app.use('/api/teams', (req, res) => {
-  res.json({ message: 'Teams API - Coming soon', status: 'pending' });
-});
-
-app.use('/api/matches', (req, res) => {
-  res.json({ message: 'Matches API - Coming soon', status: 'pending' });
-});
-
-app.use('/api/tasks', (req, res) => {
-  res.json({ message: 'Tasks API - Coming soon', status: 'pending' });
-});
-
 app.use('/api/watchlist', (req, res) => {
   res.json({ message: 'Watchlist API - Coming soon', status: 'pending' });
 });
@@ -176,7 +174,51 @@ const startServer = async () => {
       console.log('  GET    /api/players/discover  - Discover players (Agent)');
       console.log('  GET    /api/players/:id       - Get player profile');
       console.log('  GET    /api/players/:id/analytics - Get analytics (Agent)');
+      console.log('  GET    /api/players/:id/nova-score/history - NovaScore history (Agent)');
+      console.log('  GET    /api/players/:id/nova-score/explain - NovaScore breakdown');
+      console.log('  GET    /api/players/:id/attributes/history - Attribute changes over time');
+      console.log('  PUT    /api/players/:id/attributes - Review derived attributes (Coach)');
       console.log('  POST   /api/players/compare   - Compare players (Agent)');
+      console.log('  PUT    /api/players/:id/top-videos - Set highlight reel');
+      console.log('  GET    /api/players/:id/career - Career timeline');
+      console.log('  GET    /api/players/:id/stats - Season & competition stats');
+      console.log('  POST   /api/players/:id/transfer - Transfer player (Coach/Admin)');
+      console.log('');
+      console.log('  POST   /api/videos/upload-url - Get presigned upload URL (Player)');
+      console.log('  POST   /api/videos            - Confirm upload (Player)');
+      console.log('  GET    /api/videos/mine       - Get my videos (Player)');
+      console.log('  GET    /api/videos/feed       - Discovery feed');
+      console.log('  GET    /api/videos/:id        - Get video');
+      console.log('  POST   /api/videos/:id/like   - Like video');
+      console.log('  POST   /api/videos/:id/view   - Record view');
+      console.log('  GET    /api/videos/:id/comments - Get comments');
+      console.log('  GET    /api/videos/moderation/queue - Moderation queue (Coach/Admin)');
+      console.log('  PATCH  /api/videos/:id/approve - Approve video (Coach/Admin)');
+      console.log('  PATCH  /api/videos/:id/reject  - Reject video (Coach/Admin)');
+      console.log('');
+      console.log('  GET    /api/clubs             - Get clubs');
+      console.log('  GET    /api/clubs/:id         - Get club with teams');
+      console.log('  GET    /api/teams             - Get teams');
+      console.log('  GET    /api/teams/:id         - Get team');
+      console.log('  GET    /api/teams/:id/roster  - Get team roster');
+      console.log('  POST   /api/teams/:id/import  - Import fixtures/stats CSV (Coach)');
+      console.log('');
+      console.log('  GET    /api/matches           - Get matches');
+      console.log('  POST   /api/matches           - Schedule match (Coach)');
+      console.log('  PATCH  /api/matches/:id/status - Update match status (Coach)');
+      console.log('  PUT    /api/matches/:id/performances - Rate squad (Coach)');
+      console.log('');
+      console.log('  GET    /api/combines          - Get combines');
+      console.log('  POST   /api/combines          - Schedule combine (Coach)');
+      console.log('  PUT    /api/combines/:id/results - Enter results (Coach)');
+      console.log('  PATCH  /api/combines/:id/status - Update combine status (Coach)');
+      console.log('  GET    /api/combines/:id/leaderboard - Session leaderboard');
+      console.log('');
+      console.log('  GET    /api/tasks             - Browse task library (Coach)');
+      console.log('  POST   /api/tasks             - Create task (Admin)');
+      console.log('  POST   /api/tasks/:id/assign  - Assign task (Coach)');
+      console.log('  GET    /api/tasks/mine        - My tasks (Player)');
+      console.log('  GET    /api/tasks/submissions/queue - Review queue (Coach)');
       console.log('═══════════════════════════════════════════════════');
       console.log('');
     });
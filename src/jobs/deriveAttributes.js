@@ -0,0 +1,66 @@
+// =============================================================================
+// NoverThinker - Derive Player Attributes
+// =============================================================================
+// Re-derives every active player's attributes from combines and match data
+// and replaces their pending proposal for coach review when the derived
+// values changed (an unchanged proposal is kept). Nothing is applied
+// until a coach accepts it (PUT /api/players/:id/attributes).
+//
+//   node src/jobs/deriveAttributes.js
+// =============================================================================
+
+require('dotenv').config();
+
+const { pool, transaction } = require('../config/database');
+const { proposeAttributes } = require('../utils/playerAttributes');
+
+// One transaction per player so a bad row doesn't stop the run
+const proposeAllPlayers = async () => {
+  const playersResult = await pool.query(
+    `SELECT pp.id
+     FROM player_profiles pp
+     JOIN users u ON u.id = pp.user_id AND u.is_active = true
+     ORDER BY pp.id`
+  );
+  const summary = { players: 0, proposals: 0, failed: 0 };
+
+  for (const { id } of playersResult.rows) {
+    try {
+      const { created } = await transaction(client => proposeAttributes(client, id));
+      summary.players++;
+      if (created) summary.proposals++;
+    } catch (error) {
+      summary.failed++;
+      console.error(`❌ Attribute derivation failed for player ${id}:`, error.message);
+    }
+  }
+
+  return summary;
+};
+
+async function run() {
+  console.log('🧮 Deriving player attributes...');
+
+  try {
+    const summary = await proposeAllPlayers();
+    console.log(`✅ ${summary.proposals} new proposal(s) for ${summary.players} player(s)`);
+    if (summary.failed > 0) {
+      console.log(`⚠️  ${summary.failed} player(s) failed`);
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error('❌ Attribute derivation failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+if (require.main === module) {
+  run();
+}
+
+module.exports = {
+  run,
+  proposeAllPlayers
+};
@@ -0,0 +1,35 @@
+// =============================================================================
+// NoverThinker - Expire Task Assignments
+// =============================================================================
+// Flips active task assignments past their due date to 'expired'.
+// Run it on a schedule, e.g. every 15 minutes.
+//
+//   node src/jobs/expireTaskAssignments.js
+// =============================================================================
+
+require('dotenv').config();
+
+const { pool } = require('../config/database');
+const { expireOverdueAssignments } = require('../utils/taskAssignments');
+
+async function run() {
+  console.log('⏰ Expiring overdue task assignments...');
+
+  try {
+    const expired = await expireOverdueAssignments(pool);
+    console.log(`✅ ${expired.length} assignment(s) expired`);
+  } catch (error) {
+    console.error('❌ Expiry sweep failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+if (require.main === module) {
+  run();
+}
+
+module.exports = {
+  run
+};
@@ -0,0 +1,83 @@
+// =============================================================================
+// NoverThinker - Load Combine Norms
+// =============================================================================
+// Loads reference norms for combine percentiles and recalculates the results
+// (and NovaScores) of every age group whose norms changed.
+//
+//   --file       JSON or CSV norms file (default: src/database/combine-norms.json)
+//   --population derive norms from the platform's completed combines; applied
+//                after the file, only where an age group / test has at least
+//                COMBINE_NORMS_MIN_SAMPLE results (default 30)
+//
+//   node src/jobs/loadCombineNorms.js [--file norms.csv] [--population]
+// =============================================================================
+
+require('dotenv').config();
+
+const fs = require('fs');
+const path = require('path');
+const { pool, transaction } = require('../config/database');
+const {
+  MIN_POPULATION_SAMPLE,
+  parseNorms,
+  buildPopulationNorms,
+  saveNorms
+} = require('../utils/combinePercentiles');
+
+const DEFAULT_NORMS_FILE = path.join(__dirname, '../database/combine-norms.json');
+
+const parseArgs = (argv) => {
+  const args = { population: false };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--population') args.population = true;
+    else if (argv[i] === '--file') args.file = argv[++i];
+  }
+  if (!args.file && !args.population) args.file = DEFAULT_NORMS_FILE;
+  return args;
+};
+
+const printSummary = (label, summary) => {
+  console.log(`   • ${label}: ${summary.changed} norm(s) changed` +
+    (summary.ageGroups.length > 0
+      ? ` in ${summary.ageGroups.join(', ')} - ${summary.results} result(s), ${summary.players} NovaScore(s) recalculated`
+      : ''));
+};
+
+async function run() {
+  const args = parseArgs(process.argv.slice(2));
+
+  console.log('📏 Loading combine norms...');
+
+  try {
+    const fileRows = args.file
+      ? parseNorms(fs.readFileSync(args.file, 'utf8'), path.extname(args.file).toLowerCase() === '.csv' ? 'csv' : 'json')
+      : null;
+
+    await transaction(async (client) => {
+      if (fileRows) {
+        printSummary(path.basename(args.file), await saveNorms(client, fileRows, 'file'));
+      }
+
+      if (args.population) {
+        const populationRows = await buildPopulationNorms(client);
+        console.log(`   • ${populationRows.length} population norm(s) with ${MIN_POPULATION_SAMPLE}+ results`);
+        printSummary('population', await saveNorms(client, populationRows, 'population'));
+      }
+    });
+
+    console.log('✅ Combine norms loaded');
+  } catch (error) {
+    console.error('❌ Loading combine norms failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+if (require.main === module) {
+  run();
+}
+
+module.exports = {
+  run
+};
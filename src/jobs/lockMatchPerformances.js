@@ -0,0 +1,35 @@
+// =============================================================================
+// NoverThinker - Lock Match Ratings
+// =============================================================================
+// Flags match_performances as locked once 72 hours have passed since kick-off
+// (or an admin unlock window has closed). Run it on a schedule, e.g. hourly.
+//
+//   node src/jobs/lockMatchPerformances.js
+// =============================================================================
+
+require('dotenv').config();
+
+const { pool } = require('../config/database');
+const { LOCK_AFTER_HOURS, lockExpiredPerformances } = require('../utils/performanceLock');
+
+async function run() {
+  console.log(`🔒 Locking match ratings older than ${LOCK_AFTER_HOURS}h...`);
+
+  try {
+    const locked = await lockExpiredPerformances(pool);
+    console.log(`✅ ${locked} rating(s) locked`);
+  } catch (error) {
+    console.error('❌ Locking failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+if (require.main === module) {
+  run();
+}
+
+module.exports = {
+  run
+};
@@ -0,0 +1,43 @@
+// =============================================================================
+// NoverThinker - Recalculate NovaScores
+// =============================================================================
+// Recalculates every player's NovaScore with the current weights version.
+// Run it after changing NOVA_SCORE_WEIGHTS_VERSION or importing old data.
+//
+//   node src/jobs/recalculateNovaScores.js
+// =============================================================================
+
+require('dotenv').config();
+
+const { pool } = require('../config/database');
+const { recalculateNovaScore } = require('../utils/novaScoreStore');
+const { getWeightsConfig } = require('../utils/novaScore');
+
+async function run() {
+  const { version } = getWeightsConfig();
+  console.log(`🧮 Recalculating NovaScores (weights ${version})...`);
+
+  try {
+    const playersResult = await pool.query('SELECT id FROM player_profiles ORDER BY id');
+    const asOf = new Date();
+
+    for (const { id } of playersResult.rows) {
+      await recalculateNovaScore(pool, id, asOf);
+    }
+
+    console.log(`✅ ${playersResult.rows.length} player(s) recalculated`);
+  } catch (error) {
+    console.error('❌ NovaScore recalculation failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+if (require.main === module) {
+  run();
+}
+
+module.exports = {
+  run
+};
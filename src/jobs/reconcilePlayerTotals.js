@@ -0,0 +1,66 @@
+// =============================================================================
+// NoverThinker - Reconcile Player Totals
+// =============================================================================
+// Compares player_profiles.total_* with the sums of match_performances and
+// repairs any drift. Dry-run by default - lists the players that differ.
+//
+//   node src/jobs/reconcilePlayerTotals.js [--apply]
+// =============================================================================
+
+require('dotenv').config();
+
+const { pool, transaction } = require('../config/database');
+const { TOTAL_COLUMNS, findTotalsDrift, recalculatePlayerTotals } = require('../utils/playerTotals');
+
+const describeDrift = (row) => Object.entries(TOTAL_COLUMNS)
+  .filter(([column, computed]) => row[column] !== row.computed[computed])
+  .map(([column, computed]) => `${column} ${row[column]} → ${row.computed[computed]}`)
+  .join(', ');
+
+async function run() {
+  const apply = process.argv.includes('--apply');
+
+  console.log('🧮 NoverThinker Player Totals Reconciliation');
+  console.log('============================================\n');
+
+  try {
+    const drift = await findTotalsDrift(pool);
+
+    if (drift.length === 0) {
+      console.log('✅ All player totals match their match performances.');
+      return;
+    }
+
+    console.log(`⚠️  ${drift.length} player(s) out of sync:`);
+    drift.forEach(row => {
+      console.log(`   - ${row.first_name} ${row.last_name}: ${describeDrift(row)}`);
+    });
+    console.log('');
+
+    if (!apply) {
+      console.log('💡 Dry run only. Re-run with --apply to repair these totals.');
+      return;
+    }
+
+    const updated = await transaction(async (client) => {
+      // Re-check inside the transaction so nothing saved meanwhile is missed
+      const fresh = await findTotalsDrift(client);
+      return recalculatePlayerTotals(client, fresh.map(row => row.player_id));
+    });
+
+    console.log(`✅ Repaired totals for ${updated.length} player(s)`);
+  } catch (error) {
+    console.error('❌ Reconciliation failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+if (require.main === module) {
+  run();
+}
+
+module.exports = {
+  run
+};
@@ -0,0 +1,36 @@
+// =============================================================================
+// NoverThinker - Refresh Peer Percentiles
+// =============================================================================
+// Rebuilds player_peer_percentiles (rank among players with the same age
+// group and position, and optionally league). Run it on a schedule, e.g.
+// hourly, or after a NovaScore recalculation.
+//
+//   node src/jobs/refreshPeerPercentiles.js
+// =============================================================================
+
+require('dotenv').config();
+
+const { pool, transaction } = require('../config/database');
+const { refreshPeerPercentiles } = require('../utils/peerPercentiles');
+
+async function run() {
+  console.log('📊 Refreshing peer percentiles...');
+
+  try {
+    const summary = await transaction(client => refreshPeerPercentiles(client));
+    console.log(`✅ Ranked ${summary.position} player(s) by position, ${summary.league} by league`);
+  } catch (error) {
+    console.error('❌ Percentile refresh failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+if (require.main === module) {
+  run();
+}
+
+module.exports = {
+  run
+};
@@ -0,0 +1,354 @@
+// =============================================================================
+// NoverThinker - Season Rollover & Age-Group Promotion
+// =============================================================================
+// Clones every active team into the next season, recomputes each player's
+// DFB age group and moves rosters across (carry over / promote / release).
+// Dry-run by default - prints the plan. Pass --apply to execute it.
+//
+//   node src/jobs/seasonRollover.js [--from 2025-2026] [--cutoff 01-01] [--apply] [--json]
+// =============================================================================
+
+require('dotenv').config();
+
+const { pool, query, transaction } = require('../config/database');
+const {
+  DEFAULT_CUTOFF,
+  getNextSeason,
+  getCutoffDate,
+  getAgeAtCutoff,
+  getAgeGroupForAge
+} = require('../utils/ageGroup');
+
+// Load everything the plan needs for one season
+const loadRolloverData = async (db, fromSeason) => {
+  const toSeason = getNextSeason(fromSeason);
+
+  const teamsResult = await db.query(
+    'SELECT * FROM teams WHERE season = $1 AND is_active = true ORDER BY club_id, age_group',
+    [fromSeason]
+  );
+
+  const targetTeamsResult = await db.query(
+    'SELECT id, club_id, name, age_group FROM teams WHERE season = $1',
+    [toSeason]
+  );
+
+  const playersResult = await db.query(
+    `SELECT pp.id, pp.date_of_birth, pp.age_group, u.first_name, u.last_name
+     FROM player_profiles pp
+     JOIN users u ON u.id = pp.user_id`
+  );
+
+  const membershipsResult = await db.query(
+    `SELECT tp.id, tp.team_id, tp.player_id, tp.jersey_number, tp.position, tp.role
+     FROM team_players tp
+     JOIN teams t ON t.id = tp.team_id
+     WHERE t.season = $1 AND t.is_active = true AND tp.is_active = true`,
+    [fromSeason]
+  );
+
+  return {
+    teams: teamsResult.rows,
+    targetTeams: targetTeamsResult.rows,
+    players: playersResult.rows,
+    memberships: membershipsResult.rows
+  };
+};
+
+// Next-season name: swap the season string if present, otherwise keep it
+const cloneTeamName = (name, fromSeason, toSeason) =>
+  name.includes(fromSeason) ? name.replace(fromSeason, toSeason) : name;
+
+// Pure planning step - no database access
+const buildRolloverPlan = (data, { fromSeason, cutoff = DEFAULT_CUTOFF }) => {
+  const toSeason = getNextSeason(fromSeason);
+
+  // 1. Team clones (reuse a next-season team if one was already created)
+  const teamClones = data.teams.map(team => {
+    const name = cloneTeamName(team.name, fromSeason, toSeason);
+    const existing = data.targetTeams.find(t =>
+      t.club_id === team.club_id && t.age_group === team.age_group && t.name === name
+    );
+
+    return {
+      sourceTeamId: team.id,
+      clubId: team.club_id,
+      ageGroup: team.age_group,
+      name,
+      action: existing ? 'existing' : 'create',
+      targetTeamId: existing ? existing.id : null
+    };
+  });
+
+  // 2. Age groups for the new season
+  const playerGroups = new Map();
+  const ageGroupChanges = [];
+
+  for (const player of data.players) {
+    const age = getAgeAtCutoff(player.date_of_birth, toSeason, cutoff);
+    const youthGroup = getAgeGroupForAge(age);
+    const newAgeGroup = youthGroup || 'U19';
+
+    playerGroups.set(player.id, { age, youthGroup });
+
+    if (newAgeGroup !== player.age_group || !youthGroup) {
+      ageGroupChanges.push({
+        playerId: player.id,
+        name: `${player.first_name} ${player.last_name}`,
+        age,
+        oldAgeGroup: player.age_group,
+        newAgeGroup,
+        agedOut: !youthGroup
+      });
+    }
+  }
+
+  // 3. Roster moves
+  const teamsById = new Map(data.teams.map(t => [t.id, t]));
+  const cloneBySource = new Map(teamClones.map(c => [c.sourceTeamId, c]));
+
+  const rosterMoves = data.memberships.map(membership => {
+    const team = teamsById.get(membership.team_id);
+    const { youthGroup } = playerGroups.get(membership.player_id) || {};
+    const base = {
+      membershipId: membership.id,
+      playerId: membership.player_id,
+      fromTeamId: team.id,
+      fromAgeGroup: team.age_group,
+      jerseyNumber: membership.jersey_number,
+      position: membership.position,
+      role: membership.role
+    };
+
+    if (!youthGroup) {
+      return { ...base, action: 'release', reason: 'aged_out', toAgeGroup: null, targetSourceTeamId: null };
+    }
+
+    if (youthGroup === team.age_group) {
+      return { ...base, action: 'carry_over', toAgeGroup: youthGroup, targetSourceTeamId: team.id };
+    }
+
+    // Same club, next age group up
+    const destination = data.teams.find(t => t.club_id === team.club_id && t.age_group === youthGroup);
+
+    if (!destination) {
+      return { ...base, action: 'release', reason: 'no_target_team', toAgeGroup: youthGroup, targetSourceTeamId: null };
+    }
+
+    return { ...base, action: 'promote', toAgeGroup: youthGroup, targetSourceTeamId: destination.id };
+  }).map(move => ({
+    ...move,
+    toTeamName: move.targetSourceTeamId ? cloneBySource.get(move.targetSourceTeamId).name : null
+  }));
+
+  const count = (action) => rosterMoves.filter(m => m.action === action).length;
+
+  return {
+    fromSeason,
+    toSeason,
+    cutoffDate: getCutoffDate(toSeason, cutoff).toISOString().split('T')[0],
+    summary: {
+      teamsToCreate: teamClones.filter(c => c.action === 'create').length,
+      teamsExisting: teamClones.filter(c => c.action === 'existing').length,
+      ageGroupChanges: ageGroupChanges.length,
+      agedOut: ageGroupChanges.filter(c => c.agedOut).length,
+      carryOvers: count('carry_over'),
+      promotions: count('promote'),
+      releases: count('release')
+    },
+    teamClones,
+    ageGroupChanges,
+    rosterMoves
+  };
+};
+
+// Execute a plan inside a transaction and record it in season_rollovers
+const applyRolloverPlan = async (client, plan, appliedBy = null) => {
+  // Clone teams
+  const targetBySource = new Map();
+
+  for (const clone of plan.teamClones) {
+    if (clone.action === 'existing') {
+      targetBySource.set(clone.sourceTeamId, clone.targetTeamId);
+      continue;
+    }
+
+    const result = await client.query(
+      `INSERT INTO teams
+       (club_id, name, age_group, season, head_coach_id, assistant_coach_id, logo_url, primary_color, secondary_color)
+       SELECT club_id, $2, age_group, $3, head_coach_id, assistant_coach_id, logo_url, primary_color, secondary_color
+       FROM teams WHERE id = $1
+       RETURNING id`,
+      [clone.sourceTeamId, clone.name, plan.toSeason]
+    );
+    targetBySource.set(clone.sourceTeamId, result.rows[0].id);
+  }
+
+  // Recompute age groups
+  for (const change of plan.ageGroupChanges) {
+    await client.query(
+      'UPDATE player_profiles SET age_group = $2 WHERE id = $1',
+      [change.playerId, change.newAgeGroup]
+    );
+  }
+
+  // Close every membership of the finished season and retire its teams
+  const sourceTeamIds = plan.teamClones.map(c => c.sourceTeamId);
+
+  await client.query(
+    `UPDATE team_players SET is_active = false, left_date = CURRENT_DATE
+     WHERE team_id = ANY($1) AND is_active = true`,
+    [sourceTeamIds]
+  );
+
+  await client.query(
+    'UPDATE teams SET is_active = false WHERE id = ANY($1)',
+    [sourceTeamIds]
+  );
+
+  // Open new memberships: carry-overs keep their number first, promoted
+  // players get theirs only if it is still free in the new roster
+  const targetTeamIds = [...new Set(targetBySource.values())];
+  const takenResult = await client.query(
+    `SELECT team_id, jersey_number FROM team_players
+     WHERE team_id = ANY($1) AND is_active = true AND jersey_number IS NOT NULL`,
+    [targetTeamIds]
+  );
+  const takenJerseys = new Set(takenResult.rows.map(r => `${r.team_id}:${r.jersey_number}`));
+
+  const moves = [
+    ...plan.rosterMoves.filter(m => m.action === 'carry_over'),
+    ...plan.rosterMoves.filter(m => m.action === 'promote')
+  ];
+
+  for (const move of moves) {
+    const teamId = targetBySource.get(move.targetSourceTeamId);
+    const jerseyKey = `${teamId}:${move.jerseyNumber}`;
+    const jerseyNumber = move.jerseyNumber !== null && !takenJerseys.has(jerseyKey) ? move.jerseyNumber : null;
+
+    if (jerseyNumber !== null) takenJerseys.add(jerseyKey);
+
+    await client.query(
+      `INSERT INTO team_players (team_id, player_id, jersey_number, position, role, is_active)
+       VALUES ($1, $2, $3, $4, $5, true)
+       ON CONFLICT DO NOTHING`,
+      [teamId, move.playerId, jerseyNumber, move.position, move.action === 'carry_over' ? move.role : 'player']
+    );
+  }
+
+  const result = await client.query(
+    `INSERT INTO season_rollovers (from_season, to_season, cutoff_date, summary, changes, applied_by)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING id`,
+    [
+      plan.fromSeason,
+      plan.toSeason,
+      plan.cutoffDate,
+      JSON.stringify(plan.summary),
+      JSON.stringify({
+        teamClones: plan.teamClones.map(c => ({ ...c, targetTeamId: targetBySource.get(c.sourceTeamId) })),
+        ageGroupChanges: plan.ageGroupChanges,
+        rosterMoves: plan.rosterMoves
+      }),
+      appliedBy
+    ]
+  );
+
+  return result.rows[0].id;
+};
+
+// -----------------------------------------------------------------------------
+// CLI
+// -----------------------------------------------------------------------------
+
+const parseArgs = (argv) => {
+  const args = { apply: false, json: false };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--apply') args.apply = true;
+    else if (argv[i] === '--json') args.json = true;
+    else if (argv[i] === '--from') args.from = argv[++i];
+    else if (argv[i] === '--cutoff') args.cutoff = argv[++i];
+  }
+  return args;
+};
+
+const printPlan = (plan) => {
+  console.log(`📅 ${plan.fromSeason} → ${plan.toSeason} (cutoff ${plan.cutoffDate})\n`);
+  console.log('📊 Summary:');
+  console.log(`   • Teams to create:    ${plan.summary.teamsToCreate} (${plan.summary.teamsExisting} already exist)`);
+  console.log(`   • Age group changes:  ${plan.summary.ageGroupChanges} (${plan.summary.agedOut} aged out of youth)`);
+  console.log(`   • Carry-overs:        ${plan.summary.carryOvers}`);
+  console.log(`   • Promotions:         ${plan.summary.promotions}`);
+  console.log(`   • Releases:           ${plan.summary.releases}`);
+
+  const promotions = plan.rosterMoves.filter(m => m.action !== 'carry_over');
+  if (promotions.length > 0) {
+    console.log('\n🔀 Proposed roster moves:');
+    promotions.forEach(move => {
+      const change = plan.ageGroupChanges.find(c => c.playerId === move.playerId);
+      const name = change ? change.name : move.playerId;
+      const target = move.action === 'promote' ? `→ ${move.toTeamName}` : `released (${move.reason})`;
+      console.log(`   - ${name}: ${move.fromAgeGroup} ${target}`);
+    });
+  }
+  console.log('');
+};
+
+async function run() {
+  const args = parseArgs(process.argv.slice(2));
+
+  console.log('🔄 NoverThinker Season Rollover');
+  console.log('===============================\n');
+
+  try {
+    let fromSeason = args.from;
+    if (!fromSeason) {
+      const latest = await query(
+        'SELECT season FROM teams WHERE is_active = true AND season IS NOT NULL ORDER BY season DESC LIMIT 1'
+      );
+      if (latest.rows.length === 0) {
+        console.log('ℹ️  No active teams found - nothing to roll over.');
+        return;
+      }
+      fromSeason = latest.rows[0].season;
+    }
+
+    const data = await loadRolloverData(pool, fromSeason);
+    const plan = buildRolloverPlan(data, { fromSeason, cutoff: args.cutoff || DEFAULT_CUTOFF });
+
+    if (args.json) {
+      console.log(JSON.stringify(plan, null, 2));
+    } else {
+      printPlan(plan);
+    }
+
+    if (!args.apply) {
+      console.log('💡 Dry run only. Re-run with --apply to execute this plan.');
+      return;
+    }
+
+    const rolloverId = await transaction(async (client) => {
+      // Re-plan inside the transaction so the applied plan matches the data
+      const freshData = await loadRolloverData(client, fromSeason);
+      const freshPlan = buildRolloverPlan(freshData, { fromSeason, cutoff: args.cutoff || DEFAULT_CUTOFF });
+      return applyRolloverPlan(client, freshPlan);
+    });
+
+    console.log(`✅ Rollover applied (season_rollovers.id = ${rolloverId})`);
+  } catch (error) {
+    console.error('❌ Rollover failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+if (require.main === module) {
+  run();
+}
+
+module.exports = {
+  loadRolloverData,
+  buildRolloverPlan,
+  applyRolloverPlan
+};
@@ -0,0 +1,63 @@
+// =============================================================================
+// NoverThinker - NovaScore Daily Snapshots
+// =============================================================================
+// Recalculates each player's NovaScore and stores today's snapshot in
+// nova_score_history, rebuilding any days missed since the last run and
+// emitting nova_score_change pulse events for big day-over-day moves.
+// Safe to re-run: today's row and its change event are refreshed, never
+// repeated.
+//
+//   node src/jobs/snapshotNovaScores.js
+// =============================================================================
+
+require('dotenv').config();
+
+const { pool, transaction } = require('../config/database');
+const { snapshotPlayer } = require('../utils/novaScoreHistory');
+
+// Snapshot every player, one transaction each so a bad row doesn't stop the run
+const snapshotAllPlayers = async (now = new Date()) => {
+  const playersResult = await pool.query('SELECT id, created_at FROM player_profiles ORDER BY id');
+  const summary = { players: 0, snapshots: 0, events: 0, failed: 0 };
+
+  for (const player of playersResult.rows) {
+    try {
+      const { days, events } = await transaction(client => snapshotPlayer(client, player, now));
+      summary.players++;
+      summary.snapshots += days.length;
+      summary.events += events;
+    } catch (error) {
+      summary.failed++;
+      console.error(`❌ Snapshot failed for player ${player.id}:`, error.message);
+    }
+  }
+
+  return summary;
+};
+
+async function run() {
+  console.log('📸 Taking NovaScore snapshots...');
+
+  try {
+    const summary = await snapshotAllPlayers();
+    console.log(`✅ ${summary.snapshots} snapshot(s) for ${summary.players} player(s), ${summary.events} change event(s)`);
+    if (summary.failed > 0) {
+      console.log(`⚠️  ${summary.failed} player(s) failed`);
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error('❌ Snapshot run failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+if (require.main === module) {
+  run();
+}
+
+module.exports = {
+  run,
+  snapshotAllPlayers
+};
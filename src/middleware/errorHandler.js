@@ -4,10 +4,11 @@
 
 // Custom error class
 class AppError extends Error {
-  constructor(message, statusCode, code = null) {
+  constructor(message, statusCode, code = null, details = null) {
     super(message);
     this.statusCode = statusCode;
     this.code = code;
+    this.details = details;
     this.isOperational = true;
 
     Error.captureStackTrace(this, this.constructor);
@@ -44,6 +45,11 @@ const errorHandler = (err, req, res, next) => {
     code = 'VALIDATION_ERROR';
   }
 
+  if (err.name === 'MulterError') { // File upload limits
+    statusCode = 400;
+    code = 'UPLOAD_ERROR';
+  }
+
   if (err.code === '23505') { // PostgreSQL unique violation
     statusCode = 409;
     message = 'Resource already exists';
@@ -65,6 +71,7 @@ const errorHandler = (err, req, res, next) => {
     success: false,
     error: message,
     code: code,
+    ...(err.details && { details: err.details }),
     ...(process.env.NODE_ENV === 'development' && { stack: err.stack })
   });
 };
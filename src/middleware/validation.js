@@ -3,6 +3,9 @@
 // =============================================================================
 
 const { AppError } = require('./errorHandler');
+const { getRequirementsError } = require('../utils/taskRequirements');
+const { ATTRIBUTES, ATTRIBUTE_MIN, ATTRIBUTE_MAX } = require('../utils/attributeDerivation');
+const { parseSeason } = require('../utils/ageGroup');
 
 // Validation helper
 const validate = (schema) => {
@@ -228,6 +231,647 @@ const schemas = {
     }
   },
 
+  pinTopVideo: {
+    params: {
+      id: { required: true, uuid: true },
+      position: { required: true, type: 'number', min: 1, max: 3 }
+    },
+    body: {
+      videoId: { required: true, uuid: true }
+    }
+  },
+
+  reorderTopVideos: {
+    params: {
+      id: { required: true, uuid: true }
+    },
+    body: {
+      videoIds: {
+        required: true,
+        type: 'array',
+        custom: (value) => {
+          if (value.length > 3) return 'videoIds must contain at most 3 videos';
+          if (!value.every(isValidUUID)) return 'videoIds must contain valid UUIDs';
+          return null;
+        }
+      }
+    }
+  },
+
+  topVideoPosition: {
+    params: {
+      id: { required: true, uuid: true },
+      position: { required: true, type: 'number', min: 1, max: 3 }
+    }
+  },
+
+  novaScoreHistory: {
+    params: {
+      id: { required: true, uuid: true }
+    },
+    query: {
+      from: { type: 'date' },
+      to: { type: 'date' },
+      interval: { enum: ['day', 'week', 'month'] }
+    }
+  },
+
+  updatePlayerAttributes: {
+    params: {
+      id: { required: true, uuid: true }
+    },
+    body: {
+      proposalId: { uuid: true },
+      accept: {
+        type: 'array',
+        custom: (value, body) => {
+          if (!value.every(name => ATTRIBUTES.includes(name))) return `accept must only contain: ${ATTRIBUTES.join(', ')}`;
+          if (value.length > 0 && !body.proposalId) return 'proposalId is required to accept proposed values';
+          return null;
+        }
+      },
+      values: {
+        type: 'object',
+        custom: (value) => {
+          const invalid = Object.entries(value).find(([name, v]) =>
+            !ATTRIBUTES.includes(name) || !Number.isInteger(v) || v < ATTRIBUTE_MIN || v > ATTRIBUTE_MAX);
+          return invalid
+            ? `values must map attribute names to whole numbers between ${ATTRIBUTE_MIN} and ${ATTRIBUTE_MAX}`
+            : null;
+        }
+      }
+    }
+  },
+
+  attributeHistory: {
+    params: {
+      id: { required: true, uuid: true }
+    },
+    query: {
+      attribute: { enum: ATTRIBUTES },
+      from: { type: 'date' },
+      to: { type: 'date' }
+    }
+  },
+
+  // Club & team schemas
+  createClub: {
+    body: {
+      name: { required: true, minLength: 2, maxLength: 255 },
+      shortName: { maxLength: 50 },
+      country: { maxLength: 100 },
+      city: { maxLength: 100 },
+      league: { maxLength: 100 },
+      foundedYear: { type: 'number', min: 1850, max: 2100 },
+      website: { maxLength: 255 }
+    }
+  },
+
+  updateClub: {
+    params: {
+      id: { required: true, uuid: true }
+    },
+    body: {
+      name: { minLength: 2, maxLength: 255 },
+      shortName: { maxLength: 50 },
+      country: { maxLength: 100 },
+      city: { maxLength: 100 },
+      league: { maxLength: 100 },
+      foundedYear: { type: 'number', min: 1850, max: 2100 },
+      website: { maxLength: 255 },
+      isActive: { type: 'boolean' }
+    }
+  },
+
+  createTeam: {
+    body: {
+      clubId: { required: true, uuid: true },
+      name: { required: true, minLength: 2, maxLength: 255 },
+      ageGroup: { required: true, enum: ['U15', 'U16', 'U17', 'U18', 'U19'] },
+      season: { required: true, pattern: /^\d{4}-\d{4}$/, patternMessage: 'season must look like 2025-2026' },
+      headCoachId: { uuid: true },
+      assistantCoachId: { uuid: true },
+      primaryColor: { pattern: /^#[0-9a-f]{6}$/i, patternMessage: 'primaryColor must be a hex color' },
+      secondaryColor: { pattern: /^#[0-9a-f]{6}$/i, patternMessage: 'secondaryColor must be a hex color' }
+    }
+  },
+
+  updateTeam: {
+    params: {
+      id: { required: true, uuid: true }
+    },
+    body: {
+      name: { minLength: 2, maxLength: 255 },
+      ageGroup: { enum: ['U15', 'U16', 'U17', 'U18', 'U19'] },
+      season: { pattern: /^\d{4}-\d{4}$/, patternMessage: 'season must look like 2025-2026' },
+      primaryColor: { pattern: /^#[0-9a-f]{6}$/i, patternMessage: 'primaryColor must be a hex color' },
+      secondaryColor: { pattern: /^#[0-9a-f]{6}$/i, patternMessage: 'secondaryColor must be a hex color' },
+      isActive: { type: 'boolean' }
+    }
+  },
+
+  teamCoaches: {
+    params: {
+      id: { required: true, uuid: true }
+    },
+    body: {
+      headCoachId: { uuid: true },
+      assistantCoachId: { uuid: true }
+    }
+  },
+
+  addRosterPlayer: {
+    params: {
+      id: { required: true, uuid: true }
+    },
+    body: {
+      playerId: { required: true, uuid: true },
+      jerseyNumber: { type: 'number', min: 1, max: 99 },
+      position: { maxLength: 50 },
+      role: { enum: ['player', 'captain', 'vice_captain'] }
+    }
+  },
+
+  updateRosterPlayer: {
+    params: {
+      id: { required: true, uuid: true },
+      playerId: { required: true, uuid: true }
+    },
+    body: {
+      jerseyNumber: { type: 'number', min: 1, max: 99 },
+      position: { maxLength: 50 },
+      role: { enum: ['player', 'captain', 'vice_captain'] }
+    }
+  },
+
+  removeRosterPlayer: {
+    params: {
+      id: { required: true, uuid: true },
+      playerId: { required: true, uuid: true }
+    },
+    body: {
+      leftDate: { type: 'date' }
+    }
+  },
+
+  transferPlayer: {
+    params: {
+      id: { required: true, uuid: true }
+    },
+    body: {
+      toTeamId: { required: true, uuid: true },
+      fromTeamId: { uuid: true },
+      jerseyNumber: { type: 'number', min: 1, max: 99 },
+      position: { maxLength: 50 },
+      role: { enum: ['player', 'captain', 'vice_captain'] },
+      effectiveDate: { type: 'date' }
+    }
+  },
+
+  // Match schemas
+  matchesQuery: {
+    query: {
+      page: { type: 'number', min: 1 },
+      limit: { type: 'number', min: 1, max: 100 },
+      teamId: { uuid: true },
+      status: { enum: ['scheduled', 'in_progress', 'completed', 'cancelled'] },
+      matchType: { enum: ['league', 'cup', 'friendly', 'tournament'] },
+      from: { type: 'date' },
+      to: { type: 'date' },
+      // Parsed the same way as in the controller, so 2025-2027 is a 400
+      season: {
+        custom: (value) => {
+          try {
+            parseSeason(value);
+            return null;
+          } catch (err) {
+            return 'season must be two consecutive years, e.g. 2025-2026';
+          }
+        }
+      }
+    }
+  },
+
+  createMatch: {
+    body: {
+      teamId: { required: true, uuid: true },
+      opponentName: { required: true, minLength: 2, maxLength: 255 },
+      matchType: { enum: ['league', 'cup', 'friendly', 'tournament'] },
+      competitionName: { maxLength: 255 },
+      matchDate: { required: true, type: 'date' },
+      venue: { maxLength: 255 },
+      isHome: { type: 'boolean' }
+    }
+  },
+
+  updateMatch: {
+    params: {
+      id: { required: true, uuid: true }
+    },
+    body: {
+      opponentName: { minLength: 2, maxLength: 255 },
+      matchType: { enum: ['league', 'cup', 'friendly', 'tournament'] },
+      competitionName: { maxLength: 255 },
+      matchDate: { type: 'date' },
+      venue: { maxLength: 255 },
+      isHome: { type: 'boolean' }
+    }
+  },
+
+  matchStatus: {
+    params: {
+      id: { required: true, uuid: true }
+    },
+    body: {
+      status: { required: true, enum: ['in_progress', 'completed', 'cancelled'] },
+      teamScore: { type: 'number', min: 0, max: 99 },
+      opponentScore: { type: 'number', min: 0, max: 99 }
+    }
+  },
+
+  matchScore: {
+    params: {
+      id: { required: true, uuid: true }
+    },
+    body: {
+      teamScore: { required: true, type: 'number', min: 0, max: 99 },
+      opponentScore: { required: true, type: 'number', min: 0, max: 99 }
+    }
+  },
+
+  savePerformances: {
+    params: {
+      id: { required: true, uuid: true }
+    },
+    body: {
+      performances: {
+        required: true,
+        type: 'array',
+        custom: (value) => {
+          if (value.length === 0) return 'performances must not be empty';
+          if (value.length > 40) return 'performances must contain at most 40 players';
+          return null;
+        }
+      }
+    }
+  },
+
+  // One row of a bulk rating submission (checked per row by utils/matchPerformance)
+  matchPerformanceRow: {
+    body: {
+      playerId: { required: true, uuid: true },
+      minutesPlayed: { required: true, type: 'number', min: 0, max: 120 },
+      started: { type: 'boolean' },
+      substitutedIn: { type: 'number', min: 0, max: 120 },
+      substitutedOut: { type: 'number', min: 1, max: 120 },
+      goals: { type: 'number', min: 0, max: 20 },
+      assists: { type: 'number', min: 0, max: 20 },
+      yellowCards: { type: 'number', min: 0, max: 2 },
+      redCards: { type: 'number', min: 0, max: 1 },
+      performanceCredits: { type: 'number', min: 5, max: 20 },
+      coachNotes: { maxLength: 2000 }
+    }
+  },
+
+  // One row of a fixtures CSV import (columns as in the spreadsheet header)
+  matchImportRow: {
+    body: {
+      match_date: {
+        required: true,
+        type: 'date',
+        pattern: /^\d{4}-\d{2}-\d{2}([ T]\d{2}:\d{2}(:\d{2})?)?$/,
+        patternMessage: 'match_date must be YYYY-MM-DD or YYYY-MM-DD HH:MM'
+      },
+      opponent_name: { required: true, minLength: 2, maxLength: 255 },
+      match_type: { enum: ['league', 'cup', 'friendly', 'tournament'] },
+      competition_name: { maxLength: 255 },
+      venue: { maxLength: 255 },
+      is_home: { type: 'boolean' },
+      team_score: { type: 'number', min: 0, max: 99 },
+      opponent_score: { type: 'number', min: 0, max: 99 },
+      status: { enum: ['scheduled', 'completed', 'cancelled'] },
+      notes: { maxLength: 2000 }
+    }
+  },
+
+  teamImport: {
+    params: {
+      id: { required: true, uuid: true }
+    },
+    query: {
+      dryRun: { type: 'boolean' }
+    }
+  },
+
+  unlockPerformances: {
+    params: {
+      id: { required: true, uuid: true }
+    },
+    body: {
+      reason: { required: true, minLength: 3, maxLength: 500 },
+      hours: { type: 'number', min: 1, max: 168 }
+    }
+  },
+
+  // Combine schemas
+  combinesQuery: {
+    query: {
+      page: { type: 'number', min: 1 },
+      limit: { type: 'number', min: 1, max: 100 },
+      teamId: { uuid: true },
+      status: { enum: ['scheduled', 'in_progress', 'completed', 'cancelled'] },
+      from: { type: 'date' },
+      to: { type: 'date' }
+    }
+  },
+
+  createCombine: {
+    body: {
+      teamId: { required: true, uuid: true },
+      name: { required: true, minLength: 2, maxLength: 255 },
+      description: { maxLength: 2000 },
+      combineDate: { required: true, type: 'date' },
+      location: { maxLength: 255 }
+    }
+  },
+
+  updateCombine: {
+    params: {
+      id: { required: true, uuid: true }
+    },
+    body: {
+      name: { minLength: 2, maxLength: 255 },
+      description: { maxLength: 2000 },
+      combineDate: { type: 'date' },
+      location: { maxLength: 255 }
+    }
+  },
+
+  combineStatus: {
+    params: {
+      id: { required: true, uuid: true }
+    },
+    body: {
+      status: { required: true, enum: ['in_progress', 'completed', 'cancelled'] }
+    }
+  },
+
+  saveCombineResults: {
+    params: {
+      id: { required: true, uuid: true }
+    },
+    body: {
+      results: {
+        required: true,
+        type: 'array',
+        custom: (value) => {
+          if (value.length === 0) return 'results must not be empty';
+          if (value.length > 60) return 'results must contain at most 60 players';
+          return null;
+        }
+      }
+    }
+  },
+
+  // One player's row of a bulk combine entry (checked per row by utils/combineResults).
+  // Ranges reject obvious typos from the testing stations, not unusual athletes.
+  combineResultRow: {
+    body: {
+      playerId: { required: true, uuid: true },
+      sprint5m: { type: 'number', min: 0.5, max: 3 },
+      sprint10m: { type: 'number', min: 1, max: 4 },
+      sprint30m: { type: 'number', min: 3, max: 9 },
+      agilitySlalom: { type: 'number', min: 5, max: 60 },
+      agilityTTest: { type: 'number', min: 7, max: 25 },
+      medicineBallThrow: { type: 'number', min: 1, max: 30 },
+      yoyoTestLevel: { type: 'number', min: 5, max: 23 },
+      yoyoTestDistance: {
+        type: 'number',
+        min: 0,
+        max: 5000,
+        custom: (value) => (Number.isInteger(Number(value)) ? null : 'yoyoTestDistance must be a whole number of meters')
+      },
+      notes: { maxLength: 2000 }
+    }
+  },
+
+  combineLeaderboard: {
+    params: {
+      id: { required: true, uuid: true }
+    },
+    query: {
+      test: {
+        enum: ['sprint5m', 'sprint10m', 'sprint30m', 'agilitySlalom', 'agilityTTest',
+               'medicineBallThrow', 'yoyoTestLevel', 'yoyoTestDistance']
+      }
+    }
+  },
+
+  // Task library schemas
+  tasksQuery: {
+    query: {
+      page: { type: 'number', min: 1 },
+      limit: { type: 'number', min: 1, max: 100 },
+      category: { enum: ['technical', 'tactical', 'physical', 'mental'] },
+      difficulty: { enum: ['beginner', 'intermediate', 'advanced', 'elite'] },
+      position: { maxLength: 10 },
+      search: { maxLength: 100 },
+      myRoster: { type: 'boolean' },
+      includeInactive: { type: 'boolean' }
+    }
+  },
+
+  createTask: {
+    body: {
+      title: { required: true, minLength: 3, maxLength: 255 },
+      description: { maxLength: 5000 },
+      category: { required: true, enum: ['technical', 'tactical', 'physical', 'mental'] },
+      difficulty: { enum: ['beginner', 'intermediate', 'advanced', 'elite'] },
+      requirements: { type: 'object', custom: getRequirementsError },
+      exampleVideoUrl: { maxLength: 2000 },
+      thumbnailUrl: { maxLength: 2000 },
+      estimatedDurationMinutes: { type: 'number', min: 1, max: 240 },
+      equipmentNeeded: {
+        type: 'array',
+        custom: (value) => (value.every(item => typeof item === 'string') ? null : 'equipmentNeeded must be a list of strings')
+      },
+      positionSpecific: {
+        type: 'array',
+        custom: (value) => (value.every(item => typeof item === 'string') ? null : 'positionSpecific must be a list of positions')
+      }
+    }
+  },
+
+  updateTask: {
+    params: {
+      id: { required: true, uuid: true }
+    },
+    body: {
+      title: { minLength: 3, maxLength: 255 },
+      description: { maxLength: 5000 },
+      category: { enum: ['technical', 'tactical', 'physical', 'mental'] },
+      difficulty: { enum: ['beginner', 'intermediate', 'advanced', 'elite'] },
+      requirements: { type: 'object', custom: getRequirementsError },
+      exampleVideoUrl: { maxLength: 2000 },
+      thumbnailUrl: { maxLength: 2000 },
+      estimatedDurationMinutes: { type: 'number', min: 1, max: 240 },
+      equipmentNeeded: {
+        type: 'array',
+        custom: (value) => (value.every(item => typeof item === 'string') ? null : 'equipmentNeeded must be a list of strings')
+      },
+      positionSpecific: {
+        type: 'array',
+        custom: (value) => (value.every(item => typeof item === 'string') ? null : 'positionSpecific must be a list of positions')
+      },
+      isActive: { type: 'boolean' }
+    }
+  },
+
+  createAssignment: {
+    params: {
+      id: { required: true, uuid: true }
+    },
+    body: {
+      assignmentType: { required: true, enum: ['individual', 'group', 'team', 'global'] },
+      playerId: { uuid: true },
+      playerIds: {
+        type: 'array',
+        custom: (value) => {
+          if (value.length > 50) return 'playerIds must contain at most 50 players';
+          if (!value.every(isValidUUID)) return 'playerIds must contain valid UUIDs';
+          return null;
+        }
+      },
+      teamId: { uuid: true },
+      dueDate: { type: 'date' },
+      instructions: { maxLength: 2000 }
+    }
+  },
+
+  assignmentsQuery: {
+    query: {
+      page: { type: 'number', min: 1 },
+      limit: { type: 'number', min: 1, max: 100 },
+      status: { enum: ['active', 'completed', 'expired', 'cancelled'] },
+      assignmentType: { enum: ['individual', 'group', 'team', 'global'] },
+      teamId: { uuid: true },
+      taskId: { uuid: true }
+    }
+  },
+
+  assignmentParams: {
+    params: {
+      assignmentId: { required: true, uuid: true }
+    }
+  },
+
+  myTasksQuery: {
+    query: {
+      status: { enum: ['active', 'completed', 'expired', 'cancelled', 'all'] }
+    }
+  },
+
+  createSubmission: {
+    params: {
+      assignmentId: { required: true, uuid: true }
+    },
+    body: {
+      key: { required: true, type: 'string', maxLength: 500 },
+      thumbnailKey: { type: 'string', maxLength: 500 },
+      durationSeconds: { type: 'number', min: 1, max: 3600 },
+      notes: { maxLength: 2000 }
+    }
+  },
+
+  submissionsQuery: {
+    query: {
+      page: { type: 'number', min: 1 },
+      limit: { type: 'number', min: 1, max: 100 },
+      status: { enum: ['pending', 'approved', 'rejected', 'needs_improvement'] },
+      category: { enum: ['technical', 'tactical', 'physical', 'mental'] },
+      taskId: { uuid: true },
+      teamId: { uuid: true }
+    }
+  },
+
+  reviewSubmission: {
+    params: {
+      submissionId: { required: true, uuid: true }
+    },
+    body: {
+      status: { required: true, enum: ['approved', 'rejected', 'needs_improvement'] },
+      pointsAwarded: { type: 'number', min: 5, max: 20 },
+      reviewNotes: { maxLength: 2000 }
+    }
+  },
+
+  // Video schemas
+  videoUploadUrl: {
+    body: {
+      fileName: { required: true, maxLength: 255 },
+      contentType: { required: true },
+      fileSize: { required: true, type: 'number', min: 1 }
+    }
+  },
+
+  createVideo: {
+    body: {
+      key: { required: true, type: 'string', maxLength: 500 },
+      title: { required: true, minLength: 2, maxLength: 255 },
+      description: { maxLength: 2000 },
+      category: { required: true, enum: ['training', 'match', 'freestyle', 'coach_task'] },
+      visibility: { enum: ['public', 'team_only', 'private'] },
+      durationSeconds: { type: 'number', min: 1, max: 600 },
+      thumbnailKey: { type: 'string', maxLength: 500 }
+    }
+  },
+
+  videoFeed: {
+    query: {
+      limit: { type: 'number', min: 1, max: 50 },
+      cursor: { type: 'string', maxLength: 200 },
+      category: { enum: ['training', 'match', 'freestyle', 'coach_task'] },
+      ageGroup: { enum: ['U15', 'U16', 'U17', 'U18', 'U19'] },
+      watchlistOnly: { type: 'boolean' }
+    }
+  },
+
+  approveVideo: {
+    params: {
+      id: { required: true, uuid: true }
+    },
+    body: {
+      impactLevel: { required: true, enum: ['low', 'medium', 'high'] },
+      moderationNotes: { maxLength: 2000 }
+    }
+  },
+
+  rejectVideo: {
+    params: {
+      id: { required: true, uuid: true }
+    },
+    body: {
+      moderationNotes: { required: true, minLength: 5, maxLength: 2000, message: 'A reason is required when rejecting a video' }
+    }
+  },
+
+  videoComment: {
+    params: {
+      id: { required: true, uuid: true },
+      commentId: { uuid: true }
+    },
+    body: {
+      content: { required: true, type: 'string', minLength: 1, maxLength: 1000 }
+    }
+  },
+
+  videoCommentParams: {
+    params: {
+      id: { required: true, uuid: true },
+      commentId: { required: true, uuid: true }
+    }
+  },
+
   // UUID param
   uuidParam: {
     params: {
@@ -246,6 +890,7 @@ const schemas = {
 
 module.exports = {
   validate,
+  validateObject,
   schemas,
   isValidEmail,
   isValidUUID
@@ -0,0 +1,24 @@
+// =============================================================================
+// NoverThinker - Clubs Routes
+// =============================================================================
+
+const express = require('express');
+const router = express.Router();
+const { authenticate, authorize } = require('../middleware/auth');
+const { validate, schemas } = require('../middleware/validation');
+const {
+  getClubs,
+  getClub,
+  createClub,
+  updateClub
+} = require('../controllers/clubsController');
+
+// Public routes
+router.get('/', validate(schemas.pagination), getClubs);
+router.get('/:id', validate(schemas.uuidParam), getClub);
+
+// Admin-only routes
+router.post('/', authenticate, authorize('admin'), validate(schemas.createClub), createClub);
+router.put('/:id', authenticate, authorize('admin'), validate(schemas.updateClub), updateClub);
+
+module.exports = router;
@@ -0,0 +1,30 @@
+// =============================================================================
+// NoverThinker - Combines Routes
+// =============================================================================
+
+const express = require('express');
+const router = express.Router();
+const { authenticate, authorize } = require('../middleware/auth');
+const { validate, schemas } = require('../middleware/validation');
+const {
+  getCombines,
+  getCombine,
+  createCombine,
+  updateCombine,
+  updateCombineStatus,
+  saveCombineResults,
+  getCombineLeaderboard
+} = require('../controllers/combinesController');
+
+// Any logged-in user
+router.get('/', authenticate, validate(schemas.combinesQuery), getCombines);
+router.get('/:id', validate(schemas.uuidParam), authenticate, getCombine);
+router.get('/:id/leaderboard', validate(schemas.combineLeaderboard), authenticate, getCombineLeaderboard);
+
+// Coaches of the team and admins (team checked in controller)
+router.post('/', authenticate, authorize('coach', 'admin'), validate(schemas.createCombine), createCombine);
+router.put('/:id', authenticate, authorize('coach', 'admin'), validate(schemas.updateCombine), updateCombine);
+router.patch('/:id/status', authenticate, authorize('coach', 'admin'), validate(schemas.combineStatus), updateCombineStatus);
+router.put('/:id/results', authenticate, authorize('coach', 'admin'), validate(schemas.saveCombineResults), saveCombineResults);
+
+module.exports = router;
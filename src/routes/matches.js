@@ -0,0 +1,38 @@
+// =============================================================================
+// NoverThinker - Matches Routes
+// =============================================================================
+
+const express = require('express');
+const router = express.Router();
+const { authenticate, authorize } = require('../middleware/auth');
+const { validate, schemas } = require('../middleware/validation');
+const {
+  getMatches,
+  getMatch,
+  createMatch,
+  updateMatch,
+  updateMatchStatus,
+  updateMatchScore
+} = require('../controllers/matchesController');
+const {
+  getPerformances,
+  savePerformances,
+  unlockPerformances
+} = require('../controllers/performancesController');
+
+// Any logged-in user
+router.get('/', authenticate, validate(schemas.matchesQuery), getMatches);
+router.get('/:id', validate(schemas.uuidParam), authenticate, getMatch);
+router.get('/:id/performances', validate(schemas.uuidParam), authenticate, getPerformances);
+
+// Coaches of the team and admins (team checked in controller)
+router.post('/', authenticate, authorize('coach', 'admin'), validate(schemas.createMatch), createMatch);
+router.put('/:id', authenticate, authorize('coach', 'admin'), validate(schemas.updateMatch), updateMatch);
+router.patch('/:id/status', authenticate, authorize('coach', 'admin'), validate(schemas.matchStatus), updateMatchStatus);
+router.patch('/:id/score', authenticate, authorize('coach', 'admin'), validate(schemas.matchScore), updateMatchScore);
+router.put('/:id/performances', authenticate, authorize('coach', 'admin'), validate(schemas.savePerformances), savePerformances);
+
+// Admin only
+router.post('/:id/performances/unlock', authenticate, authorize('admin'), validate(schemas.unlockPerformances), unlockPerformances);
+
+module.exports = router;
@@ -10,17 +10,51 @@ const {
   getPlayers,
   getPlayer,
   getPlayerAnalytics,
+  getPlayerStats,
   discoverPlayers,
-  comparePlayers
+  comparePlayers,
+  pinTopVideo,
+  reorderTopVideos,
+  unpinTopVideo
 } = require('../controllers/playersController');
+const { transferPlayer, getPlayerCareer } = require('../controllers/teamsController');
+const { getNovaScoreHistory, explainNovaScore } = require('../controllers/novaScoreController');
+const {
+  getPlayerAttributes,
+  derivePlayerAttributes,
+  updatePlayerAttributes,
+  getAttributeHistory
+} = require('../controllers/attributesController');
 
 // Public routes (with optional auth for personalization)
 router.get('/', optionalAuth, getPlayers);
 router.get('/discover', authenticate, authorize('agent', 'admin'), discoverPlayers);
 router.get('/:id', validate(schemas.uuidParam), optionalAuth, getPlayer);
+router.get('/:id/career', validate(schemas.uuidParam), optionalAuth, getPlayerCareer);
+router.get('/:id/stats', validate(schemas.uuidParam), optionalAuth, getPlayerStats);
 
 // Agent-only routes
 router.get('/:id/analytics', validate(schemas.uuidParam), authenticate, authorize('agent', 'admin'), getPlayerAnalytics);
+router.get('/:id/nova-score/history', validate(schemas.novaScoreHistory), authenticate, authorize('agent', 'admin'), getNovaScoreHistory);
 router.post('/compare', authenticate, authorize('agent', 'admin'), comparePlayers);
 
+// NovaScore breakdown (Player: own, Agent/Coach: public players - checked in controller)
+router.get('/:id/nova-score/explain', validate(schemas.uuidParam), authenticate, explainNovaScore);
+
+// Attribute history (Player: own, Agent/Coach: public players - checked in controller)
+router.get('/:id/attributes/history', validate(schemas.attributeHistory), authenticate, getAttributeHistory);
+
+// Attribute review (coaches of the player, Admin - checked in controller)
+router.get('/:id/attributes', validate(schemas.uuidParam), authenticate, authorize('coach', 'admin'), getPlayerAttributes);
+router.post('/:id/attributes/derive', validate(schemas.uuidParam), authenticate, authorize('coach', 'admin'), derivePlayerAttributes);
+router.put('/:id/attributes', authenticate, authorize('coach', 'admin'), validate(schemas.updatePlayerAttributes), updatePlayerAttributes);
+
+// Roster transfers (Admin, coaches of the releasing team - checked in controller)
+router.post('/:id/transfer', authenticate, authorize('coach', 'admin'), validate(schemas.transferPlayer), transferPlayer);
+
+// Highlight reel curation (Player, their coaches, Admin - checked in controller)
+router.put('/:id/top-videos', authenticate, validate(schemas.reorderTopVideos), reorderTopVideos);
+router.put('/:id/top-videos/:position', authenticate, validate(schemas.pinTopVideo), pinTopVideo);
+router.delete('/:id/top-videos/:position', authenticate, validate(schemas.topVideoPosition), unpinTopVideo);
+
 module.exports = router;
@@ -0,0 +1,56 @@
+// =============================================================================
+// NoverThinker - Tasks Routes
+// =============================================================================
+
+const express = require('express');
+const router = express.Router();
+const { authenticate, authorize } = require('../middleware/auth');
+const { validate, schemas } = require('../middleware/validation');
+const {
+  getTasks,
+  getTask,
+  createTask,
+  updateTask,
+  deactivateTask
+} = require('../controllers/tasksController');
+const {
+  createAssignment,
+  getAssignments,
+  cancelAssignment,
+  getMyTasks
+} = require('../controllers/taskAssignmentsController');
+const {
+  requestSubmissionUploadUrl,
+  createSubmission,
+  getMySubmissions,
+  getReviewQueue,
+  reviewSubmission
+} = require('../controllers/taskSubmissionsController');
+
+// Player inbox
+router.get('/mine', authenticate, authorize('player'), validate(schemas.myTasksQuery), getMyTasks);
+
+// Submissions (Player)
+router.post('/submissions/upload-url', authenticate, authorize('player'), validate(schemas.videoUploadUrl), requestSubmissionUploadUrl);
+router.get('/submissions/mine', authenticate, authorize('player'), validate(schemas.submissionsQuery), getMySubmissions);
+router.post('/assignments/:assignmentId/submissions', authenticate, authorize('player'), validate(schemas.createSubmission), createSubmission);
+
+// Review (Coach, Admin - scoped to the coach's teams in controller)
+router.get('/submissions/queue', authenticate, authorize('coach', 'admin'), validate(schemas.submissionsQuery), getReviewQueue);
+router.patch('/submissions/:submissionId/review', authenticate, authorize('coach', 'admin'), validate(schemas.reviewSubmission), reviewSubmission);
+
+// Assignments (Coach, Admin - targets checked in controller)
+router.get('/assignments', authenticate, authorize('coach', 'admin'), validate(schemas.assignmentsQuery), getAssignments);
+router.patch('/assignments/:assignmentId/cancel', authenticate, authorize('coach', 'admin'), validate(schemas.assignmentParams), cancelAssignment);
+router.post('/:id/assign', authenticate, authorize('coach', 'admin'), validate(schemas.createAssignment), createAssignment);
+
+// Library browsing (Coach, Admin)
+router.get('/', authenticate, authorize('coach', 'admin'), validate(schemas.tasksQuery), getTasks);
+router.get('/:id', validate(schemas.uuidParam), authenticate, authorize('coach', 'admin'), getTask);
+
+// Library curation (Admin)
+router.post('/', authenticate, authorize('admin'), validate(schemas.createTask), createTask);
+router.put('/:id', authenticate, authorize('admin'), validate(schemas.updateTask), updateTask);
+router.delete('/:id', validate(schemas.uuidParam), authenticate, authorize('admin'), deactivateTask);
+
+module.exports = router;
@@ -0,0 +1,48 @@
+// =============================================================================
+// NoverThinker - Teams Routes
+// =============================================================================
+
+const express = require('express');
+const multer = require('multer');
+const router = express.Router();
+const { authenticate, authorize } = require('../middleware/auth');
+const { validate, schemas } = require('../middleware/validation');
+const {
+  getTeams,
+  getTeam,
+  getRoster,
+  createTeam,
+  updateTeam,
+  assignCoaches,
+  addRosterPlayer,
+  updateRosterPlayer,
+  removeRosterPlayer
+} = require('../controllers/teamsController');
+const { importTeamMatches } = require('../controllers/importController');
+
+// CSV uploads are small - keep them in memory
+const csvUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 2 * 1024 * 1024 }
+}).fields([
+  { name: 'matches', maxCount: 1 },
+  { name: 'performances', maxCount: 1 }
+]);
+
+// Public routes
+router.get('/', validate(schemas.pagination), getTeams);
+router.get('/:id', validate(schemas.uuidParam), getTeam);
+router.get('/:id/roster', validate(schemas.uuidParam), getRoster);
+
+// Admin-only routes
+router.post('/', authenticate, authorize('admin'), validate(schemas.createTeam), createTeam);
+
+// Admin and the team's own coaches (checked in controller)
+router.put('/:id', authenticate, authorize('coach', 'admin'), validate(schemas.updateTeam), updateTeam);
+router.put('/:id/coaches', authenticate, authorize('coach', 'admin'), validate(schemas.teamCoaches), assignCoaches);
+router.post('/:id/players', authenticate, authorize('coach', 'admin'), validate(schemas.addRosterPlayer), addRosterPlayer);
+router.patch('/:id/players/:playerId', authenticate, authorize('coach', 'admin'), validate(schemas.updateRosterPlayer), updateRosterPlayer);
+router.delete('/:id/players/:playerId', authenticate, authorize('coach', 'admin'), validate(schemas.removeRosterPlayer), removeRosterPlayer);
+router.post('/:id/import', authenticate, authorize('coach', 'admin'), csvUpload, validate(schemas.teamImport), importTeamMatches);
+
+module.exports = router;
@@ -0,0 +1,50 @@
+// =============================================================================
+// NoverThinker - Videos Routes
+// =============================================================================
+
+const express = require('express');
+const router = express.Router();
+const { authenticate, authorize, optionalAuth } = require('../middleware/auth');
+const { validate, schemas } = require('../middleware/validation');
+const {
+  requestUploadUrl,
+  createVideo,
+  getMyVideos,
+  getFeed,
+  getVideo,
+  getModerationQueue,
+  approveVideo,
+  rejectVideo,
+  likeVideo,
+  unlikeVideo,
+  recordView,
+  getComments,
+  addComment,
+  updateComment,
+  deleteComment
+} = require('../controllers/videosController');
+
+// Player upload flow
+router.post('/upload-url', authenticate, authorize('player'), validate(schemas.videoUploadUrl), requestUploadUrl);
+router.post('/', authenticate, authorize('player'), validate(schemas.createVideo), createVideo);
+router.get('/mine', authenticate, authorize('player'), getMyVideos);
+
+// Moderation (Coach, Admin)
+router.get('/moderation/queue', authenticate, authorize('coach', 'admin'), validate(schemas.pagination), getModerationQueue);
+router.patch('/:id/approve', authenticate, authorize('coach', 'admin'), validate(schemas.approveVideo), approveVideo);
+router.patch('/:id/reject', authenticate, authorize('coach', 'admin'), validate(schemas.rejectVideo), rejectVideo);
+
+// Public routes (visibility checked in controller)
+router.get('/feed', validate(schemas.videoFeed), optionalAuth, getFeed);
+router.get('/:id', validate(schemas.uuidParam), optionalAuth, getVideo);
+router.post('/:id/view', validate(schemas.uuidParam), optionalAuth, recordView);
+router.get('/:id/comments', validate(schemas.uuidParam), validate(schemas.pagination), optionalAuth, getComments);
+
+// Engagement (any logged-in user)
+router.post('/:id/like', validate(schemas.uuidParam), authenticate, likeVideo);
+router.delete('/:id/like', validate(schemas.uuidParam), authenticate, unlikeVideo);
+router.post('/:id/comments', validate(schemas.videoComment), authenticate, addComment);
+router.put('/:id/comments/:commentId', validate(schemas.videoComment), authenticate, updateComment);
+router.delete('/:id/comments/:commentId', validate(schemas.videoCommentParams), authenticate, deleteComment);
+
+module.exports = router;
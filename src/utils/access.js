@@ -0,0 +1,84 @@
+// =============================================================================
+// NoverThinker - Access Helpers
+// =============================================================================
+// Shared ownership / coaching checks used across controllers
+// =============================================================================
+
+const { query } = require('../config/database');
+const { AppError } = require('../middleware/errorHandler');
+
+// Get the player profile ID for a user (throws if the user has none)
+const getPlayerProfileId = async (userId) => {
+  const result = await query(
+    'SELECT id FROM player_profiles WHERE user_id = $1',
+    [userId]
+  );
+
+  if (result.rows.length === 0) {
+    throw new AppError('Player profile not found', 404, 'PLAYER_NOT_FOUND');
+  }
+
+  return result.rows[0].id;
+};
+
+// Is the user head or assistant coach of any active team the player is on?
+const isCoachOfPlayer = async (userId, playerId) => {
+  const result = await query(
+    `SELECT 1
+     FROM team_players tp
+     JOIN teams t ON t.id = tp.team_id
+     WHERE tp.player_id = $1 AND tp.is_active = true
+       AND (t.head_coach_id = $2 OR t.assistant_coach_id = $2)
+     LIMIT 1`,
+    [playerId, userId]
+  );
+
+  return result.rows.length > 0;
+};
+
+// Is the user head or assistant coach of the team?
+const isTeamCoach = async (userId, teamId) => {
+  const result = await query(
+    'SELECT 1 FROM teams WHERE id = $1 AND (head_coach_id = $2 OR assistant_coach_id = $2)',
+    [teamId, userId]
+  );
+
+  return result.rows.length > 0;
+};
+
+// Admin, or head/assistant coach of the team
+const assertCanManageTeam = async (user, teamId) => {
+  if (user.userType === 'admin') return;
+
+  if (user.userType === 'coach' && await isTeamCoach(user.id, teamId)) return;
+
+  throw new AppError('Only admins and the team\'s coaches can manage this team', 403, 'FORBIDDEN');
+};
+
+// Player themselves, one of their coaches, or an admin
+const assertCanManagePlayer = async (user, playerId) => {
+  if (user.userType === 'admin') return;
+
+  const result = await query(
+    'SELECT user_id FROM player_profiles WHERE id = $1',
+    [playerId]
+  );
+
+  if (result.rows.length === 0) {
+    throw new AppError('Player not found', 404, 'PLAYER_NOT_FOUND');
+  }
+
+  if (result.rows[0].user_id === user.id) return;
+
+  if (user.userType === 'coach' && await isCoachOfPlayer(user.id, playerId)) return;
+
+  throw new AppError('Access denied. Insufficient permissions.', 403, 'FORBIDDEN');
+};
+
+module.exports = {
+  getPlayerProfileId,
+  isCoachOfPlayer,
+  isTeamCoach,
+  assertCanManageTeam,
+  assertCanManagePlayer
+};
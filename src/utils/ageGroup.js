@@ -0,0 +1,102 @@
+// =============================================================================
+// NoverThinker - Seasons & DFB Age Groups
+// =============================================================================
+// Seasons run July -> June and are written "2025-2026". DFB youth age groups
+// are decided by age on a cutoff date (Stichtag, default 1 January), so e.g.
+// in 2025-2026 the U19 (A-Junioren) are the 2007 and 2008 birth years.
+// Override the cutoff with DFB_CUTOFF_DATE=MM-DD.
+// =============================================================================
+
+const DEFAULT_CUTOFF = process.env.DFB_CUTOFF_DATE || '01-01';
+
+// Two-year bands used by the platform (oldest youth group is U19)
+const AGE_GROUP_BANDS = [
+  { ageGroup: 'U15', maxAge: 14 },
+  { ageGroup: 'U17', maxAge: 16 },
+  { ageGroup: 'U19', maxAge: 18 }
+];
+
+const SEASON_PATTERN = /^(\d{4})-(\d{4})$/;
+
+const parseSeason = (season) => {
+  const match = SEASON_PATTERN.exec(season || '');
+  if (!match || parseInt(match[2]) !== parseInt(match[1]) + 1) {
+    throw new Error(`Invalid season "${season}" (expected e.g. 2025-2026)`);
+  }
+  return { startYear: parseInt(match[1]), endYear: parseInt(match[2]) };
+};
+
+const formatSeason = (startYear) => `${startYear}-${startYear + 1}`;
+
+// Season that contains the given date (new season starts 1 July)
+const getSeasonForDate = (date = new Date()) => {
+  const year = date.getUTCFullYear();
+  return formatSeason(date.getUTCMonth() >= 6 ? year : year - 1);
+};
+
+const getNextSeason = (season) => formatSeason(parseSeason(season).startYear + 1);
+
+// Cutoff date (UTC) that applies to a season: Jan-Jun cutoffs fall in the
+// season's end year, Jul-Dec cutoffs in its start year
+const getCutoffDate = (season, cutoff = DEFAULT_CUTOFF) => {
+  const { startYear, endYear } = parseSeason(season);
+  const [month, day] = cutoff.split('-').map(Number);
+
+  if (!month || !day || month > 12 || day > 31) {
+    throw new Error(`Invalid cutoff "${cutoff}" (expected MM-DD)`);
+  }
+
+  return new Date(Date.UTC(month >= 7 ? startYear : endYear, month - 1, day));
+};
+
+// Calendar parts of a birth date. pg returns DATE columns as local-midnight
+// Date objects, while API input arrives as "YYYY-MM-DD" strings (UTC).
+const getDateParts = (value) => {
+  if (value instanceof Date) {
+    return { year: value.getFullYear(), month: value.getMonth(), day: value.getDate() };
+  }
+  const date = new Date(value);
+  return { year: date.getUTCFullYear(), month: date.getUTCMonth(), day: date.getUTCDate() };
+};
+
+// Completed years of age on the day before the cutoff
+const getAgeAtCutoff = (dateOfBirth, season, cutoff = DEFAULT_CUTOFF) => {
+  const reference = getCutoffDate(season, cutoff);
+  reference.setUTCDate(reference.getUTCDate() - 1);
+
+  const birth = getDateParts(dateOfBirth);
+  let age = reference.getUTCFullYear() - birth.year;
+  const monthDiff = reference.getUTCMonth() - birth.month;
+
+  if (monthDiff < 0 || (monthDiff === 0 && reference.getUTCDate() < birth.day)) {
+    age--;
+  }
+
+  return age;
+};
+
+// Returns null once a player is too old for youth football
+const getAgeGroupForAge = (age) => {
+  const band = AGE_GROUP_BANDS.find(b => age <= b.maxAge);
+  return band ? band.ageGroup : null;
+};
+
+// Age group for a season (defaults to the current one). Players past U19
+// stay U19 on their profile - rollover reports them as aged out.
+const calculateAgeGroup = (dateOfBirth, season = getSeasonForDate(), cutoff = DEFAULT_CUTOFF) => {
+  const age = getAgeAtCutoff(dateOfBirth, season, cutoff);
+  return getAgeGroupForAge(age) || 'U19';
+};
+
+module.exports = {
+  DEFAULT_CUTOFF,
+  AGE_GROUP_BANDS,
+  parseSeason,
+  formatSeason,
+  getSeasonForDate,
+  getNextSeason,
+  getCutoffDate,
+  getAgeAtCutoff,
+  getAgeGroupForAge,
+  calculateAgeGroup
+};
@@ -0,0 +1,92 @@
+// =============================================================================
+// NoverThinker - Analytics Invalidation
+// =============================================================================
+// Database triggers (schema.sql, mark_player_analytics_dirty) flag a player's
+// agent_analytics_cache row as dirty and NOTIFY 'player_changed' whenever
+// their matches, attendance, discipline notes, submissions or videos change.
+// The worker listens, drops the Redis copies and recomputes dirty rows in the
+// background; the API serves the stored panels with a staleness indicator
+// meanwhile.
+// =============================================================================
+
+const { cache } = require('../config/redis');
+const { calculatePlayerAnalytics } = require('./playerAnalytics');
+
+const PLAYER_CHANGED_CHANNEL = 'player_changed';
+
+// Dirty longer than this (e.g. no worker running) - the API recalculates inline
+const MAX_STALE_SECONDS = (parseInt(process.env.ANALYTICS_MAX_STALE_MINUTES) || 15) * 60;
+
+const RECOMPUTE_BATCH_SIZE = 50;
+
+const invalidatePlayerCaches = (playerId) => Promise.all([
+  cache.del(`player:${playerId}`),
+  cache.del(`analytics:${playerId}`)
+]);
+
+// Staleness of an agent_analytics_cache row (or a row-shaped join)
+const getStaleness = (row, now = new Date()) => {
+  const isStale = Boolean(row && row.is_dirty);
+
+  return {
+    isStale,
+    invalidatedAt: isStale ? row.invalidated_at : null,
+    invalidatedBy: isStale ? row.invalidated_by : null,
+    staleForSeconds: isStale ? Math.max(0, Math.round((now - new Date(row.invalidated_at)) / 1000)) : 0
+  };
+};
+
+const isStaleTooLong = (staleness) => staleness.isStale && staleness.staleForSeconds >= MAX_STALE_SECONDS;
+
+// Recalculate the longest-dirty rows first
+const recomputeDirtyAnalytics = async (db, limit = RECOMPUTE_BATCH_SIZE) => {
+  const dirtyResult = await db.query(
+    `SELECT player_id FROM agent_analytics_cache
+     WHERE is_dirty = TRUE
+     ORDER BY invalidated_at
+     LIMIT $1`,
+    [limit]
+  );
+
+  const summary = { recomputed: 0, failed: 0 };
+
+  for (const { player_id: playerId } of dirtyResult.rows) {
+    try {
+      await calculatePlayerAnalytics(db, playerId);
+      await cache.del(`analytics:${playerId}`);
+      summary.recomputed++;
+    } catch (error) {
+      summary.failed++;
+      console.error(`❌ Analytics recompute failed for player ${playerId}:`, error.message);
+    }
+  }
+
+  return summary;
+};
+
+// LISTEN on a dedicated connection; onChange receives { playerId, reason }
+const listenForPlayerChanges = async (pool, onChange) => {
+  const client = await pool.connect();
+
+  client.on('notification', (message) => {
+    if (message.channel !== PLAYER_CHANGED_CHANNEL) return;
+    try {
+      onChange(JSON.parse(message.payload));
+    } catch (error) {
+      console.error('❌ Bad player_changed payload:', message.payload);
+    }
+  });
+
+  await client.query(`LISTEN ${PLAYER_CHANGED_CHANNEL}`);
+  return client;
+};
+
+module.exports = {
+  PLAYER_CHANGED_CHANNEL,
+  MAX_STALE_SECONDS,
+  invalidatePlayerCaches,
+  getStaleness,
+  isStaleTooLong,
+  recomputeDirtyAnalytics,
+  listenForPlayerChanges
+};
@@ -0,0 +1,135 @@
+// =============================================================================
+// NoverThinker - Attribute Derivation
+// =============================================================================
+// Proposes player_attributes values from data the platform already has:
+//   pace, physical  - latest completed combine percentiles
+//   the others      - recent match stats (per 90), coach ratings
+//                     (performance credits) and the discipline score, with
+//                     some combine signals mixed in (see DERIVATION_RULES)
+// Each attribute is a weighted blend of 0-100 signals; missing signals are
+// left out and the remaining weights rescaled, and an attribute with no
+// signal at all is not proposed. Values use the 29-99 attribute range.
+// Pure - loading and storing lives in utils/playerAttributes.
+// =============================================================================
+
+const { creditsToScore } = require('./novaScore');
+
+const ATTRIBUTES = [
+  'pace', 'shooting', 'passing', 'dribbling', 'defending', 'physical',
+  'aggression', 'composure', 'concentration'
+];
+
+const ATTRIBUTE_MIN = 29;
+const ATTRIBUTE_MAX = 99;
+
+// Recent appearances considered and the minimum sample behind match signals
+const RECENT_APPEARANCES = 20;
+const MIN_MINUTES = 270;
+const MIN_RATED_MATCHES = 3;
+
+// Per-90 rates that count as a full (100) signal
+const GOALS_PER_90_TOP = 0.8;
+const ASSISTS_PER_90_TOP = 0.5;
+const INVOLVEMENTS_PER_90_TOP = 1.0;
+const CARD_POINTS_PER_90_TOP = 0.5; // yellow = 1, red = 3
+
+const DERIVATION_RULES = {
+  pace: { sprint: 0.7, agility: 0.3 },
+  physical: { strength: 0.5, endurance: 0.5 },
+  shooting: { goals: 0.6, rating: 0.4 },
+  passing: { assists: 0.6, rating: 0.4 },
+  dribbling: { involvement: 0.4, agility: 0.2, rating: 0.4 },
+  defending: { rating: 0.7, endurance: 0.3 },
+  aggression: { cards: 0.5, strength: 0.5 },
+  composure: { rating: 0.6, calmness: 0.4 },
+  concentration: { discipline: 0.5, rating: 0.5 }
+};
+
+const clamp = (value, min = 0, max = 100) => Math.min(max, Math.max(min, value));
+const toNumber = (value) => (value === null || value === undefined ? null : Number(value));
+const round1 = (value) => Math.round(value * 10) / 10;
+
+// Linear 0-100 scale of a rate between 0 and the "top" rate
+const scaleRate = (rate, top) => clamp((rate / top) * 100);
+
+/**
+ * Build the 0-100 signals (null when there is not enough data).
+ * @param {Object} inputs - { combine: { sprintPercentile, agilityPercentile,
+ *   strengthPercentile, endurancePercentile } | null,
+ *   appearances: [{ minutesPlayed, goals, assists, yellowCards, redCards, performanceCredits }],
+ *   disciplineScore (null without discipline notes) }
+ */
+const buildSignals = ({ combine, appearances = [], disciplineScore = null }) => {
+  const played = appearances.filter(a => a.minutesPlayed > 0);
+  const minutes = played.reduce((sum, a) => sum + a.minutesPlayed, 0);
+  const per90 = (field) => (played.reduce((sum, a) => sum + (a[field] || 0), 0) / minutes) * 90;
+  const hasMinutes = minutes >= MIN_MINUTES;
+
+  const credits = played.map(a => toNumber(a.performanceCredits)).filter(c => c !== null);
+  const cardPoints = hasMinutes ? per90('yellowCards') + 3 * per90('redCards') : null;
+
+  return {
+    signals: {
+      sprint: combine ? toNumber(combine.sprintPercentile) : null,
+      agility: combine ? toNumber(combine.agilityPercentile) : null,
+      strength: combine ? toNumber(combine.strengthPercentile) : null,
+      endurance: combine ? toNumber(combine.endurancePercentile) : null,
+      rating: credits.length >= MIN_RATED_MATCHES
+        ? creditsToScore(credits.reduce((a, b) => a + b, 0) / credits.length)
+        : null,
+      goals: hasMinutes ? scaleRate(per90('goals'), GOALS_PER_90_TOP) : null,
+      assists: hasMinutes ? scaleRate(per90('assists'), ASSISTS_PER_90_TOP) : null,
+      involvement: hasMinutes ? scaleRate(per90('goals') + per90('assists'), INVOLVEMENTS_PER_90_TOP) : null,
+      cards: cardPoints === null ? null : scaleRate(cardPoints, CARD_POINTS_PER_90_TOP),
+      calmness: cardPoints === null ? null : 100 - scaleRate(cardPoints, CARD_POINTS_PER_90_TOP),
+      discipline: toNumber(disciplineScore)
+    },
+    sample: {
+      appearances: played.length,
+      minutes,
+      ratedMatches: credits.length,
+      combine: Boolean(combine)
+    }
+  };
+};
+
+/**
+ * Derive proposed attribute values.
+ * @returns {{ attributes: Object, sample: Object }} attributes[name] is
+ *   { value, signals: [{ signal, value, weight }] } or null
+ */
+const deriveAttributes = (inputs) => {
+  const { signals, sample } = buildSignals(inputs);
+  const attributes = {};
+
+  ATTRIBUTES.forEach(name => {
+    const used = Object.entries(DERIVATION_RULES[name])
+      .filter(([signal]) => signals[signal] !== null && !Number.isNaN(signals[signal]))
+      .map(([signal, weight]) => ({ signal, value: round1(signals[signal]), weight }));
+
+    if (used.length === 0) {
+      attributes[name] = null;
+      return;
+    }
+
+    const totalWeight = used.reduce((sum, s) => sum + s.weight, 0);
+    const blended = used.reduce((sum, s) => sum + s.value * s.weight, 0) / totalWeight;
+
+    attributes[name] = {
+      value: Math.round(clamp(blended, ATTRIBUTE_MIN, ATTRIBUTE_MAX)),
+      signals: used.map(s => ({ ...s, weight: Math.round((s.weight / totalWeight) * 100) / 100 }))
+    };
+  });
+
+  return { attributes, sample };
+};
+
+module.exports = {
+  ATTRIBUTES,
+  ATTRIBUTE_MIN,
+  ATTRIBUTE_MAX,
+  RECENT_APPEARANCES,
+  DERIVATION_RULES,
+  buildSignals,
+  deriveAttributes
+};
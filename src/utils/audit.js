@@ -0,0 +1,27 @@
+// =============================================================================
+// NoverThinker - Audit Log
+// =============================================================================
+
+// Write an audit_logs row. Pass a transaction client as db to keep the
+// entry atomic with the change it describes.
+const recordAudit = (db, { userId, action, entityType, entityId, oldData = null, newData = null, req = null }) => {
+  return db.query(
+    `INSERT INTO audit_logs
+     (user_id, action, entity_type, entity_id, old_data, new_data, ip_address, user_agent)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+    [
+      userId,
+      action,
+      entityType,
+      entityId,
+      oldData === null ? null : JSON.stringify(oldData),
+      newData === null ? null : JSON.stringify(newData),
+      req ? req.ip : null,
+      req ? req.get('user-agent') || null : null
+    ]
+  );
+};
+
+module.exports = {
+  recordAudit
+};
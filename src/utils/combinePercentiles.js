@@ -0,0 +1,283 @@
+// =============================================================================
+// NoverThinker - Combine Percentiles
+// =============================================================================
+// Age-normalised percentiles for combine_results. Each test is scored against
+// the reference norm (mean / sd) of the player's age group on the combine
+// date: z-score, flipped for lower-is-better tests, through the normal CDF.
+// Test percentiles are averaged into the sprint / agility / strength /
+// endurance categories and those into the overall physical percentile; every
+// stored value is clamped to the 29-99 display range.
+//
+// Norms live in combine_norms. They come from a norms file (JSON or CSV, see
+// parseNorms) or from the platform's own completed combines once an age
+// group has enough results. Saving norms recalculates every result in the
+// age groups that changed, and the NovaScores built on them.
+// =============================================================================
+
+const { COMBINE_TESTS } = require('./combineResults');
+const { parseCsv } = require('./csv');
+const { calculateAgeGroup, getSeasonForDate } = require('./ageGroup');
+const { recalculateNovaScore } = require('./novaScoreStore');
+
+const DISPLAY_MIN = 29;
+const DISPLAY_MAX = 99;
+
+// Results per age group and test before population norms replace file norms
+const MIN_POPULATION_SAMPLE = parseInt(process.env.COMBINE_NORMS_MIN_SAMPLE) || 30;
+
+const PERCENTILE_CATEGORIES = {
+  sprint: { column: 'sprint_percentile', tests: ['sprint5m', 'sprint10m', 'sprint30m'] },
+  agility: { column: 'agility_percentile', tests: ['agilitySlalom', 'agilityTTest'] },
+  strength: { column: 'strength_percentile', tests: ['medicineBallThrow'] },
+  endurance: { column: 'endurance_percentile', tests: ['yoyoTestLevel', 'yoyoTestDistance'] }
+};
+
+const AGE_GROUP_PATTERN = /^U\d{2}$/;
+
+const average = (values) => (values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : null);
+
+const clampPercentile = (value) =>
+  (value === null ? null : Math.round(Math.min(Math.max(value, DISPLAY_MIN), DISPLAY_MAX)));
+
+// Standard normal CDF (Abramowitz & Stegun 7.1.26, error < 1.5e-7)
+const normalCdf = (z) => {
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const erf = 1 - poly * Math.exp(-x * x);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+};
+
+// Unclamped 0-100 percentile of one test value, or null without a norm
+const testPercentile = (testKey, value, norm) => {
+  if (value === null || value === undefined || !norm) return null;
+
+  const z = (parseFloat(value) - norm.mean) / norm.sd;
+  return normalCdf(COMBINE_TESTS[testKey].lowerIsBetter ? -z : z) * 100;
+};
+
+// result: combine_results row (column values); norms: { testKey: { mean, sd } }.
+// Returns the five percentile columns.
+const calculatePercentiles = (result, norms = {}) => {
+  const percentiles = {};
+  const categoryValues = [];
+
+  Object.values(PERCENTILE_CATEGORIES).forEach(({ column, tests }) => {
+    const value = average(tests
+      .map(key => testPercentile(key, result[COMBINE_TESTS[key].column], norms[key]))
+      .filter(p => p !== null));
+
+    percentiles[column] = clampPercentile(value);
+    if (value !== null) categoryValues.push(value);
+  });
+
+  percentiles.overall_physical_percentile = clampPercentile(average(categoryValues));
+
+  return percentiles;
+};
+
+// Accepts the API key (sprint30m) or the column name (sprint_30m)
+const resolveTestKey = (name) => {
+  const trimmed = String(name || '').trim();
+  if (COMBINE_TESTS[trimmed]) return trimmed;
+  return Object.keys(COMBINE_TESTS).find(key => COMBINE_TESTS[key].column === trimmed.toLowerCase()) || null;
+};
+
+const toNormRow = (ageGroup, test, mean, sd, sampleSize, where) => {
+  const testKey = resolveTestKey(test);
+  const row = {
+    ageGroup: String(ageGroup || '').trim().toUpperCase(),
+    test: testKey,
+    mean: parseFloat(mean),
+    sd: parseFloat(sd),
+    sampleSize: sampleSize === undefined || sampleSize === null || sampleSize === '' ? null : parseInt(sampleSize)
+  };
+
+  if (!AGE_GROUP_PATTERN.test(row.ageGroup)) throw new Error(`${where}: invalid age group "${ageGroup}"`);
+  if (!testKey) throw new Error(`${where}: unknown test "${test}"`);
+  if (!Number.isFinite(row.mean)) throw new Error(`${where}: mean must be a number`);
+  if (!Number.isFinite(row.sd) || row.sd <= 0) throw new Error(`${where}: sd must be a positive number`);
+
+  return row;
+};
+
+// Norms file contents -> [{ ageGroup, test, mean, sd, sampleSize }]
+//   JSON: { "U17": { "sprint30m": { "mean": 4.4, "sd": 0.18, "sampleSize": 250 } } }
+//   CSV:  age_group,test,mean,sd[,sample_size]
+const parseNorms = (text, format = 'json') => {
+  if (format === 'csv') {
+    const { columns, records } = parseCsv(text);
+    const missing = ['age_group', 'test', 'mean', 'sd'].filter(c => !columns.includes(c));
+    if (missing.length > 0) {
+      throw new Error(`Norms CSV is missing column(s): ${missing.join(', ')}`);
+    }
+
+    return records.map(r => toNormRow(r.age_group, r.test, r.mean, r.sd, r.sample_size, `Row ${r.line}`));
+  }
+
+  const data = JSON.parse(text);
+  const rows = [];
+
+  Object.entries(data).forEach(([ageGroup, tests]) => {
+    Object.entries(tests).forEach(([test, norm]) => {
+      rows.push(toNormRow(ageGroup, test, norm.mean, norm.sd, norm.sampleSize, `${ageGroup}.${test}`));
+    });
+  });
+
+  return rows;
+};
+
+// Mean / sd per age group and test over completed combines, where the sample
+// is large enough to be trusted
+const buildPopulationNorms = async (db) => {
+  const rows = [];
+
+  for (const [testKey, test] of Object.entries(COMBINE_TESTS)) {
+    const result = await db.query(
+      `SELECT cr.age_group, AVG(cr.${test.column}) as mean,
+              STDDEV_SAMP(cr.${test.column}) as sd, COUNT(cr.${test.column})::int as sample_size
+       FROM combine_results cr
+       JOIN combines c ON c.id = cr.combine_id
+       WHERE c.status = 'completed' AND cr.age_group IS NOT NULL AND cr.${test.column} IS NOT NULL
+       GROUP BY cr.age_group
+       HAVING COUNT(cr.${test.column}) >= $1`,
+      [MIN_POPULATION_SAMPLE]
+    );
+
+    result.rows
+      .filter(r => parseFloat(r.sd) > 0)
+      .forEach(r => rows.push({
+        ageGroup: r.age_group,
+        test: testKey,
+        mean: Math.round(parseFloat(r.mean) * 1000) / 1000,
+        sd: Math.round(parseFloat(r.sd) * 1000) / 1000,
+        sampleSize: r.sample_size
+      }));
+  }
+
+  return rows;
+};
+
+// ageGroup -> { testKey: { mean, sd } }
+const loadNorms = async (db) => {
+  const result = await db.query('SELECT age_group, test, mean, sd FROM combine_norms');
+  const norms = new Map();
+
+  result.rows.forEach(row => {
+    if (!norms.has(row.age_group)) norms.set(row.age_group, {});
+    norms.get(row.age_group)[row.test] = { mean: parseFloat(row.mean), sd: parseFloat(row.sd) };
+  });
+
+  return norms;
+};
+
+// (Re)calculate stored percentiles. Scope with combineId and/or ageGroups;
+// results whose age group was never stored are always included in an
+// age-group scoped run. Returns the players with completed results touched.
+const recalculateResultPercentiles = async (db, { combineId, ageGroups } = {}) => {
+  const params = [];
+  let whereClause = 'WHERE 1=1';
+
+  if (combineId) {
+    params.push(combineId);
+    whereClause += ` AND cr.combine_id = $${params.length}`;
+  }
+
+  if (ageGroups) {
+    params.push(ageGroups);
+    whereClause += ` AND (cr.age_group = ANY($${params.length}::varchar[]) OR cr.age_group IS NULL)`;
+  }
+
+  const [resultsResult, norms] = await Promise.all([
+    db.query(
+      `SELECT cr.*, pp.date_of_birth, c.combine_date, c.status as combine_status
+       FROM combine_results cr
+       JOIN combines c ON c.id = cr.combine_id
+       JOIN player_profiles pp ON pp.id = cr.player_id
+       ${whereClause}`,
+      params
+    ),
+    loadNorms(db)
+  ]);
+
+  const completedPlayers = new Set();
+
+  for (const row of resultsResult.rows) {
+    const ageGroup = calculateAgeGroup(row.date_of_birth, getSeasonForDate(new Date(row.combine_date)));
+    const p = calculatePercentiles(row, norms.get(ageGroup));
+
+    await db.query(
+      `UPDATE combine_results SET
+         sprint_percentile = $2, agility_percentile = $3, strength_percentile = $4,
+         endurance_percentile = $5, overall_physical_percentile = $6,
+         age_group = $7, percentiles_calculated_at = NOW()
+       WHERE id = $1`,
+      [row.id, p.sprint_percentile, p.agility_percentile, p.strength_percentile,
+       p.endurance_percentile, p.overall_physical_percentile, ageGroup]
+    );
+
+    if (row.combine_status === 'completed') completedPlayers.add(row.player_id);
+  }
+
+  return { updated: resultsResult.rows.length, playerIds: [...completedPlayers] };
+};
+
+// Upsert norms and recalculate everything that depends on the ones that
+// actually changed. Returns { changed, ageGroups, results, players }.
+const saveNorms = async (db, rows, source) => {
+  const changedGroups = new Set();
+  let changed = 0;
+
+  for (const row of rows) {
+    const result = await db.query(
+      `INSERT INTO combine_norms (age_group, test, mean, sd, sample_size, source, updated_at)
+       VALUES ($1, $2, $3, $4, $5, $6, NOW())
+       ON CONFLICT (age_group, test) DO UPDATE SET
+         mean = EXCLUDED.mean,
+         sd = EXCLUDED.sd,
+         sample_size = EXCLUDED.sample_size,
+         source = EXCLUDED.source,
+         updated_at = NOW()
+       WHERE combine_norms.mean IS DISTINCT FROM EXCLUDED.mean
+          OR combine_norms.sd IS DISTINCT FROM EXCLUDED.sd
+          OR combine_norms.source IS DISTINCT FROM EXCLUDED.source
+       RETURNING age_group`,
+      [row.ageGroup, row.test, row.mean, row.sd, row.sampleSize, source]
+    );
+
+    if (result.rows.length > 0) {
+      changed++;
+      changedGroups.add(row.ageGroup);
+    }
+  }
+
+  const ageGroups = [...changedGroups];
+
+  if (ageGroups.length === 0) {
+    return { changed, ageGroups, results: 0, players: 0 };
+  }
+
+  const { updated, playerIds } = await recalculateResultPercentiles(db, { ageGroups });
+
+  // The physical component reads completed combine percentiles
+  for (const playerId of playerIds) {
+    await recalculateNovaScore(db, playerId);
+  }
+
+  return { changed, ageGroups, results: updated, players: playerIds.length };
+};
+
+module.exports = {
+  DISPLAY_MIN,
+  DISPLAY_MAX,
+  MIN_POPULATION_SAMPLE,
+  PERCENTILE_CATEGORIES,
+  normalCdf,
+  testPercentile,
+  calculatePercentiles,
+  parseNorms,
+  buildPopulationNorms,
+  loadNorms,
+  recalculateResultPercentiles,
+  saveNorms
+};
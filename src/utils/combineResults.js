@@ -0,0 +1,153 @@
+// =============================================================================
+// NoverThinker - Combine Results
+// =============================================================================
+// Test catalogue for physical test sessions, per-row validation for the bulk
+// entry endpoint and personal-best detection. Errors use the same
+// { field, location, message } shape as the validation middleware.
+// =============================================================================
+
+const { validateObject, schemas } = require('../middleware/validation');
+
+// API key -> combine_results column. Sprints and agility are times (lower is
+// better); the throw and the Yo-Yo test are higher-is-better.
+const COMBINE_TESTS = {
+  sprint5m: { column: 'sprint_5m', label: '5m sprint', unit: 's', lowerIsBetter: true },
+  sprint10m: { column: 'sprint_10m', label: '10m sprint', unit: 's', lowerIsBetter: true },
+  sprint30m: { column: 'sprint_30m', label: '30m sprint', unit: 's', lowerIsBetter: true },
+  agilitySlalom: { column: 'agility_slalom', label: 'Slalom', unit: 's', lowerIsBetter: true },
+  agilityTTest: { column: 'agility_t_test', label: 'T-test', unit: 's', lowerIsBetter: true },
+  medicineBallThrow: { column: 'medicine_ball_throw', label: 'Medicine ball throw', unit: 'm', lowerIsBetter: false },
+  yoyoTestLevel: { column: 'yoyo_test_level', label: 'Yo-Yo level', unit: 'level', lowerIsBetter: false },
+  yoyoTestDistance: { column: 'yoyo_test_distance', label: 'Yo-Yo distance', unit: 'm', lowerIsBetter: false, integer: true }
+};
+
+const toNumber = (value, integer) => {
+  if (value === null || value === '') return null;
+  return integer ? parseInt(value) : parseFloat(value);
+};
+
+const isBetter = (test, value, best) => (test.lowerIsBetter ? value < best : value > best);
+
+// Only the keys present in the row are written, so each testing station can
+// submit its own tests without clearing the others. null / '' clears a value.
+const normalizeResult = (row) => {
+  const values = {};
+
+  Object.entries(COMBINE_TESTS).forEach(([key, test]) => {
+    if (row[key] !== undefined) {
+      values[test.column] = toNumber(row[key], test.integer);
+    }
+  });
+
+  if (row.notes !== undefined) {
+    values.notes = row.notes || null;
+  }
+
+  return { playerId: row.playerId, values };
+};
+
+// fieldPrefix is prepended to field names, e.g. "results[2]."
+const validateResultRow = (row, fieldPrefix = '', location = 'body') => {
+  const prefixed = (errors) => errors.map(error => ({
+    field: `${fieldPrefix}${error.field}`,
+    location,
+    message: error.message
+  }));
+
+  const fieldErrors = validateObject(row || {}, schemas.combineResultRow.body, location);
+  if (fieldErrors.length > 0) {
+    return { result: null, errors: prefixed(fieldErrors) };
+  }
+
+  const result = normalizeResult(row);
+
+  if (Object.keys(result.values).length === 0) {
+    return {
+      result: null,
+      errors: prefixed([{ field: 'playerId', message: 'Row has no test results or notes' }])
+    };
+  }
+
+  return { result, errors: [] };
+};
+
+// Insert a player's row or update only the submitted columns
+const upsertResult = async (db, combineId, { playerId, values }) => {
+  const columns = Object.keys(values);
+  const placeholders = columns.map((_, i) => `$${i + 3}`);
+
+  const result = await db.query(
+    `INSERT INTO combine_results (combine_id, player_id, ${columns.join(', ')})
+     VALUES ($1, $2, ${placeholders.join(', ')})
+     ON CONFLICT (combine_id, player_id) DO UPDATE SET
+       ${columns.map(column => `${column} = EXCLUDED.${column}`).join(',\n       ')},
+       updated_at = NOW()
+     RETURNING *`,
+    [combineId, playerId, ...columns.map(column => values[column])]
+  );
+
+  return result.rows[0];
+};
+
+// Per player, the tests in this combine that beat every earlier completed
+// combine. A first-ever result is not a personal best.
+const findPersonalBests = async (db, combine) => {
+  const resultsResult = await db.query(
+    'SELECT * FROM combine_results WHERE combine_id = $1',
+    [combine.id]
+  );
+  const results = resultsResult.rows;
+
+  if (results.length === 0) {
+    return [];
+  }
+
+  const bests = Object.values(COMBINE_TESTS).map(test =>
+    `${test.lowerIsBetter ? 'MIN' : 'MAX'}(cr.${test.column}) as ${test.column}`
+  ).join(',\n            ');
+
+  const previousResult = await db.query(
+    `SELECT cr.player_id,
+            ${bests}
+     FROM combine_results cr
+     JOIN combines c ON c.id = cr.combine_id
+     WHERE cr.player_id = ANY($1::uuid[])
+       AND c.id <> $2 AND c.status = 'completed' AND c.combine_date <= $3
+     GROUP BY cr.player_id`,
+    [results.map(r => r.player_id), combine.id, combine.combine_date]
+  );
+  const previousByPlayer = new Map(previousResult.rows.map(row => [row.player_id, row]));
+
+  return results.map(row => {
+    const previous = previousByPlayer.get(row.player_id);
+    if (!previous) return null;
+
+    const records = [];
+    Object.entries(COMBINE_TESTS).forEach(([key, test]) => {
+      const value = row[test.column];
+      const best = previous[test.column];
+      if (value === null || best === null) return;
+
+      if (isBetter(test, parseFloat(value), parseFloat(best))) {
+        records.push({
+          test: key,
+          label: test.label,
+          unit: test.unit,
+          value: parseFloat(value),
+          previousBest: parseFloat(best)
+        });
+      }
+    });
+
+    return records.length > 0 ? { playerId: row.player_id, resultId: row.id, records } : null;
+  }).filter(Boolean);
+};
+
+module.exports = {
+  COMBINE_TESTS,
+  isBetter,
+  normalizeResult,
+  validateResultRow,
+  upsertResult,
+  findPersonalBests
+};
@@ -0,0 +1,86 @@
+// =============================================================================
+// NoverThinker - CSV Parsing
+// =============================================================================
+// Minimal RFC 4180 parser for spreadsheet exports: quoted fields, escaped
+// quotes ("") and line breaks inside quotes. Comma or semicolon separated
+// (German Excel exports use ";"), detected from the header line.
+// =============================================================================
+
+const detectDelimiter = (text) => {
+  const header = text.split(/\r?\n/, 1)[0];
+  return (header.match(/;/g) || []).length > (header.match(/,/g) || []).length ? ';' : ',';
+};
+
+// Parse into an array of string arrays
+const parseRows = (text, delimiter) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+};
+
+// Parse CSV text into objects keyed by the (lower-cased, trimmed) header.
+// Each record carries its spreadsheet row number (header = row 1) as `line`.
+const parseCsv = (text) => {
+  const clean = (text || '').replace(/^\uFEFF/, '');
+  const rows = parseRows(clean, detectDelimiter(clean));
+
+  if (rows.length === 0) {
+    return { columns: [], records: [] };
+  }
+
+  const columns = rows[0].map(column => column.trim().toLowerCase());
+  const records = [];
+
+  rows.slice(1).forEach((values, index) => {
+    // Skip blank lines
+    if (values.every(value => value.trim() === '')) return;
+
+    const record = { line: index + 2 };
+    columns.forEach((column, i) => {
+      record[column] = values[i] !== undefined ? values[i].trim() : '';
+    });
+    records.push(record);
+  });
+
+  return { columns, records };
+};
+
+module.exports = {
+  parseCsv
+};
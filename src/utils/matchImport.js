@@ -0,0 +1,347 @@
+// =============================================================================
+// NoverThinker - Fixtures & Stat Sheet Import
+// =============================================================================
+// Imports a team's fixtures (matches CSV) and post-match stats (performances
+// CSV). Performance rows point at a match by match_date + opponent_name and at
+// a player by jersey number in the team's active roster. planImport() only
+// reads; applyImport() writes the plan. Row errors use the validation
+// middleware's { field, location, message } shape, e.g.
+//   { field: 'performances[7].jersey_number', location: 'performances', ... }
+//
+// matches:      match_date, opponent_name, match_type, competition_name, venue,
+//               is_home, team_score, opponent_score, status, notes
+// performances: match_date, opponent_name, jersey_number, minutes_played,
+//               started, substituted_in, substituted_out, goals, assists,
+//               yellow_cards, red_cards, performance_credits, coach_notes
+// =============================================================================
+
+const { AppError } = require('../middleware/errorHandler');
+const { validateObject, schemas } = require('../middleware/validation');
+const { parseCsv } = require('./csv');
+const { deriveResult } = require('./matchResult');
+const { validatePerformanceRow, upsertPerformance } = require('./matchPerformance');
+const { getLockState } = require('./performanceLock');
+const { recalculatePlayerTotals } = require('./playerTotals');
+const { recalculateNovaScore } = require('./novaScoreStore');
+const { recordAudit } = require('./audit');
+
+const REQUIRED_COLUMNS = {
+  matches: ['match_date', 'opponent_name'],
+  performances: ['match_date', 'opponent_name', 'jersey_number', 'minutes_played']
+};
+
+// CSV column -> matchPerformanceRow field
+const PERFORMANCE_COLUMNS = {
+  minutes_played: 'minutesPlayed',
+  started: 'started',
+  substituted_in: 'substitutedIn',
+  substituted_out: 'substitutedOut',
+  goals: 'goals',
+  assists: 'assists',
+  yellow_cards: 'yellowCards',
+  red_cards: 'redCards',
+  performance_credits: 'performanceCredits',
+  coach_notes: 'coachNotes'
+};
+
+const FIELD_TO_COLUMN = Object.fromEntries(
+  Object.entries(PERFORMANCE_COLUMNS).map(([column, field]) => [field, column])
+);
+
+const BOOLEAN_COLUMNS = ['is_home', 'started'];
+
+const matchKey = (date, opponent) => `${date.slice(0, 10)}|${opponent.trim().toLowerCase()}`;
+
+// Spreadsheets write TRUE / FALSE
+const normalizeRecord = (record) => {
+  const normalized = { ...record };
+  BOOLEAN_COLUMNS.forEach(column => {
+    if (normalized[column]) normalized[column] = normalized[column].toLowerCase();
+  });
+  return normalized;
+};
+
+const loadTeamContext = async (db, teamId) => {
+  // Row lock keeps two imports for the same team from interleaving
+  const teamResult = await db.query(
+    'SELECT id, name, age_group, season FROM teams WHERE id = $1 FOR UPDATE',
+    [teamId]
+  );
+
+  if (teamResult.rows.length === 0) {
+    throw new AppError('Team not found', 404, 'TEAM_NOT_FOUND');
+  }
+
+  const rosterResult = await db.query(
+    `SELECT tp.player_id, tp.jersey_number, u.first_name, u.last_name
+     FROM team_players tp
+     JOIN player_profiles pp ON pp.id = tp.player_id
+     JOIN users u ON u.id = pp.user_id
+     WHERE tp.team_id = $1 AND tp.is_active = true AND tp.jersey_number IS NOT NULL`,
+    [teamId]
+  );
+
+  const matchesResult = await db.query(
+    `SELECT m.*, to_char(m.match_date, 'YYYY-MM-DD') as date_key,
+            EXISTS (SELECT 1 FROM match_performances mp
+                    WHERE mp.match_id = m.id AND mp.is_locked = true) as has_locked_rows
+     FROM matches m
+     WHERE m.team_id = $1`,
+    [teamId]
+  );
+
+  const performancesResult = await db.query(
+    `SELECT mp.match_id, mp.player_id
+     FROM match_performances mp
+     JOIN matches m ON m.id = mp.match_id
+     WHERE m.team_id = $1`,
+    [teamId]
+  );
+
+  return {
+    team: teamResult.rows[0],
+    roster: new Map(rosterResult.rows.map(r => [r.jersey_number, r])),
+    matches: matchesResult.rows,
+    performanceKeys: new Set(performancesResult.rows.map(r => `${r.match_id}|${r.player_id}`))
+  };
+};
+
+// Build (and validate) an import without writing anything
+const planImport = async (db, { teamId, matchesCsv, performancesCsv }) => {
+  const context = await loadTeamContext(db, teamId);
+  const details = [];
+  const addError = (location, line, field, message) => {
+    details.push({ field: `${location}[${line}].${field}`, location, message });
+  };
+
+  const checkColumns = (location, columns) => {
+    const missing = REQUIRED_COLUMNS[location].filter(column => !columns.includes(column));
+    missing.forEach(column => addError(location, 1, column, `Missing column "${column}"`));
+    return missing.length === 0;
+  };
+
+  // Fixtures already in the database, keyed by date + opponent
+  const targets = new Map(context.matches.map(m => [
+    matchKey(m.date_key, m.opponent_name),
+    { match: m, existing: true }
+  ]));
+
+  const newMatches = [];
+  const skippedMatches = [];
+
+  if (matchesCsv) {
+    const { columns, records } = parseCsv(matchesCsv);
+    const seen = new Set();
+
+    if (checkColumns('matches', columns)) {
+      records.forEach(raw => {
+        const record = normalizeRecord(raw);
+        const errors = validateObject(record, schemas.matchImportRow.body, 'matches');
+        errors.forEach(error => addError('matches', record.line, error.field, error.message));
+        if (errors.length > 0) return;
+
+        const teamScore = record.team_score ? parseInt(record.team_score) : null;
+        const opponentScore = record.opponent_score ? parseInt(record.opponent_score) : null;
+        const status = record.status || (teamScore !== null && opponentScore !== null ? 'completed' : 'scheduled');
+
+        if ((teamScore === null) !== (opponentScore === null)) {
+          addError('matches', record.line, 'team_score', 'team_score and opponent_score must be given together');
+          return;
+        }
+
+        if (status === 'completed' && teamScore === null) {
+          addError('matches', record.line, 'team_score', 'Completed matches need a final score');
+          return;
+        }
+
+        const key = matchKey(record.match_date, record.opponent_name);
+
+        if (seen.has(key)) {
+          addError('matches', record.line, 'match_date', 'Duplicate fixture (same date and opponent) in this file');
+          return;
+        }
+        seen.add(key);
+
+        // Existing fixtures are left untouched
+        if (targets.has(key)) {
+          skippedMatches.push({ line: record.line, matchId: targets.get(key).match.id, reason: 'already_exists' });
+          return;
+        }
+
+        const match = {
+          key,
+          line: record.line,
+          match_date: record.match_date,
+          opponent_name: record.opponent_name,
+          match_type: record.match_type || 'league',
+          competition_name: record.competition_name || null,
+          venue: record.venue || null,
+          is_home: record.is_home ? record.is_home === 'true' : true,
+          team_score: teamScore,
+          opponent_score: opponentScore,
+          status,
+          result: status === 'completed' ? deriveResult(teamScore, opponentScore) : null,
+          notes: record.notes || null,
+          performances_unlocked_until: null
+        };
+
+        newMatches.push(match);
+        targets.set(key, { match, existing: false });
+      });
+    }
+  }
+
+  const performances = [];
+
+  if (performancesCsv) {
+    const { columns, records } = parseCsv(performancesCsv);
+    const seen = new Set();
+
+    if (checkColumns('performances', columns)) {
+      records.forEach(raw => {
+        const record = normalizeRecord(raw);
+        const line = record.line;
+
+        if (!record.match_date || !record.opponent_name) {
+          addError('performances', line, 'match_date', 'match_date and opponent_name are required');
+          return;
+        }
+
+        const key = matchKey(record.match_date, record.opponent_name);
+        const target = targets.get(key);
+
+        if (!target) {
+          addError('performances', line, 'match_date', 'No fixture with this date and opponent in the import or the team\'s matches');
+          return;
+        }
+
+        if (target.match.status !== 'completed') {
+          addError('performances', line, 'match_date', 'Stats can only be imported for completed matches');
+          return;
+        }
+
+        const rosterEntry = context.roster.get(parseInt(record.jersey_number));
+        if (!rosterEntry) {
+          addError('performances', line, 'jersey_number', `No active roster player wears #${record.jersey_number}`);
+          return;
+        }
+
+        const row = { playerId: rosterEntry.player_id };
+        Object.entries(PERFORMANCE_COLUMNS).forEach(([column, field]) => {
+          if (record[column] !== undefined && record[column] !== '') row[field] = record[column];
+        });
+
+        const { performance, errors } = validatePerformanceRow(
+          row,
+          { ...target.match, age_group: context.team.age_group },
+          '',
+          'performances'
+        );
+        errors.forEach(error => addError('performances', line, FIELD_TO_COLUMN[error.field] || error.field, error.message));
+        if (!performance || errors.length > 0) return;
+
+        const rowKey = `${key}|${rosterEntry.player_id}`;
+        if (seen.has(rowKey)) {
+          addError('performances', line, 'jersey_number', 'Player appears more than once for this match');
+          return;
+        }
+        seen.add(rowKey);
+
+        const lock = getLockState(target.match, target.match.has_locked_rows === true);
+
+        // Backfilling a past match is fine; overwriting locked ratings is not
+        if (target.existing && lock.isLocked && context.performanceKeys.has(`${target.match.id}|${rosterEntry.player_id}`)) {
+          addError('performances', line, 'jersey_number', 'Ratings for this player and match are locked');
+          return;
+        }
+
+        performances.push({
+          line,
+          matchKey: key,
+          match: `${record.match_date.slice(0, 10)} vs ${target.match.opponent_name}`,
+          player: `${rosterEntry.first_name} ${rosterEntry.last_name}`,
+          jerseyNumber: rosterEntry.jersey_number,
+          performance,
+          isLocked: lock.isLocked
+        });
+      });
+    }
+  }
+
+  return {
+    team: context.team,
+    matches: newMatches,
+    skippedMatches,
+    performances,
+    targets,
+    details,
+    summary: {
+      matchesToCreate: newMatches.length,
+      matchesSkipped: skippedMatches.length,
+      performancesToSave: performances.length,
+      playersAffected: new Set(performances.map(p => p.performance.playerId)).size,
+      errors: details.length
+    }
+  };
+};
+
+// Write a validated plan. Run inside a transaction.
+const applyImport = async (client, plan, userId = null) => {
+  const matchIds = new Map();
+
+  plan.targets.forEach((target, key) => {
+    if (target.existing) matchIds.set(key, target.match.id);
+  });
+
+  for (const match of plan.matches) {
+    const result = await client.query(
+      `INSERT INTO matches
+       (team_id, opponent_name, match_type, competition_name, match_date, venue, is_home,
+        team_score, opponent_score, result, status, notes, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+       RETURNING id`,
+      [plan.team.id, match.opponent_name, match.match_type, match.competition_name, match.match_date,
+       match.venue, match.is_home, match.team_score, match.opponent_score, match.result,
+       match.status, match.notes, userId]
+    );
+    matchIds.set(match.key, result.rows[0].id);
+  }
+
+  for (const row of plan.performances) {
+    await upsertPerformance(client, matchIds.get(row.matchKey), row.performance, row.isLocked);
+  }
+
+  const playerIds = [...new Set(plan.performances.map(p => p.performance.playerId))];
+  await recalculatePlayerTotals(client, playerIds);
+  for (const playerId of playerIds) {
+    await recalculateNovaScore(client, playerId);
+  }
+
+  await recordAudit(client, {
+    userId,
+    action: 'matches.import',
+    entityType: 'team',
+    entityId: plan.team.id,
+    newData: plan.summary
+  });
+
+  return {
+    matchIds: plan.matches.map(m => matchIds.get(m.key)),
+    playerIds
+  };
+};
+
+// Preview shape shared by the API and the CLI
+const formatPlan = (plan) => ({
+  team: plan.team,
+  summary: plan.summary,
+  matches: plan.matches.map(({ key, ...match }) => match),
+  skippedMatches: plan.skippedMatches,
+  performances: plan.performances.map(({ matchKey, ...row }) => row)
+});
+
+module.exports = {
+  planImport,
+  applyImport,
+  formatPlan
+};
@@ -0,0 +1,152 @@
+// =============================================================================
+// NoverThinker - Match Performance Rows
+// =============================================================================
+// Normalises and validates a single player's match stats. Errors use the same
+// { field, location, message } shape as the validation middleware.
+// =============================================================================
+
+const { validateObject, schemas } = require('../middleware/validation');
+
+// Regular playing time per DFB age group (2 halves)
+const MATCH_DURATION = {
+  U15: 70,
+  U17: 80,
+  U19: 90
+};
+const DEFAULT_MATCH_DURATION = 90;
+const EXTRA_TIME_MINUTES = 30; // cup / tournament knockouts
+const STOPPAGE_TOLERANCE = 5;
+
+const toInt = (value) => (value === undefined || value === null || value === '' ? null : parseInt(value));
+const toBool = (value) => value === true || value === 'true';
+
+const normalizePerformance = (row) => ({
+  playerId: row.playerId,
+  minutesPlayed: toInt(row.minutesPlayed) ?? 0,
+  started: toBool(row.started),
+  substitutedIn: toInt(row.substitutedIn),
+  substitutedOut: toInt(row.substitutedOut),
+  goals: toInt(row.goals) ?? 0,
+  assists: toInt(row.assists) ?? 0,
+  yellowCards: toInt(row.yellowCards) ?? 0,
+  redCards: toInt(row.redCards) ?? 0,
+  performanceCredits: toInt(row.performanceCredits),
+  coachNotes: row.coachNotes || null
+});
+
+// Minutes must agree with started / substitution minutes
+const checkPlayingTime = (perf, { age_group: ageGroup, match_type: matchType }) => {
+  const errors = [];
+  const duration = MATCH_DURATION[ageGroup] || DEFAULT_MATCH_DURATION;
+  const fullTime = ['cup', 'tournament'].includes(matchType) ? duration + EXTRA_TIME_MINUTES : duration;
+  const { started, substitutedIn, substitutedOut, minutesPlayed } = perf;
+
+  if (started && substitutedIn !== null) {
+    errors.push({ field: 'substitutedIn', message: 'Starters cannot have a substitutedIn minute' });
+  }
+
+  // Unused substitute
+  if (!started && substitutedIn === null) {
+    if (minutesPlayed > 0) {
+      errors.push({ field: 'minutesPlayed', message: 'minutesPlayed must be 0 for players who did not start or come on' });
+    }
+    if (substitutedOut !== null) {
+      errors.push({ field: 'substitutedOut', message: 'substitutedOut requires the player to have started or come on' });
+    }
+    if (perf.goals > 0 || perf.assists > 0) {
+      errors.push({ field: 'goals', message: 'Players who did not play cannot have goals or assists' });
+    }
+    return errors;
+  }
+
+  if (substitutedIn !== null && substitutedIn >= fullTime) {
+    errors.push({ field: 'substitutedIn', message: `substitutedIn must be before minute ${fullTime}` });
+  }
+
+  if (substitutedOut !== null && substitutedOut > fullTime) {
+    errors.push({ field: 'substitutedOut', message: `substitutedOut must not exceed minute ${fullTime}` });
+  }
+
+  if (substitutedIn !== null && substitutedOut !== null && substitutedOut <= substitutedIn) {
+    errors.push({ field: 'substitutedOut', message: 'substitutedOut must be after substitutedIn' });
+  }
+
+  if (errors.length > 0) {
+    return errors;
+  }
+
+  // A sent-off player leaves without a substitution, so only cap the minutes
+  const from = substitutedIn ?? 0;
+  const sentOff = perf.redCards > 0 && substitutedOut === null;
+  const minMinutes = sentOff ? 0 : Math.max((substitutedOut ?? duration) - from - STOPPAGE_TOLERANCE, 0);
+  const maxMinutes = Math.min((substitutedOut ?? fullTime) - from + STOPPAGE_TOLERANCE, 120);
+
+  if (minutesPlayed < minMinutes || minutesPlayed > maxMinutes) {
+    errors.push({
+      field: 'minutesPlayed',
+      message: `minutesPlayed must be between ${minMinutes} and ${maxMinutes} for these substitution minutes`
+    });
+  }
+
+  return errors;
+};
+
+// Validate one row against a match (needs age_group and match_type).
+// fieldPrefix is prepended to field names, e.g. "performances[2]."
+const validatePerformanceRow = (row, match, fieldPrefix = '', location = 'body') => {
+  const prefixed = (errors) => errors.map(error => ({
+    field: `${fieldPrefix}${error.field}`,
+    location,
+    message: error.message
+  }));
+
+  const fieldErrors = validateObject(row || {}, schemas.matchPerformanceRow.body, location);
+  if (fieldErrors.length > 0) {
+    return { performance: null, errors: prefixed(fieldErrors) };
+  }
+
+  const performance = normalizePerformance(row);
+  const errors = checkPlayingTime(performance, match);
+
+  if (performance.minutesPlayed > 0 && performance.performanceCredits === null) {
+    errors.push({ field: 'performanceCredits', message: 'performanceCredits is required for players who played' });
+  }
+
+  return { performance, errors: prefixed(errors) };
+};
+
+// Insert or overwrite one player's stats for a match
+const upsertPerformance = async (db, matchId, p, isLocked = false) => {
+  const result = await db.query(
+    `INSERT INTO match_performances
+     (match_id, player_id, minutes_played, started, substituted_in, substituted_out,
+      goals, assists, yellow_cards, red_cards, performance_credits, coach_notes, is_locked)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+     ON CONFLICT (match_id, player_id) DO UPDATE SET
+       minutes_played = EXCLUDED.minutes_played,
+       started = EXCLUDED.started,
+       substituted_in = EXCLUDED.substituted_in,
+       substituted_out = EXCLUDED.substituted_out,
+       goals = EXCLUDED.goals,
+       assists = EXCLUDED.assists,
+       yellow_cards = EXCLUDED.yellow_cards,
+       red_cards = EXCLUDED.red_cards,
+       performance_credits = EXCLUDED.performance_credits,
+       coach_notes = EXCLUDED.coach_notes,
+       is_locked = EXCLUDED.is_locked,
+       updated_at = NOW()
+     RETURNING *`,
+    [matchId, p.playerId, p.minutesPlayed, p.started, p.substitutedIn, p.substitutedOut,
+     p.goals, p.assists, p.yellowCards, p.redCards, p.performanceCredits, p.coachNotes, isLocked]
+  );
+
+  return result.rows[0];
+};
+
+module.exports = {
+  MATCH_DURATION,
+  normalizePerformance,
+  checkPlayingTime,
+  validatePerformanceRow,
+  upsertPerformance
+};
@@ -0,0 +1,17 @@
+// =============================================================================
+// NoverThinker - Match Results
+// =============================================================================
+
+// win / draw / loss from the team's point of view
+const deriveResult = (teamScore, opponentScore) => {
+  if (teamScore === null || teamScore === undefined || opponentScore === null || opponentScore === undefined) {
+    return null;
+  }
+  if (teamScore > opponentScore) return 'win';
+  if (teamScore < opponentScore) return 'loss';
+  return 'draw';
+};
+
+module.exports = {
+  deriveResult
+};
@@ -0,0 +1,216 @@
+// =============================================================================
+// NoverThinker - NovaScore Engine
+// =============================================================================
+// Pure calculation - no database, no clock. Callers load the inputs (see
+// utils/novaScoreStore.js) and pass `asOf` explicitly, so the same inputs
+// always give the same score.
+//
+// Components (0-100 each):
+//   match    - minutes-weighted coach credits (5-20) over recent rated
+//              appearances, shrunk towards 50 while the sample is small
+//   task     - approved submission points in a rolling window, capped at 100
+//   video    - approved video impact points, capped at 100
+//   physical - latest combine percentile (29-99)
+// Match and physical are null without data; their weight is then shared
+// by the remaining components instead of counting as a zero.
+// =============================================================================
+
+const NEUTRAL_SCORE = 50;
+
+// Versioned weights and parameters. Add a new version instead of editing one
+// that has been used, so stored scores stay explainable.
+const WEIGHT_VERSIONS = {
+  v1: {
+    weights: { match: 0.45, task: 0.25, video: 0.15, physical: 0.15 },
+    matchWindow: 10, // most recent rated appearances
+    priorMatches: 3, // pseudo-appearances at NEUTRAL_SCORE
+    taskWindowDays: 90
+  }
+};
+
+const DEFAULT_WEIGHTS_VERSION = process.env.NOVA_SCORE_WEIGHTS_VERSION || 'v1';
+
+const COMPONENTS = ['match', 'task', 'video', 'physical'];
+
+const round1 = (value) => Math.round(value * 10) / 10;
+const clamp = (value, min = 0, max = 100) => Math.min(max, Math.max(min, value));
+const toNumber = (value) => (value === null || value === undefined ? null : Number(value));
+
+const getWeightsConfig = (version = DEFAULT_WEIGHTS_VERSION) => {
+  const config = WEIGHT_VERSIONS[version];
+  if (!config) {
+    throw new Error(`Unknown NovaScore weights version "${version}"`);
+  }
+  return { version, ...config };
+};
+
+// Coach credits 5-20 -> 0-100
+const creditsToScore = (credits) => clamp(((credits - 5) / 15) * 100);
+
+const scoreMatches = (performances, config) => {
+  const rated = performances
+    .filter(p => toNumber(p.minutesPlayed) > 0 && toNumber(p.performanceCredits) !== null)
+    .sort((a, b) => new Date(b.matchDate) - new Date(a.matchDate))
+    .slice(0, config.matchWindow);
+
+  if (rated.length === 0) {
+    return { score: null, sample: 0, minutes: 0, items: [] };
+  }
+
+  const minutes = rated.reduce((sum, p) => sum + toNumber(p.minutesPlayed), 0);
+  const share = rated.length / (rated.length + config.priorMatches);
+
+  // Each appearance adds its minutes-weighted credits; the prior fills the rest
+  const items = rated.map(p => ({
+    input: p,
+    points: creditsToScore(toNumber(p.performanceCredits)) * (toNumber(p.minutesPlayed) / minutes) * share
+  }));
+  const prior = NEUTRAL_SCORE * (1 - share);
+  const score = items.reduce((sum, item) => sum + item.points, prior);
+
+  return {
+    score: round1(score),
+    sample: rated.length,
+    minutes,
+    averageCredits: round1(rated.reduce((sum, p) => sum + toNumber(p.performanceCredits), 0) / rated.length),
+    prior: round1(prior),
+    items
+  };
+};
+
+// Points-based components: past the cap every input is scaled down evenly
+const cappedItems = (inputs, pointsOf, total) => {
+  const scale = total > 100 ? 100 / total : 1;
+  return inputs.map(input => ({ input, points: pointsOf(input) * scale }));
+};
+
+const scoreTasks = (submissions, config, asOf) => {
+  const windowStart = new Date(asOf.getTime() - config.taskWindowDays * 24 * 60 * 60 * 1000);
+  const recent = submissions.filter(s => {
+    const reviewedAt = new Date(s.reviewedAt);
+    return toNumber(s.pointsAwarded) !== null && reviewedAt >= windowStart && reviewedAt <= asOf;
+  });
+
+  const points = recent.reduce((sum, s) => sum + toNumber(s.pointsAwarded), 0);
+  return {
+    score: round1(clamp(points)),
+    sample: recent.length,
+    points,
+    items: cappedItems(recent, s => toNumber(s.pointsAwarded), points)
+  };
+};
+
+const scoreVideos = (videos) => {
+  const points = videos.reduce((sum, v) => sum + (toNumber(v.impactPoints) || 0), 0);
+  return {
+    score: round1(clamp(points)),
+    sample: videos.length,
+    points,
+    items: cappedItems(videos, v => toNumber(v.impactPoints) || 0, points)
+  };
+};
+
+const PERCENTILE_FIELDS = ['sprintPercentile', 'agilityPercentile', 'strengthPercentile', 'endurancePercentile'];
+
+const scorePhysical = (combineResults) => {
+  if (combineResults.length === 0) {
+    return { score: null, sample: 0, items: [] };
+  }
+
+  const latest = [...combineResults].sort((a, b) => new Date(b.combineDate) - new Date(a.combineDate))[0];
+  let score = toNumber(latest.overallPhysicalPercentile);
+
+  if (score === null) {
+    const parts = PERCENTILE_FIELDS.map(field => toNumber(latest[field])).filter(v => v !== null);
+    score = parts.length > 0 ? parts.reduce((sum, v) => sum + v, 0) / parts.length : null;
+  }
+
+  // Only the latest session counts
+  return {
+    score: score === null ? null : round1(clamp(score)),
+    sample: combineResults.length,
+    combineDate: latest.combineDate,
+    items: combineResults.map(result => ({
+      input: result,
+      points: result === latest && score !== null ? clamp(score) : 0
+    }))
+  };
+};
+
+// Weighted total over the components that have a score
+const combineComponents = (scores, weights) => {
+  const available = COMPONENTS.filter(c => scores[c] !== null && scores[c] !== undefined);
+  const weightSum = available.reduce((sum, c) => sum + weights[c], 0);
+
+  const contributions = {};
+  COMPONENTS.forEach(c => {
+    const effectiveWeight = available.includes(c) && weightSum > 0 ? weights[c] / weightSum : 0;
+    contributions[c] = {
+      score: available.includes(c) ? scores[c] : null,
+      weight: weights[c],
+      effectiveWeight: Math.round(effectiveWeight * 1000) / 1000,
+      points: available.includes(c) ? round1(scores[c] * effectiveWeight) : 0
+    };
+  });
+
+  const novaScore = weightSum > 0
+    ? round1(clamp(available.reduce((sum, c) => sum + scores[c] * (weights[c] / weightSum), 0)))
+    : NEUTRAL_SCORE;
+
+  return { novaScore, contributions };
+};
+
+/**
+ * Calculate a player's NovaScore.
+ *
+ * inputs:  { performances: [{ performanceCredits, minutesPlayed, matchDate }],
+ *            submissions: [{ pointsAwarded, reviewedAt }],
+ *            videos: [{ impactPoints }],
+ *            combineResults: [{ combineDate, overallPhysicalPercentile, ...Percentile }] }
+ * options: { asOf: Date, previousScore: number|null, weightsVersion: string }
+ *
+ * Extra fields on the inputs (ids, labels) are ignored but passed through in
+ * details[component].items, which lists each input's component points.
+ */
+const calculateNovaScore = (inputs, { asOf, previousScore = null, weightsVersion } = {}) => {
+  if (!(asOf instanceof Date)) {
+    throw new Error('calculateNovaScore requires an asOf date');
+  }
+
+  const config = getWeightsConfig(weightsVersion);
+
+  const details = {
+    match: scoreMatches(inputs.performances || [], config),
+    task: scoreTasks(inputs.submissions || [], config, asOf),
+    video: scoreVideos(inputs.videos || []),
+    physical: scorePhysical(inputs.combineResults || [])
+  };
+
+  const scores = Object.fromEntries(COMPONENTS.map(c => [c, details[c].score]));
+  const { novaScore, contributions } = combineComponents(scores, config.weights);
+  const previous = toNumber(previousScore);
+
+  return {
+    novaScore,
+    trend: previous === null ? 0 : round1(novaScore - previous),
+    components: scores,
+    contributions,
+    details,
+    weightsVersion: config.version
+  };
+};
+
+module.exports = {
+  NEUTRAL_SCORE,
+  WEIGHT_VERSIONS,
+  DEFAULT_WEIGHTS_VERSION,
+  COMPONENTS,
+  getWeightsConfig,
+  creditsToScore,
+  scoreMatches,
+  scoreTasks,
+  scoreVideos,
+  scorePhysical,
+  combineComponents,
+  calculateNovaScore
+};
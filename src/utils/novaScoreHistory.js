@@ -0,0 +1,158 @@
+// =============================================================================
+// NoverThinker - NovaScore Snapshots
+// =============================================================================
+// One nova_score_history row per player per day. Today's row is refreshed
+// from a fresh recalculation; days missed while the job was down are
+// rebuilt by running the engine as of the end of each missing day.
+// Each refresh re-checks the change against the previous day, so a move
+// during the day is announced; a day keeps at most one change event.
+// =============================================================================
+
+const { calculateNovaScore } = require('./novaScore');
+const { loadNovaScoreInputs, recalculateNovaScore } = require('./novaScoreStore');
+
+// Day-over-day change that triggers a nova_score_change pulse event
+const CHANGE_THRESHOLD = parseFloat(process.env.NOVA_SCORE_CHANGE_THRESHOLD) || 3.0;
+
+// Never rebuild more than this many missed days per player
+const MAX_BACKFILL_DAYS = parseInt(process.env.NOVA_SCORE_MAX_BACKFILL_DAYS) || 90;
+
+const toDateString = (date) => date.toISOString().slice(0, 10);
+
+// Days to write: the day after the last snapshot (bounded) up to today
+const getMissingDays = async (db, player, today) => {
+  const result = await db.query(
+    `SELECT to_char(d, 'YYYY-MM-DD') as day
+     FROM generate_series(
+       GREATEST(
+         LEAST($2::date, COALESCE(
+           (SELECT MAX(recorded_date) + 1 FROM nova_score_history WHERE player_id = $1),
+           $2::date)),
+         $2::date - $3::int,
+         $4::date),
+       $2::date,
+       INTERVAL '1 day') d`,
+    [player.id, today, MAX_BACKFILL_DAYS, player.created_at]
+  );
+
+  return result.rows.map(r => r.day);
+};
+
+const upsertSnapshot = async (db, playerId, day, result) => {
+  await db.query(
+    `INSERT INTO nova_score_history
+     (player_id, recorded_date, nova_score, match_score, task_score, video_score, physical_score, weights_version)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+     ON CONFLICT (player_id, recorded_date) DO UPDATE SET
+       nova_score = EXCLUDED.nova_score,
+       match_score = EXCLUDED.match_score,
+       task_score = EXCLUDED.task_score,
+       video_score = EXCLUDED.video_score,
+       physical_score = EXCLUDED.physical_score,
+       weights_version = EXCLUDED.weights_version`,
+    [
+      playerId,
+      day,
+      result.novaScore,
+      result.components.match,
+      result.components.task,
+      result.components.video,
+      result.components.physical,
+      result.weightsVersion
+    ]
+  );
+};
+
+// Create or update the day's change event (removed again if the move has
+// settled back under the threshold). Returns true for a new event.
+const recordScoreChange = async (db, playerId, day, previous, result) => {
+  const oldValue = Number(previous.nova_score);
+  const change = Math.round((result.novaScore - oldValue) * 10) / 10;
+
+  if (Math.abs(change) < CHANGE_THRESHOLD) {
+    await db.query(
+      `DELETE FROM pulse_feed_events
+       WHERE player_id = $1 AND event_type = 'nova_score_change' AND data->>'recordedDate' = $2`,
+      [playerId, day]
+    );
+    return false;
+  }
+
+  const eventResult = await db.query(
+    `INSERT INTO pulse_feed_events
+     (player_id, event_type, title, description, data, old_value, new_value, change_amount, importance)
+     VALUES ($1, 'nova_score_change', $2, $3, $4, $5, $6, $7, $8)
+     ON CONFLICT (player_id, (data->>'recordedDate')) WHERE event_type = 'nova_score_change'
+     DO UPDATE SET
+       title = EXCLUDED.title,
+       description = EXCLUDED.description,
+       data = EXCLUDED.data,
+       old_value = EXCLUDED.old_value,
+       new_value = EXCLUDED.new_value,
+       change_amount = EXCLUDED.change_amount,
+       importance = EXCLUDED.importance
+     RETURNING (xmax = 0) as inserted`,
+    [
+      playerId,
+      `NovaScore ${change > 0 ? 'up' : 'down'} ${Math.abs(change)}`,
+      `${oldValue} → ${result.novaScore}`,
+      JSON.stringify({
+        recordedDate: day,
+        previousDate: previous.recorded_date,
+        weightsVersion: result.weightsVersion,
+        components: result.components
+      }),
+      oldValue,
+      result.novaScore,
+      change,
+      Math.abs(change) >= CHANGE_THRESHOLD * 2 ? 'high' : 'normal'
+    ]
+  );
+
+  return eventResult.rows[0].inserted;
+};
+
+/**
+ * Write the missing snapshots for one player up to `now`'s date.
+ * Returns { days, events } - snapshot days written and new pulse events.
+ */
+const snapshotPlayer = async (db, player, now = new Date()) => {
+  const today = toDateString(now);
+  const days = await getMissingDays(db, player, today);
+  let events = 0;
+
+  for (const day of days) {
+    let result;
+    if (day === today) {
+      result = await recalculateNovaScore(db, player.id, now);
+    } else {
+      const asOf = new Date(`${day}T23:59:59.999Z`);
+      const { inputs, previousScore } = await loadNovaScoreInputs(db, player.id, asOf);
+      result = calculateNovaScore(inputs, { asOf, previousScore });
+    }
+
+    const previousResult = await db.query(
+      `SELECT to_char(recorded_date, 'YYYY-MM-DD') as recorded_date, nova_score
+       FROM nova_score_history
+       WHERE player_id = $1 AND recorded_date < $2
+       ORDER BY recorded_date DESC
+       LIMIT 1`,
+      [player.id, day]
+    );
+
+    await upsertSnapshot(db, player.id, day, result);
+
+    if (previousResult.rows.length > 0 &&
+        await recordScoreChange(db, player.id, day, previousResult.rows[0], result)) {
+      events++;
+    }
+  }
+
+  return { days, events };
+};
+
+module.exports = {
+  CHANGE_THRESHOLD,
+  MAX_BACKFILL_DAYS,
+  snapshotPlayer
+};
@@ -0,0 +1,139 @@
+// =============================================================================
+// NoverThinker - NovaScore Persistence
+// =============================================================================
+// Loads the engine inputs for a player, runs utils/novaScore and writes the
+// components, total, trend and weights version back to player_profiles.
+// =============================================================================
+
+const { calculateNovaScore, getWeightsConfig } = require('./novaScore');
+
+// nova_score_trend compares against the snapshot this many days back
+const TREND_WINDOW_DAYS = 30;
+
+const loadNovaScoreInputs = async (db, playerId, asOf) => {
+  const config = getWeightsConfig();
+
+  const [performances, submissions, videos, combineResults, previous] = await Promise.all([
+    db.query(
+      `SELECT mp.match_id, mp.performance_credits, mp.minutes_played, mp.goals, mp.assists,
+              m.match_date, m.opponent_name, m.match_type
+       FROM match_performances mp
+       JOIN matches m ON m.id = mp.match_id
+       WHERE mp.player_id = $1 AND m.status = 'completed'
+         AND mp.minutes_played > 0 AND mp.performance_credits IS NOT NULL
+         AND m.match_date <= $2
+       ORDER BY m.match_date DESC
+       LIMIT $3`,
+      [playerId, asOf, config.matchWindow]
+    ),
+    db.query(
+      `SELECT ts.id, ts.assignment_id, ts.points_awarded, ts.reviewed_at, tk.title as task_title
+       FROM task_submissions ts
+       JOIN task_assignments ta ON ta.id = ts.assignment_id
+       JOIN tasks tk ON tk.id = ta.task_id
+       WHERE ts.player_id = $1 AND ts.status = 'approved'
+         AND ts.reviewed_at > $2::timestamptz - make_interval(days => $3) AND ts.reviewed_at <= $2`,
+      [playerId, asOf, config.taskWindowDays]
+    ),
+    db.query(
+      `SELECT id, title, category, impact_level, impact_points FROM videos
+       WHERE player_id = $1 AND status = 'approved'
+         AND (moderated_at IS NULL OR moderated_at <= $2)`,
+      [playerId, asOf]
+    ),
+    db.query(
+      `SELECT cr.id, cr.combine_id, c.name as combine_name, c.combine_date, cr.overall_physical_percentile, cr.sprint_percentile,
+              cr.agility_percentile, cr.strength_percentile, cr.endurance_percentile
+       FROM combine_results cr
+       JOIN combines c ON c.id = cr.combine_id
+       WHERE cr.player_id = $1 AND c.status = 'completed' AND c.combine_date <= $2
+       ORDER BY c.combine_date DESC`,
+      [playerId, asOf]
+    ),
+    db.query(
+      `SELECT nova_score FROM nova_score_history
+       WHERE player_id = $1 AND recorded_date <= ($2::timestamptz - make_interval(days => $3))::date
+       ORDER BY recorded_date DESC
+       LIMIT 1`,
+      [playerId, asOf, TREND_WINDOW_DAYS]
+    )
+  ]);
+
+  return {
+    inputs: {
+      performances: performances.rows.map(r => ({
+        matchId: r.match_id,
+        opponentName: r.opponent_name,
+        matchType: r.match_type,
+        goals: r.goals,
+        assists: r.assists,
+        performanceCredits: r.performance_credits,
+        minutesPlayed: r.minutes_played,
+        matchDate: r.match_date
+      })),
+      submissions: submissions.rows.map(r => ({
+        submissionId: r.id,
+        assignmentId: r.assignment_id,
+        taskTitle: r.task_title,
+        pointsAwarded: r.points_awarded,
+        reviewedAt: r.reviewed_at
+      })),
+      videos: videos.rows.map(r => ({
+        videoId: r.id,
+        title: r.title,
+        category: r.category,
+        impactLevel: r.impact_level,
+        impactPoints: r.impact_points
+      })),
+      combineResults: combineResults.rows.map(r => ({
+        resultId: r.id,
+        combineId: r.combine_id,
+        combineName: r.combine_name,
+        combineDate: r.combine_date,
+        overallPhysicalPercentile: r.overall_physical_percentile,
+        sprintPercentile: r.sprint_percentile,
+        agilityPercentile: r.agility_percentile,
+        strengthPercentile: r.strength_percentile,
+        endurancePercentile: r.endurance_percentile
+      }))
+    },
+    previousScore: previous.rows[0] ? previous.rows[0].nova_score : null
+  };
+};
+
+// Recalculate and store one player's NovaScore; returns the engine result
+const recalculateNovaScore = async (db, playerId, asOf = new Date()) => {
+  const { inputs, previousScore } = await loadNovaScoreInputs(db, playerId, asOf);
+  const result = calculateNovaScore(inputs, { asOf, previousScore });
+
+  await db.query(
+    `UPDATE player_profiles SET
+       nova_score = $2,
+       nova_score_trend = $3,
+       match_score = $4,
+       task_score = $5,
+       video_score = $6,
+       physical_score = $7,
+       nova_score_version = $8,
+       updated_at = NOW()
+     WHERE id = $1`,
+    [
+      playerId,
+      result.novaScore,
+      result.trend,
+      result.components.match,
+      result.components.task,
+      result.components.video,
+      result.components.physical,
+      result.weightsVersion
+    ]
+  );
+
+  return result;
+};
+
+module.exports = {
+  TREND_WINDOW_DAYS,
+  loadNovaScoreInputs,
+  recalculateNovaScore
+};
@@ -0,0 +1,135 @@
+// =============================================================================
+// NoverThinker - Peer Percentiles
+// =============================================================================
+// Percentile ranks of NovaScore, its components and the player attributes
+// among peers with the same age group and primary position ('position'
+// scope), optionally also the same league ('league' scope, via the active
+// team's club). Precomputed into player_peer_percentiles by the
+// players:percentiles job / worker; requests only read them.
+//
+// A rank is the share of peers (0-100) with a lower value. Peer groups below
+// MIN_PEER_GROUP and missing values get no rank.
+// =============================================================================
+
+const { AppError } = require('../middleware/errorHandler');
+
+const PEER_SCOPES = ['position', 'league'];
+
+const MIN_PEER_GROUP = parseInt(process.env.PEER_PERCENTILES_MIN_GROUP) || 5;
+
+// Response key -> column in the ranking query
+const PERCENTILE_METRICS = {
+  novaScore: 'pp.nova_score',
+  matchScore: 'pp.match_score',
+  taskScore: 'pp.task_score',
+  videoScore: 'pp.video_score',
+  physicalScore: 'pp.physical_score',
+  pace: 'pa.pace',
+  shooting: 'pa.shooting',
+  passing: 'pa.passing',
+  dribbling: 'pa.dribbling',
+  defending: 'pa.defending',
+  physical: 'pa.physical',
+  aggression: 'pa.aggression',
+  composure: 'pa.composure',
+  concentration: 'pa.concentration'
+};
+
+const SCOPE_PARTITIONS = {
+  position: 'age_group, primary_position',
+  league: 'age_group, primary_position, league'
+};
+
+// Rebuild one scope's rankings
+const refreshScope = async (db, scope) => {
+  const partition = SCOPE_PARTITIONS[scope];
+
+  const ranks = Object.keys(PERCENTILE_METRICS).map(key => `
+           '${key}', CASE WHEN "${key}" IS NOT NULL AND peer_count >= ${MIN_PEER_GROUP}
+             THEN ROUND(PERCENT_RANK() OVER (PARTITION BY ${partition}, "${key}" IS NULL ORDER BY "${key}") * 100)::int
+           END`).join(',');
+
+  await db.query('DELETE FROM player_peer_percentiles WHERE scope = $1', [scope]);
+
+  const result = await db.query(
+    `INSERT INTO player_peer_percentiles
+     (player_id, scope, age_group, primary_position, league, peer_count, percentiles, calculated_at)
+     SELECT player_id, $1::varchar, age_group, primary_position, league, peer_count,
+            jsonb_build_object(${ranks}),
+            NOW()
+     FROM (
+       SELECT *, COUNT(*) OVER (PARTITION BY ${partition})::int as peer_count
+       FROM (
+         SELECT DISTINCT ON (pp.id)
+                pp.id as player_id, pp.age_group, pp.primary_position, c.league,
+                ${Object.entries(PERCENTILE_METRICS).map(([key, column]) => `${column} as "${key}"`).join(',\n                ')}
+         FROM player_profiles pp
+         JOIN users u ON u.id = pp.user_id AND u.is_active = true
+         LEFT JOIN player_attributes pa ON pa.player_id = pp.id
+         LEFT JOIN team_players tp ON tp.player_id = pp.id AND tp.is_active = true
+         LEFT JOIN teams t ON t.id = tp.team_id
+         LEFT JOIN clubs c ON c.id = t.club_id
+         WHERE pp.age_group IS NOT NULL
+         ORDER BY pp.id, tp.joined_date DESC NULLS LAST
+       ) players
+       ${scope === 'league' ? 'WHERE league IS NOT NULL' : ''}
+     ) peers`,
+    [scope]
+  );
+
+  return result.rowCount;
+};
+
+// Rebuild all scopes in one transaction so readers never see a half-built table
+const refreshPeerPercentiles = async (client) => {
+  const summary = {};
+  for (const scope of PEER_SCOPES) {
+    summary[scope] = await refreshScope(client, scope);
+  }
+  return summary;
+};
+
+// Parse ?percentiles=true&peerScope=league (body values for POST routes)
+const getPercentileOptions = ({ percentiles, peerScope }) => {
+  if (percentiles !== true && percentiles !== 'true') {
+    return null;
+  }
+
+  const scope = peerScope || 'position';
+  if (!PEER_SCOPES.includes(scope)) {
+    throw new AppError(`peerScope must be one of: ${PEER_SCOPES.join(', ')}`, 400, 'INVALID_PEER_SCOPE');
+  }
+
+  return { scope };
+};
+
+// playerId -> ranking for the scope (players without one are left out)
+const loadPeerPercentiles = async (db, playerIds, scope) => {
+  const result = await db.query(
+    `SELECT player_id, age_group, primary_position, league, peer_count, percentiles, calculated_at
+     FROM player_peer_percentiles
+     WHERE player_id = ANY($1::uuid[]) AND scope = $2`,
+    [playerIds, scope]
+  );
+
+  return new Map(result.rows.map(row => [row.player_id, {
+    scope,
+    peerGroup: {
+      ageGroup: row.age_group,
+      position: row.primary_position,
+      league: row.league,
+      size: row.peer_count
+    },
+    percentiles: row.percentiles,
+    calculatedAt: row.calculated_at
+  }]));
+};
+
+module.exports = {
+  PEER_SCOPES,
+  MIN_PEER_GROUP,
+  PERCENTILE_METRICS,
+  refreshPeerPercentiles,
+  getPercentileOptions,
+  loadPeerPercentiles
+};
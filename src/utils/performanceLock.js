@@ -0,0 +1,57 @@
+// =============================================================================
+// NoverThinker - Match Rating Lock
+// =============================================================================
+// Coach ratings (match_performances) lock 72 hours after kick-off. An admin
+// can reopen a match for a limited window; once the window closes the rows
+// are locked again by the sweep job (src/jobs/lockMatchPerformances.js).
+// =============================================================================
+
+const LOCK_AFTER_HOURS = parseInt(process.env.MATCH_RATING_LOCK_HOURS) || 72;
+const DEFAULT_UNLOCK_HOURS = 24;
+
+// Lock status for a match row (expects match_date and performances_unlocked_until)
+const getLockState = (match, hasLockedRows = false, now = new Date()) => {
+  const locksAt = new Date(new Date(match.match_date).getTime() + LOCK_AFTER_HOURS * 60 * 60 * 1000);
+  const unlockedUntil = match.performances_unlocked_until
+    ? new Date(match.performances_unlocked_until)
+    : null;
+  const isUnlocked = unlockedUntil !== null && now < unlockedUntil;
+
+  return {
+    isLocked: (now >= locksAt || hasLockedRows) && !isUnlocked,
+    locksAt,
+    unlockedUntil: isUnlocked ? unlockedUntil : null
+  };
+};
+
+// Flag every rating past its lock time (optionally for one match only)
+const lockExpiredPerformances = async (db, matchId = null) => {
+  const params = [LOCK_AFTER_HOURS];
+  let matchClause = '';
+
+  if (matchId) {
+    matchClause = 'AND m.id = $2';
+    params.push(matchId);
+  }
+
+  const result = await db.query(
+    `UPDATE match_performances mp
+     SET is_locked = true, updated_at = NOW()
+     FROM matches m
+     WHERE m.id = mp.match_id
+       AND mp.is_locked = false
+       AND m.match_date + make_interval(hours => $1) <= NOW()
+       AND (m.performances_unlocked_until IS NULL OR m.performances_unlocked_until <= NOW())
+       ${matchClause}`,
+    params
+  );
+
+  return result.rowCount;
+};
+
+module.exports = {
+  LOCK_AFTER_HOURS,
+  DEFAULT_UNLOCK_HOURS,
+  getLockState,
+  lockExpiredPerformances
+};
@@ -0,0 +1,375 @@
+// =============================================================================
+// NoverThinker - Agent Analytics
+// =============================================================================
+// Computes the agent panels and stores them in agent_analytics_cache:
+//   performance - NovaScore components and their weighted contributions
+//   consistency - spread of coach credits and of the NovaScore history
+//   work rate   - attendance, task completion, uploads and discipline
+//   risk        - discipline notes, cards, attendance drop, score volatility
+//                 (0-100, higher is riskier)
+// Every panel reports the sample sizes it was based on. A part without data
+// is left out (null) and the panel is built from the parts that have some.
+// =============================================================================
+
+const { getWeightsConfig, combineComponents } = require('./novaScore');
+const { assignmentReachesPlayerSql } = require('./taskAssignments');
+
+const RECENT_APPEARANCES = 10;
+const HISTORY_WINDOW_DAYS = 90;
+const ATTENDANCE_WINDOW_DAYS = 90;
+const ATTENDANCE_RECENT_DAYS = 30;
+const TASK_WINDOW_DAYS = 90;
+const UPLOAD_WINDOW_DAYS = 90;
+const DISCIPLINE_WINDOW_DAYS = 180;
+
+// Uploads per 30 days that count as a full upload score
+const TARGET_UPLOADS_PER_MONTH = 4;
+
+const WORK_RATE_WEIGHTS = { attendance: 0.4, taskCompletion: 0.3, uploadFrequency: 0.2, discipline: 0.1 };
+
+const ATTENDANCE_VALUES = { present: 1, late: 0.5, absent: 0 }; // excused is left out
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const clamp = (value, min = 0, max = 100) => Math.min(max, Math.max(min, value));
+const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+const stdDev = (values) => {
+  const avg = mean(values);
+  return Math.sqrt(values.reduce((sum, v) => sum + (v - avg) ** 2, 0) / values.length);
+};
+const toNumber = (value) => (value === null || value === undefined ? null : Number(value));
+
+// Average of the parts that have a score, each with its weight
+const weightedScore = (parts, weights) => {
+  const available = Object.keys(parts).filter(key => parts[key].score !== null);
+  const weightSum = available.reduce((sum, key) => sum + weights[key], 0);
+  if (weightSum === 0) return null;
+  return Math.round(available.reduce((sum, key) => sum + parts[key].score * weights[key], 0) / weightSum);
+};
+
+const attendanceRate = (records) => {
+  const counted = records.filter(r => ATTENDANCE_VALUES[r.status] !== undefined);
+  if (counted.length === 0) return { rate: null, sample: 0 };
+  return {
+    rate: mean(counted.map(r => ATTENDANCE_VALUES[r.status])) * 100,
+    sample: counted.length
+  };
+};
+
+// -----------------------------------------------------------------------------
+// Panels (pure)
+// -----------------------------------------------------------------------------
+
+const buildPerformancePanel = (player) => {
+  const { version, weights } = getWeightsConfig(player.nova_score_version || undefined);
+  const componentScores = {
+    match: toNumber(player.match_score),
+    task: toNumber(player.task_score),
+    video: toNumber(player.video_score),
+    physical: toNumber(player.physical_score)
+  };
+  const { contributions } = combineComponents(componentScores, weights);
+
+  return {
+    overall: player.nova_score,
+    matchScore: componentScores.match,
+    taskScore: componentScores.task,
+    videoScore: componentScores.video,
+    physicalScore: componentScores.physical,
+    weightsVersion: version,
+    contributions
+  };
+};
+
+// credits: newest first; history: NovaScore snapshots oldest first
+const buildConsistencyPanel = ({ credits, history }) => {
+  // A credit spread of 5 (a third of the 5-20 scale) or a NovaScore spread of 10 scores 0
+  const creditsScore = credits.length >= 2 ? clamp(100 - stdDev(credits) * 20) : null;
+  const historyScore = history.length >= 2 ? clamp(100 - stdDev(history) * 10) : null;
+
+  const score = weightedScore(
+    { credits: { score: creditsScore }, history: { score: historyScore } },
+    { credits: 0.6, history: 0.4 }
+  );
+
+  // Compare the spread of the last five ratings with the five before
+  let trend = 'unknown';
+  if (credits.length >= 6) {
+    const recent = stdDev(credits.slice(0, 5));
+    const earlier = stdDev(credits.slice(5, 10));
+    trend = recent < earlier - 0.5 ? 'improving' : recent > earlier + 0.5 ? 'declining' : 'stable';
+  }
+
+  return {
+    score,
+    level: score === null ? 'insufficient_data' : score >= 80 ? 'high' : score >= 60 ? 'medium' : 'low',
+    trend,
+    sample: { ratedMatches: credits.length, historyDays: history.length }
+  };
+};
+
+const buildWorkRatePanel = ({ attendance, assignments, uploads, disciplineScore, disciplineNotes }) => {
+  const { rate, sample: events } = attendanceRate(attendance);
+
+  // Only assignments that are decided count: approved, closed or past due
+  const decided = assignments.filter(a => a.approved || a.closed);
+  const taskRate = decided.length > 0
+    ? (decided.filter(a => a.approved).length / decided.length) * 100
+    : null;
+
+  const uploadScore = clamp((uploads / (UPLOAD_WINDOW_DAYS / 30)) / TARGET_UPLOADS_PER_MONTH * 100);
+
+  const breakdown = {
+    attendance: { score: rate === null ? null : Math.round(rate), sample: events },
+    taskCompletion: { score: taskRate === null ? null : Math.round(taskRate), sample: decided.length },
+    uploadFrequency: { score: Math.round(uploadScore), sample: uploads },
+    // The profile score starts at a default, so it only counts once notes back it
+    discipline: { score: disciplineNotes > 0 ? toNumber(disciplineScore) : null, sample: disciplineNotes }
+  };
+
+  const score = weightedScore(breakdown, WORK_RATE_WEIGHTS);
+
+  return {
+    score,
+    level: score === null ? 'insufficient_data'
+      : score >= 90 ? 'elite' : score >= 75 ? 'high' : score >= 50 ? 'medium' : 'low',
+    breakdown,
+    sample: {
+      events,
+      assignments: decided.length,
+      uploads,
+      disciplineNotes
+    }
+  };
+};
+
+const riskLevel = (score) => (score === null ? 'unknown' : score >= 65 ? 'high' : score >= 35 ? 'medium' : 'low');
+
+const buildRiskPanel = ({ notes, appearances, attendance, history, asOf }) => {
+  const negative = notes.filter(n => n.note_type === 'negative');
+  const positive = notes.filter(n => n.note_type === 'positive');
+  const disciplineScore = notes.length > 0
+    ? clamp(negative.length * 25 - positive.length * 10 +
+        negative.reduce((sum, n) => sum + Math.abs(n.score_impact || 0), 0) * 2)
+    : null;
+
+  const yellows = appearances.reduce((sum, a) => sum + (a.yellow_cards || 0), 0);
+  const reds = appearances.reduce((sum, a) => sum + (a.red_cards || 0), 0);
+  const cardsScore = appearances.length > 0 ? clamp(yellows * 10 + reds * 35) : null;
+
+  // Attendance over the last 30 days against the 60 before
+  const recentStart = asOf.getTime() - ATTENDANCE_RECENT_DAYS * DAY_MS;
+  const recent = attendanceRate(attendance.filter(a => new Date(a.start_time).getTime() >= recentStart));
+  const earlier = attendanceRate(attendance.filter(a => new Date(a.start_time).getTime() < recentStart));
+  const attendanceDrop = recent.rate !== null && earlier.rate !== null
+    ? Math.round(earlier.rate - recent.rate)
+    : null;
+  const attendanceScore = attendanceDrop === null ? null : clamp(attendanceDrop * 2);
+
+  const volatilityScore = history.length >= 2 ? clamp(stdDev(history) * 10) : null;
+
+  const factors = {
+    discipline: {
+      score: disciplineScore,
+      level: riskLevel(disciplineScore),
+      sample: notes.length,
+      negativeNotes: negative.length
+    },
+    cards: {
+      score: cardsScore,
+      level: riskLevel(cardsScore),
+      sample: appearances.length,
+      yellowCards: yellows,
+      redCards: reds
+    },
+    attendance: {
+      score: attendanceScore,
+      level: riskLevel(attendanceScore),
+      sample: recent.sample + earlier.sample,
+      drop: attendanceDrop
+    },
+    volatility: {
+      score: volatilityScore === null ? null : Math.round(volatilityScore),
+      level: riskLevel(volatilityScore),
+      sample: history.length
+    }
+  };
+
+  const available = Object.values(factors).filter(f => f.score !== null);
+  const score = available.length > 0 ? Math.round(mean(available.map(f => f.score))) : null;
+
+  return {
+    score,
+    level: riskLevel(score),
+    factors,
+    sample: {
+      disciplineNotes: notes.length,
+      appearances: appearances.length,
+      events: recent.sample + earlier.sample,
+      historyDays: history.length
+    }
+  };
+};
+
+// -----------------------------------------------------------------------------
+// Loading and storing
+// -----------------------------------------------------------------------------
+
+const loadAnalyticsInputs = async (db, playerId, asOf) => {
+  const [appearances, history, attendance, assignments, uploads, notes] = await Promise.all([
+    db.query(
+      `SELECT mp.performance_credits, mp.yellow_cards, mp.red_cards
+       FROM match_performances mp
+       JOIN matches m ON m.id = mp.match_id
+       WHERE mp.player_id = $1 AND m.status = 'completed' AND mp.minutes_played > 0
+       ORDER BY m.match_date DESC
+       LIMIT $2`,
+      [playerId, RECENT_APPEARANCES]
+    ),
+    db.query(
+      `SELECT nova_score FROM nova_score_history
+       WHERE player_id = $1 AND recorded_date > ($2::timestamptz - make_interval(days => $3))::date
+       ORDER BY recorded_date`,
+      [playerId, asOf, HISTORY_WINDOW_DAYS]
+    ),
+    db.query(
+      `SELECT ea.status, te.start_time
+       FROM event_attendance ea
+       JOIN team_events te ON te.id = ea.event_id
+       WHERE ea.player_id = $1 AND te.is_mandatory = true
+         AND te.start_time > $2::timestamptz - make_interval(days => $3) AND te.start_time <= $2`,
+      [playerId, asOf, ATTENDANCE_WINDOW_DAYS]
+    ),
+    db.query(
+      `SELECT ta.id,
+              EXISTS (SELECT 1 FROM task_submissions ts
+                      WHERE ts.assignment_id = ta.id AND ts.player_id = $1 AND ts.status = 'approved') as approved,
+              (ta.status IN ('completed', 'expired') OR (ta.due_date IS NOT NULL AND ta.due_date < $2)) as closed
+       FROM task_assignments ta
+       WHERE ta.status <> 'cancelled'
+         AND ta.created_at > $2::timestamptz - make_interval(days => $3)
+         AND ${assignmentReachesPlayerSql('ta', '$1')}`,
+      [playerId, asOf, TASK_WINDOW_DAYS]
+    ),
+    db.query(
+      `SELECT COUNT(*)::int as count FROM videos
+       WHERE player_id = $1 AND created_at > $2::timestamptz - make_interval(days => $3)`,
+      [playerId, asOf, UPLOAD_WINDOW_DAYS]
+    ),
+    db.query(
+      `SELECT note_type, score_impact FROM discipline_notes
+       WHERE player_id = $1 AND created_at > $2::timestamptz - make_interval(days => $3)`,
+      [playerId, asOf, DISCIPLINE_WINDOW_DAYS]
+    )
+  ]);
+
+  return {
+    appearances: appearances.rows,
+    credits: appearances.rows
+      .filter(a => a.performance_credits !== null)
+      .map(a => a.performance_credits),
+    history: history.rows.map(h => Number(h.nova_score)),
+    attendance: attendance.rows,
+    assignments: assignments.rows,
+    uploads: uploads.rows[0].count,
+    notes: notes.rows
+  };
+};
+
+// Calculate all panels for a player and store them in agent_analytics_cache
+const calculatePlayerAnalytics = async (db, playerId, asOf = new Date()) => {
+  // Read before the inputs: an invalidation committed after this point bumps
+  // the counter, so the upsert below keeps the row dirty
+  const seqResult = await db.query(
+    'SELECT invalidation_seq FROM agent_analytics_cache WHERE player_id = $1',
+    [playerId]
+  );
+  const invalidationSeq = seqResult.rows[0] ? seqResult.rows[0].invalidation_seq : 0;
+
+  const playerResult = await db.query(
+    `SELECT id, nova_score, nova_score_version, match_score, task_score, video_score, physical_score,
+            discipline_score
+     FROM player_profiles WHERE id = $1`,
+    [playerId]
+  );
+  const player = playerResult.rows[0];
+  const inputs = await loadAnalyticsInputs(db, playerId, asOf);
+
+  const consistency = buildConsistencyPanel(inputs);
+  const workRate = buildWorkRatePanel({
+    ...inputs,
+    disciplineScore: player.discipline_score,
+    disciplineNotes: inputs.notes.length
+  });
+  const risk = buildRiskPanel({ ...inputs, asOf });
+
+  const analytics = {
+    performance_data: buildPerformancePanel(player),
+    consistency_score: consistency.score,
+    consistency_level: consistency.level,
+    consistency_trend: consistency.trend,
+    work_rate_score: workRate.score,
+    work_rate_level: workRate.level,
+    work_rate_breakdown: workRate.breakdown,
+    risk_score: risk.score,
+    risk_level: risk.level,
+    risk_factors: risk.factors,
+    sample_sizes: {
+      consistency: consistency.sample,
+      workRate: workRate.sample,
+      risk: risk.sample
+    },
+    last_calculated_at: asOf
+  };
+
+  await db.query(
+    `INSERT INTO agent_analytics_cache
+     (player_id, performance_data, consistency_score, consistency_level, consistency_trend,
+      work_rate_score, work_rate_level, work_rate_breakdown, risk_score, risk_level, risk_factors,
+      sample_sizes, last_calculated_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+     ON CONFLICT (player_id) DO UPDATE SET
+       performance_data = $2,
+       consistency_score = $3,
+       consistency_level = $4,
+       consistency_trend = $5,
+       work_rate_score = $6,
+       work_rate_level = $7,
+       work_rate_breakdown = $8,
+       risk_score = $9,
+       risk_level = $10,
+       risk_factors = $11,
+       sample_sizes = $12,
+       last_calculated_at = $13,
+       -- Changes that arrived while we were calculating keep the row dirty
+       is_dirty = agent_analytics_cache.invalidation_seq <> $14,
+       updated_at = NOW()`,
+    [
+      playerId,
+      JSON.stringify(analytics.performance_data),
+      analytics.consistency_score,
+      analytics.consistency_level,
+      analytics.consistency_trend,
+      analytics.work_rate_score,
+      analytics.work_rate_level,
+      JSON.stringify(analytics.work_rate_breakdown),
+      analytics.risk_score,
+      analytics.risk_level,
+      JSON.stringify(analytics.risk_factors),
+      JSON.stringify(analytics.sample_sizes),
+      asOf,
+      invalidationSeq
+    ]
+  );
+
+  return analytics;
+};
+
+module.exports = {
+  buildPerformancePanel,
+  buildConsistencyPanel,
+  buildWorkRatePanel,
+  buildRiskPanel,
+  loadAnalyticsInputs,
+  calculatePlayerAnalytics
+};
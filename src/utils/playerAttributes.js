@@ -0,0 +1,199 @@
+// =============================================================================
+// NoverThinker - Player Attributes Store
+// =============================================================================
+// Loads derivation inputs, stores proposals for coach review and applies
+// attribute changes. Every change goes through applyAttributeChanges so it is
+// recorded in player_attribute_history with who made it and why.
+// =============================================================================
+
+const { buildUpdateSet } = require('./sql');
+const { ATTRIBUTES, RECENT_APPEARANCES, deriveAttributes } = require('./attributeDerivation');
+
+const ATTRIBUTE_FIELDS = Object.fromEntries(ATTRIBUTES.map(name => [name, name]));
+
+const loadDerivationInputs = async (db, playerId) => {
+  const [profile, combine, appearances] = await Promise.all([
+    db.query(
+      `SELECT discipline_score,
+              EXISTS (SELECT 1 FROM discipline_notes WHERE player_id = $1) as has_discipline_notes
+       FROM player_profiles WHERE id = $1`,
+      [playerId]
+    ),
+    db.query(
+      `SELECT cr.sprint_percentile, cr.agility_percentile, cr.strength_percentile, cr.endurance_percentile
+       FROM combine_results cr
+       JOIN combines c ON c.id = cr.combine_id
+       WHERE cr.player_id = $1 AND c.status = 'completed' AND cr.percentiles_calculated_at IS NOT NULL
+       ORDER BY c.combine_date DESC
+       LIMIT 1`,
+      [playerId]
+    ),
+    db.query(
+      `SELECT mp.minutes_played, mp.goals, mp.assists, mp.yellow_cards, mp.red_cards, mp.performance_credits
+       FROM match_performances mp
+       JOIN matches m ON m.id = mp.match_id
+       WHERE mp.player_id = $1 AND m.status = 'completed' AND mp.minutes_played > 0
+       ORDER BY m.match_date DESC
+       LIMIT $2`,
+      [playerId, RECENT_APPEARANCES]
+    )
+  ]);
+
+  const latest = combine.rows[0];
+  const player = profile.rows[0];
+
+  return {
+    // discipline_score starts at a default; without notes it is not a signal
+    disciplineScore: player && player.has_discipline_notes ? player.discipline_score : null,
+    combine: latest ? {
+      sprintPercentile: latest.sprint_percentile,
+      agilityPercentile: latest.agility_percentile,
+      strengthPercentile: latest.strength_percentile,
+      endurancePercentile: latest.endurance_percentile
+    } : null,
+    appearances: appearances.rows.map(a => ({
+      minutesPlayed: a.minutes_played,
+      goals: a.goals,
+      assists: a.assists,
+      yellowCards: a.yellow_cards,
+      redCards: a.red_cards,
+      performanceCredits: a.performance_credits
+    }))
+  };
+};
+
+const getCurrentAttributes = async (db, playerId, forUpdate = false) => {
+  const result = await db.query(
+    `SELECT * FROM player_attributes WHERE player_id = $1 ${forUpdate ? 'FOR UPDATE' : ''}`,
+    [playerId]
+  );
+  return result.rows[0] || null;
+};
+
+const getPendingProposal = async (db, playerId) => {
+  const result = await db.query(
+    `SELECT * FROM player_attribute_proposals
+     WHERE player_id = $1 AND status = 'pending'`,
+    [playerId]
+  );
+  return result.rows[0] || null;
+};
+
+// Same attributes proposed with the same values (and against the same
+// current values) - the pending proposal can stay as it is
+const sameProposal = (pending, proposed) => {
+  const names = Object.keys(proposed);
+  return Object.keys(pending).length === names.length && names.every(name =>
+    pending[name] &&
+    pending[name].value === proposed[name].value &&
+    pending[name].current === proposed[name].current);
+};
+
+// Derive fresh values and replace the pending proposal if they differ from
+// it, so a coach's proposalId stays valid across unchanged re-runs. Only
+// attributes that differ from the current value are proposed.
+// Returns { proposal, created }; proposal is null if nothing differs.
+// Must run in a transaction (db is its client).
+const proposeAttributes = async (db, playerId) => {
+  // Row lock on the profile serialises concurrent derivations for one player
+  // (the API, combine completion and the nightly job)
+  await db.query('SELECT id FROM player_profiles WHERE id = $1 FOR UPDATE', [playerId]);
+
+  const [inputs, current, pending] = await Promise.all([
+    loadDerivationInputs(db, playerId),
+    getCurrentAttributes(db, playerId),
+    getPendingProposal(db, playerId)
+  ]);
+
+  const { attributes, sample } = deriveAttributes(inputs);
+  const proposed = {};
+
+  ATTRIBUTES.forEach(name => {
+    const derived = attributes[name];
+    const currentValue = current ? current[name] : null;
+
+    if (derived && derived.value !== currentValue) {
+      proposed[name] = { value: derived.value, current: currentValue, signals: derived.signals };
+    }
+  });
+
+  const hasChanges = Object.keys(proposed).length > 0;
+
+  if (pending && hasChanges && sameProposal(pending.attributes, proposed)) {
+    return { proposal: pending, created: false };
+  }
+
+  if (pending) {
+    await db.query(
+      `UPDATE player_attribute_proposals SET status = 'superseded'
+       WHERE id = $1 AND status = 'pending'`,
+      [pending.id]
+    );
+  }
+
+  if (!hasChanges) {
+    return { proposal: null, created: false };
+  }
+
+  const result = await db.query(
+    `INSERT INTO player_attribute_proposals (player_id, attributes, sample)
+     VALUES ($1, $2, $3)
+     RETURNING *`,
+    [playerId, JSON.stringify(proposed), JSON.stringify(sample)]
+  );
+
+  return { proposal: result.rows[0], created: true };
+};
+
+/**
+ * Write attribute values and their history rows.
+ * @param {Array} changes - [{ attribute, value, source: 'accepted' | 'override' }]
+ * @param {Object} options - { changedBy, proposalId }
+ * @returns {{ attributes: Object, changes: Array }} unchanged values are skipped
+ */
+const applyAttributeChanges = async (db, playerId, changes, { changedBy, proposalId = null }) => {
+  await db.query(
+    'INSERT INTO player_attributes (player_id) VALUES ($1) ON CONFLICT (player_id) DO NOTHING',
+    [playerId]
+  );
+
+  const current = await getCurrentAttributes(db, playerId, true);
+  const effective = changes.filter(change => current[change.attribute] !== change.value);
+
+  if (effective.length === 0) {
+    return { attributes: current, changes: [] };
+  }
+
+  const values = Object.fromEntries(effective.map(change => [change.attribute, change.value]));
+  const { setClause, values: setValues, nextIndex } = buildUpdateSet(values, ATTRIBUTE_FIELDS, 2);
+
+  const updated = await db.query(
+    `UPDATE player_attributes SET ${setClause}, updated_by = $${nextIndex}, updated_at = NOW()
+     WHERE player_id = $1
+     RETURNING *`,
+    [playerId, ...setValues, changedBy]
+  );
+
+  for (const change of effective) {
+    await db.query(
+      `INSERT INTO player_attribute_history
+       (player_id, attribute, old_value, new_value, source, proposal_id, changed_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+      [playerId, change.attribute, current[change.attribute], change.value, change.source,
+       proposalId, changedBy]
+    );
+  }
+
+  return {
+    attributes: updated.rows[0],
+    changes: effective.map(change => ({ ...change, previous: current[change.attribute] }))
+  };
+};
+
+module.exports = {
+  loadDerivationInputs,
+  getCurrentAttributes,
+  getPendingProposal,
+  proposeAttributes,
+  applyAttributeChanges
+};
@@ -0,0 +1,75 @@
+// =============================================================================
+// NoverThinker - Player Career Totals
+// =============================================================================
+// player_profiles.total_* are derived from match_performances of completed
+// matches. An appearance is a performance with minutes played.
+// =============================================================================
+
+const TOTAL_COLUMNS = {
+  total_matches: 'matches',
+  total_goals: 'goals',
+  total_assists: 'assists',
+  total_yellow_cards: 'yellow_cards',
+  total_red_cards: 'red_cards',
+  total_minutes: 'minutes'
+};
+
+// Totals computed from match_performances for the players matched by filter
+const computedTotalsSql = (filter) => `
+  SELECT pp.id as player_id,
+         COUNT(m.id) FILTER (WHERE mp.minutes_played > 0)::int as matches,
+         COALESCE(SUM(mp.goals) FILTER (WHERE m.id IS NOT NULL), 0)::int as goals,
+         COALESCE(SUM(mp.assists) FILTER (WHERE m.id IS NOT NULL), 0)::int as assists,
+         COALESCE(SUM(mp.yellow_cards) FILTER (WHERE m.id IS NOT NULL), 0)::int as yellow_cards,
+         COALESCE(SUM(mp.red_cards) FILTER (WHERE m.id IS NOT NULL), 0)::int as red_cards,
+         COALESCE(SUM(mp.minutes_played) FILTER (WHERE m.id IS NOT NULL), 0)::int as minutes
+  FROM player_profiles pp
+  LEFT JOIN match_performances mp ON mp.player_id = pp.id
+  LEFT JOIN matches m ON m.id = mp.match_id AND m.status = 'completed'
+  ${filter}
+  GROUP BY pp.id`;
+
+const setClause = Object.entries(TOTAL_COLUMNS)
+  .map(([column, computed]) => `${column} = c.${computed}`)
+  .join(', ');
+
+const driftClause = Object.entries(TOTAL_COLUMNS)
+  .map(([column, computed]) => `pp.${column} IS DISTINCT FROM c.${computed}`)
+  .join(' OR ');
+
+// Recompute totals for the given players. Returns the updated totals.
+const recalculatePlayerTotals = async (db, playerIds) => {
+  if (!playerIds || playerIds.length === 0) return [];
+
+  const result = await db.query(
+    `UPDATE player_profiles pp SET ${setClause}
+     FROM (${computedTotalsSql('WHERE pp.id = ANY($1::uuid[])')}) c
+     WHERE pp.id = c.player_id
+     RETURNING pp.id, ${Object.keys(TOTAL_COLUMNS).join(', ')}`,
+    [playerIds]
+  );
+
+  return result.rows;
+};
+
+// Players whose stored totals differ from match_performances
+const findTotalsDrift = async (db) => {
+  const result = await db.query(
+    `SELECT pp.id as player_id, u.first_name, u.last_name,
+            ${Object.keys(TOTAL_COLUMNS).map(column => `pp.${column}`).join(', ')},
+            row_to_json(c) as computed
+     FROM player_profiles pp
+     JOIN users u ON u.id = pp.user_id
+     JOIN (${computedTotalsSql('')}) c ON c.player_id = pp.id
+     WHERE ${driftClause}
+     ORDER BY u.last_name, u.first_name`
+  );
+
+  return result.rows;
+};
+
+module.exports = {
+  TOTAL_COLUMNS,
+  recalculatePlayerTotals,
+  findTotalsDrift
+};
@@ -0,0 +1,30 @@
+// =============================================================================
+// NoverThinker - SQL Helpers
+// =============================================================================
+
+// Build "col = $n" pairs for a partial update from a camelCase body.
+// fieldMap: { bodyField: 'column_name' } - only mapped fields are updatable.
+const buildUpdateSet = (body, fieldMap, startIndex = 1) => {
+  const assignments = [];
+  const values = [];
+  let paramIndex = startIndex;
+
+  for (const [field, column] of Object.entries(fieldMap)) {
+    if (body[field] === undefined) continue;
+
+    const value = body[field];
+    assignments.push(`${column} = $${paramIndex}`);
+    values.push(value !== null && typeof value === 'object' ? JSON.stringify(value) : value);
+    paramIndex++;
+  }
+
+  return {
+    setClause: assignments.join(', '),
+    values,
+    nextIndex: paramIndex
+  };
+};
+
+module.exports = {
+  buildUpdateSet
+};
@@ -0,0 +1,54 @@
+// =============================================================================
+// NoverThinker - Task Assignment Targeting
+// =============================================================================
+// An assignment reaches a player when it is:
+//   individual - addressed to the player
+//   group      - the player is listed in task_assignment_players
+//   team       - the player is on the team's active roster
+//   global     - always
+// =============================================================================
+
+// SQL condition: assignment alias `ta` reaches the player id expression
+const assignmentReachesPlayerSql = (ta, playerIdSql) => `(
+  (${ta}.assignment_type = 'individual' AND ${ta}.player_id = ${playerIdSql})
+  OR (${ta}.assignment_type = 'group' AND EXISTS (
+    SELECT 1 FROM task_assignment_players tap
+    WHERE tap.assignment_id = ${ta}.id AND tap.player_id = ${playerIdSql}))
+  OR (${ta}.assignment_type = 'team' AND EXISTS (
+    SELECT 1 FROM team_players tpa
+    WHERE tpa.team_id = ${ta}.team_id AND tpa.player_id = ${playerIdSql} AND tpa.is_active = true))
+  OR ${ta}.assignment_type = 'global'
+)`;
+
+// Queue a notification for every active player the assignment reaches
+const notifyAssignedPlayers = async (db, assignmentId, task) => {
+  const result = await db.query(
+    `INSERT INTO notifications (user_id, title, body, notification_type, data)
+     SELECT pp.user_id, $2, ta.instructions, 'task_assigned',
+            jsonb_build_object('assignmentId', ta.id, 'taskId', ta.task_id, 'dueDate', ta.due_date)
+     FROM task_assignments ta
+     CROSS JOIN player_profiles pp
+     JOIN users u ON u.id = pp.user_id AND u.is_active = true
+     WHERE ta.id = $1 AND ${assignmentReachesPlayerSql('ta', 'pp.id')}`,
+    [assignmentId, `New task: ${task.title}`]
+  );
+
+  return result.rowCount;
+};
+
+// Flip active assignments past their due date to expired
+const expireOverdueAssignments = async (db) => {
+  const result = await db.query(
+    `UPDATE task_assignments SET status = 'expired', updated_at = NOW()
+     WHERE status = 'active' AND due_date IS NOT NULL AND due_date < NOW()
+     RETURNING id`
+  );
+
+  return result.rows.map(r => r.id);
+};
+
+module.exports = {
+  assignmentReachesPlayerSql,
+  notifyAssignedPlayers,
+  expireOverdueAssignments
+};
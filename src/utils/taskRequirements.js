@@ -0,0 +1,49 @@
+// =============================================================================
+// NoverThinker - Task Requirements Schema
+// =============================================================================
+// JSON Schema for tasks.requirements, e.g.
+//   { "repetitions": 10, "duration_seconds": 60, "camera_angle": "front" }
+// =============================================================================
+
+const Ajv = require('ajv');
+
+const CAMERA_ANGLES = ['front', 'side', 'behind', 'above', 'any'];
+
+const REQUIREMENTS_SCHEMA = {
+  type: 'object',
+  properties: {
+    repetitions: { type: 'integer', minimum: 1, maximum: 500 },
+    duration_seconds: { type: 'integer', minimum: 5, maximum: 3600 },
+    camera_angle: { type: 'string', enum: CAMERA_ANGLES }
+  },
+  additionalProperties: false
+};
+
+const ajv = new Ajv({ allErrors: true });
+const validateRequirements = ajv.compile(REQUIREMENTS_SCHEMA);
+
+// Returns a readable error message, or null when valid
+const getRequirementsError = (requirements) => {
+  if (validateRequirements(requirements)) {
+    return null;
+  }
+
+  return validateRequirements.errors
+    .map(error => {
+      const path = error.instancePath ? `requirements${error.instancePath.replace(/\//g, '.')}` : 'requirements';
+      if (error.keyword === 'additionalProperties') {
+        return `${path} has unknown property "${error.params.additionalProperty}"`;
+      }
+      if (error.keyword === 'enum') {
+        return `${path} must be one of: ${error.params.allowedValues.join(', ')}`;
+      }
+      return `${path} ${error.message}`;
+    })
+    .join('; ');
+};
+
+module.exports = {
+  CAMERA_ANGLES,
+  REQUIREMENTS_SCHEMA,
+  getRequirementsError
+};
@@ -0,0 +1,65 @@
+// =============================================================================
+// NoverThinker - Video Uploads
+// =============================================================================
+// Presigned direct-to-storage uploads shared by highlight videos and task
+// submissions. Objects live under "<prefix>/<ownerId>/".
+// =============================================================================
+
+const {
+  ALLOWED_VIDEO_TYPES,
+  MAX_VIDEO_SIZE_BYTES,
+  uploadUrlExpiresIn,
+  buildObjectKey,
+  createUploadUrl,
+  headObject
+} = require('../config/storage');
+const { AppError } = require('../middleware/errorHandler');
+
+// Validate the file and return the presigned PUT details
+const prepareVideoUpload = async (prefix, ownerId, { fileName, contentType, fileSize }) => {
+  if (!ALLOWED_VIDEO_TYPES[contentType]) {
+    throw new AppError(
+      `Unsupported video type. Allowed: ${Object.keys(ALLOWED_VIDEO_TYPES).join(', ')}`,
+      400,
+      'INVALID_CONTENT_TYPE'
+    );
+  }
+
+  const size = parseInt(fileSize);
+  if (size > MAX_VIDEO_SIZE_BYTES) {
+    throw new AppError(
+      `Video exceeds maximum size of ${Math.round(MAX_VIDEO_SIZE_BYTES / 1024 / 1024)}MB`,
+      400,
+      'FILE_TOO_LARGE'
+    );
+  }
+
+  const key = buildObjectKey(prefix, ownerId, fileName, contentType);
+  const uploadUrl = await createUploadUrl(key, contentType, size);
+
+  return {
+    uploadUrl,
+    key,
+    method: 'PUT',
+    headers: {
+      'Content-Type': contentType
+    },
+    expiresIn: uploadUrlExpiresIn
+  };
+};
+
+// Key must sit under the owner's prefix (and exist, unless checkExists is false)
+const assertOwnedUpload = async (key, prefix, ownerId, { checkExists = true, label = 'Upload' } = {}) => {
+  if (!key.startsWith(`${prefix}/${ownerId}/`)) {
+    throw new AppError(`${label} key does not belong to this player`, 403, 'INVALID_UPLOAD_KEY');
+  }
+
+  if (checkExists && !(await headObject(key))) {
+    throw new AppError('Uploaded file not found. Upload the video before confirming.', 400, 'UPLOAD_NOT_FOUND');
+  }
+};
+
+module.exports = {
+  prepareVideoUpload,
+  assertOwnedUpload
+};
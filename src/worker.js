@@ -0,0 +1,163 @@
+// =============================================================================
+// NoverThinker - Background Worker
+// =============================================================================
+// Runs the scheduled jobs in one long-lived process, as an alternative to
+// calling each CLI in src/jobs from cron. Every job is idempotent, so a run
+// at startup plus a fixed interval is enough; a job never overlaps itself.
+// Also listens for 'player_changed' database notifications to drop a
+// player's cached profile/analytics and recompute the analytics soon after.
+//
+//   node src/worker.js
+// =============================================================================
+
+require('dotenv').config();
+
+const { pool, transaction } = require('./config/database');
+const { connectRedis } = require('./config/redis');
+const { snapshotAllPlayers } = require('./jobs/snapshotNovaScores');
+const { proposeAllPlayers } = require('./jobs/deriveAttributes');
+const { lockExpiredPerformances } = require('./utils/performanceLock');
+const { expireOverdueAssignments } = require('./utils/taskAssignments');
+const { refreshPeerPercentiles } = require('./utils/peerPercentiles');
+const {
+  invalidatePlayerCaches,
+  recomputeDirtyAnalytics,
+  listenForPlayerChanges
+} = require('./utils/analyticsInvalidation');
+
+const MINUTE = 60 * 1000;
+
+// Batch changes that arrive close together into one recompute run
+const RECOMPUTE_DELAY_MS = 5000;
+
+const JOBS = [
+  {
+    name: 'nova-score-snapshots',
+    intervalMs: (parseInt(process.env.NOVA_SCORE_SNAPSHOT_INTERVAL_MINUTES) || 60) * MINUTE,
+    run: async () => {
+      const summary = await snapshotAllPlayers();
+      return `${summary.snapshots} snapshot(s), ${summary.events} change event(s), ${summary.failed} failed`;
+    }
+  },
+  {
+    name: 'lock-match-ratings',
+    intervalMs: 60 * MINUTE,
+    run: async () => `${await lockExpiredPerformances(pool)} rating(s) locked`
+  },
+  {
+    name: 'expire-task-assignments',
+    intervalMs: 15 * MINUTE,
+    run: async () => `${(await expireOverdueAssignments(pool)).length} assignment(s) expired`
+  },
+  {
+    name: 'peer-percentiles',
+    intervalMs: (parseInt(process.env.PEER_PERCENTILES_INTERVAL_MINUTES) || 60) * MINUTE,
+    run: async () => {
+      const summary = await transaction(client => refreshPeerPercentiles(client));
+      return `${summary.position} player(s) ranked by position, ${summary.league} by league`;
+    }
+  },
+  {
+    name: 'attribute-proposals',
+    intervalMs: (parseInt(process.env.ATTRIBUTE_PROPOSALS_INTERVAL_MINUTES) || 1440) * MINUTE,
+    run: async () => {
+      const summary = await proposeAllPlayers();
+      return `${summary.proposals} new proposal(s) for ${summary.players} player(s), ${summary.failed} failed`;
+    }
+  },
+  {
+    name: 'recompute-dirty-analytics',
+    intervalMs: MINUTE,
+    run: async () => {
+      const summary = await recomputeDirtyAnalytics(pool);
+      return `${summary.recomputed} player(s) recomputed, ${summary.failed} failed`;
+    }
+  }
+];
+
+const recomputeJob = JOBS.find(job => job.name === 'recompute-dirty-analytics');
+
+const running = new Set();
+const timers = [];
+let listener = null;
+let recomputeTimer = null;
+
+const runJob = async (job) => {
+  if (running.has(job.name)) {
+    console.log(`⏭️  ${job.name} still running, skipping`);
+    return;
+  }
+
+  running.add(job.name);
+  try {
+    const result = await job.run();
+    console.log(`✅ ${job.name}: ${result}`);
+  } catch (error) {
+    console.error(`❌ ${job.name} failed:`, error.message);
+  } finally {
+    running.delete(job.name);
+  }
+};
+
+const onPlayerChanged = ({ playerId }) => {
+  invalidatePlayerCaches(playerId);
+
+  if (!recomputeTimer) {
+    recomputeTimer = setTimeout(() => {
+      recomputeTimer = null;
+      runJob(recomputeJob);
+    }, RECOMPUTE_DELAY_MS);
+  }
+};
+
+// Re-subscribe if the listening connection drops
+const listen = async () => {
+  try {
+    listener = await listenForPlayerChanges(pool, onPlayerChanged);
+    listener.on('error', (error) => {
+      console.error('❌ player_changed listener error:', error.message);
+      listener.release(error);
+      listener = null;
+      setTimeout(listen, 5000);
+    });
+    console.log('👂 Listening for player changes');
+  } catch (error) {
+    console.error('❌ Could not listen for player changes:', error.message);
+    setTimeout(listen, 5000);
+  }
+};
+
+const start = async () => {
+  await connectRedis();
+  await listen();
+
+  console.log(`⚙️  Worker started with ${JOBS.length} job(s)`);
+
+  JOBS.forEach(job => {
+    runJob(job);
+    timers.push(setInterval(() => runJob(job), job.intervalMs));
+  });
+};
+
+const shutdown = async (signal) => {
+  console.log(`📴 ${signal} received. Stopping worker...`);
+  timers.forEach(clearInterval);
+  clearTimeout(recomputeTimer);
+  if (listener) {
+    listener.release();
+  }
+  await pool.end();
+  process.exit(0);
+};
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
+if (require.main === module) {
+  start();
+}
+
+module.exports = {
+  JOBS,
+  start
+};
@@ -0,0 +1,172 @@
+// =============================================================================
+// NoverThinker - NovaScore Engine Tests
+// =============================================================================
+// The engine is pure, so these run without a database: npm test
+// =============================================================================
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { calculateNovaScore } = require('../src/utils/novaScore');
+
+const asOf = new Date('2026-06-01T00:00:00Z');
+
+const daysBefore = (days) => new Date(asOf.getTime() - days * 24 * 60 * 60 * 1000).toISOString();
+
+const appearance = (credits, minutes, daysAgo) => ({
+  performanceCredits: credits,
+  minutesPlayed: minutes,
+  matchDate: daysBefore(daysAgo)
+});
+
+test('requires an asOf date', () => {
+  assert.throws(() => calculateNovaScore({}), /asOf/);
+  assert.throws(() => calculateNovaScore({}, { asOf: '2026-06-01' }), /asOf/);
+});
+
+test('shares the weight of missing match and physical data', () => {
+  const result = calculateNovaScore({
+    submissions: [{ pointsAwarded: 40, reviewedAt: daysBefore(10) }],
+    videos: [{ impactPoints: 80 }]
+  }, { asOf });
+
+  assert.deepEqual(result.components, { match: null, task: 40, video: 80, physical: null });
+  assert.equal(result.contributions.match.effectiveWeight, 0);
+  assert.equal(result.contributions.physical.effectiveWeight, 0);
+  assert.equal(result.contributions.task.effectiveWeight, 0.625);
+  assert.equal(result.contributions.video.effectiveWeight, 0.375);
+  // 40 * 0.625 + 80 * 0.375
+  assert.equal(result.novaScore, 55);
+});
+
+test('uses every weight when all components have data', () => {
+  const result = calculateNovaScore({
+    performances: [appearance(20, 90, 7), appearance(20, 90, 14), appearance(20, 90, 21)],
+    submissions: [{ pointsAwarded: 60, reviewedAt: daysBefore(5) }],
+    videos: [{ impactPoints: 40 }],
+    combineResults: [{ combineDate: daysBefore(30), overallPhysicalPercentile: 80 }]
+  }, { asOf });
+
+  assert.equal(result.contributions.match.effectiveWeight, 0.45);
+  // 75 * 0.45 + 60 * 0.25 + 40 * 0.15 + 80 * 0.15
+  assert.equal(result.novaScore, 66.8);
+});
+
+test('scores a player without any activity as zero', () => {
+  const result = calculateNovaScore({}, { asOf });
+
+  assert.equal(result.components.task, 0);
+  assert.equal(result.components.video, 0);
+  assert.equal(result.novaScore, 0);
+});
+
+test('blends few appearances with neutral prior matches', () => {
+  // One top-rated appearance against three prior matches at 50
+  const single = calculateNovaScore({ performances: [appearance(20, 90, 3)] }, { asOf });
+  assert.equal(single.details.match.score, 62.5);
+  assert.equal(single.details.match.prior, 37.5);
+  assert.equal(single.details.match.sample, 1);
+
+  // The prior fades as the sample grows
+  const six = calculateNovaScore({
+    performances: Array.from({ length: 6 }, (_, i) => appearance(20, 90, i + 1))
+  }, { asOf });
+  assert.equal(six.details.match.score, 83.3);
+
+  // Minutes weight each appearance: 100 over 90 minutes, 0 over 30
+  const weighted = calculateNovaScore({
+    performances: [appearance(20, 90, 3), appearance(5, 30, 10), appearance(20, 90, 17)]
+  }, { asOf });
+  assert.equal(weighted.details.match.score, 67.9);
+});
+
+test('ignores unrated and unplayed appearances', () => {
+  const result = calculateNovaScore({
+    performances: [appearance(null, 90, 3), appearance(20, 0, 10)]
+  }, { asOf });
+
+  assert.equal(result.components.match, null);
+  assert.equal(result.details.match.sample, 0);
+});
+
+test('caps task and video points at 100 and scales the items', () => {
+  const result = calculateNovaScore({
+    submissions: [
+      { id: 'a', pointsAwarded: 90, reviewedAt: daysBefore(2) },
+      { id: 'b', pointsAwarded: 60, reviewedAt: daysBefore(4) }
+    ],
+    videos: [{ id: 'c', impactPoints: 150 }, { id: 'd', impactPoints: 50 }]
+  }, { asOf });
+
+  assert.equal(result.components.task, 100);
+  assert.equal(result.details.task.points, 150);
+  assert.deepEqual(result.details.task.items.map(item => item.points), [60, 40]);
+  assert.equal(result.details.task.items[0].input.id, 'a');
+
+  assert.equal(result.components.video, 100);
+  assert.deepEqual(result.details.video.items.map(item => item.points), [75, 25]);
+});
+
+test('counts only tasks reviewed inside the window ending at asOf', () => {
+  const result = calculateNovaScore({
+    submissions: [
+      { pointsAwarded: 10, reviewedAt: daysBefore(30) },
+      { pointsAwarded: 20, reviewedAt: daysBefore(90) },
+      { pointsAwarded: 40, reviewedAt: daysBefore(91) },
+      { pointsAwarded: 80, reviewedAt: daysBefore(-1) },
+      { pointsAwarded: null, reviewedAt: daysBefore(5) }
+    ]
+  }, { asOf });
+
+  assert.equal(result.details.task.sample, 2);
+  assert.equal(result.components.task, 30);
+
+  // The same inputs a month later leave only the most recent task
+  const later = calculateNovaScore({
+    submissions: [
+      { pointsAwarded: 10, reviewedAt: daysBefore(30) },
+      { pointsAwarded: 20, reviewedAt: daysBefore(90) }
+    ]
+  }, { asOf: new Date(asOf.getTime() + 30 * 24 * 60 * 60 * 1000) });
+
+  assert.equal(later.components.task, 10);
+});
+
+test('uses only the most recent rated appearances', () => {
+  // Ten top-rated recent appearances, two poor older ones outside the window
+  const performances = [
+    appearance(5, 90, 100),
+    appearance(5, 90, 110),
+    ...Array.from({ length: 10 }, (_, i) => appearance(20, 90, i + 1))
+  ];
+  const result = calculateNovaScore({ performances }, { asOf });
+
+  assert.equal(result.details.match.sample, 10);
+  assert.equal(result.details.match.averageCredits, 20);
+  // 100 * 10/13 + 50 * 3/13
+  assert.equal(result.details.match.score, 88.5);
+});
+
+test('uses the latest combine session for physical', () => {
+  const result = calculateNovaScore({
+    combineResults: [
+      { combineDate: daysBefore(200), overallPhysicalPercentile: 90 },
+      { combineDate: daysBefore(20), overallPhysicalPercentile: null, sprintPercentile: 60, agilityPercentile: 70 }
+    ]
+  }, { asOf });
+
+  assert.equal(result.components.physical, 65);
+  assert.deepEqual(result.details.physical.items.map(item => item.points), [0, 65]);
+});
+
+test('reports the trend against the previous score', () => {
+  const inputs = { submissions: [{ pointsAwarded: 40, reviewedAt: daysBefore(10) }], videos: [{ impactPoints: 80 }] };
+
+  assert.equal(calculateNovaScore(inputs, { asOf }).trend, 0);
+  assert.equal(calculateNovaScore(inputs, { asOf, previousScore: 50 }).trend, 5);
+  assert.equal(calculateNovaScore(inputs, { asOf, previousScore: '57.3' }).trend, -2.3);
+});
+
+test('rejects an unknown weights version', () => {
+  assert.throws(() => calculateNovaScore({}, { asOf, weightsVersion: 'v0' }), /Unknown NovaScore weights version/);
+});
@@ -0,0 +1,107 @@
+// =============================================================================
+// NoverThinker - NovaScore Snapshot Tests
+// =============================================================================
+// Runs snapshotPlayer against a small in-memory stand-in for the tables it
+// touches; today's recalculation is stubbed to return a given score.
+// =============================================================================
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const novaScoreStore = require('../src/utils/novaScoreStore');
+
+let nextScore = null;
+novaScoreStore.recalculateNovaScore = async () => ({
+  novaScore: nextScore,
+  components: { match: null, task: nextScore, video: 0, physical: null },
+  weightsVersion: 'v1'
+});
+
+const { CHANGE_THRESHOLD, snapshotPlayer } = require('../src/utils/novaScoreHistory');
+
+const addDays = (day, days) => new Date(Date.parse(`${day}T00:00:00Z`) + days * 86400000).toISOString().slice(0, 10);
+
+// nova_score_history and the day's pulse_feed_events, keyed by day
+const createDb = (history) => {
+  const events = new Map();
+
+  const query = async (sql, params) => {
+    if (sql.includes('generate_series')) {
+      const today = params[1];
+      const last = [...history.keys()].sort().pop();
+      const days = [];
+      for (let day = last && last < today ? addDays(last, 1) : today; day <= today; day = addDays(day, 1)) {
+        days.push(day);
+      }
+      return { rows: days.map(day => ({ day })) };
+    }
+
+    if (sql.includes('FROM nova_score_history')) {
+      const day = [...history.keys()].filter(d => d < params[1]).sort().pop();
+      return { rows: day ? [{ recorded_date: day, nova_score: history.get(day) }] : [] };
+    }
+
+    if (sql.includes('INSERT INTO nova_score_history')) {
+      history.set(params[1], params[2]);
+      return { rows: [] };
+    }
+
+    if (sql.includes('DELETE FROM pulse_feed_events')) {
+      events.delete(params[1]);
+      return { rows: [] };
+    }
+
+    if (sql.includes('INSERT INTO pulse_feed_events')) {
+      const day = JSON.parse(params[3]).recordedDate;
+      const inserted = !events.has(day);
+      events.set(day, { title: params[1], oldValue: params[4], newValue: params[5], change: params[6], importance: params[7] });
+      return { rows: [{ inserted }] };
+    }
+
+    throw new Error(`Unexpected query: ${sql}`);
+  };
+
+  return { query, events };
+};
+
+const player = { id: 'player-1', created_at: '2026-01-01T00:00:00Z' };
+
+test('announces a change that happens after the first refresh of the day', async () => {
+  const history = new Map([['2026-05-31', 60]]);
+  const db = createDb(history);
+
+  // First run after midnight: barely moved
+  nextScore = 60.5;
+  let summary = await snapshotPlayer(db, player, new Date('2026-06-01T00:30:00Z'));
+  assert.deepEqual(summary, { days: ['2026-06-01'], events: 0 });
+  assert.equal(db.events.size, 0);
+
+  // Later the same day the score jumps past the threshold
+  nextScore = 60 + CHANGE_THRESHOLD + 2;
+  summary = await snapshotPlayer(db, player, new Date('2026-06-01T14:00:00Z'));
+  assert.deepEqual(summary, { days: ['2026-06-01'], events: 1 });
+  assert.equal(history.get('2026-06-01'), nextScore);
+  assert.equal(db.events.get('2026-06-01').oldValue, 60);
+  assert.equal(db.events.get('2026-06-01').change, CHANGE_THRESHOLD + 2);
+});
+
+test('keeps one event per day across refreshes', async () => {
+  const history = new Map([['2026-05-31', 60]]);
+  const db = createDb(history);
+
+  nextScore = 65;
+  assert.equal((await snapshotPlayer(db, player, new Date('2026-06-01T10:00:00Z'))).events, 1);
+
+  // A bigger move updates the day's event instead of adding another
+  nextScore = 68;
+  assert.equal((await snapshotPlayer(db, player, new Date('2026-06-01T11:00:00Z'))).events, 0);
+  assert.equal(db.events.size, 1);
+  assert.equal(db.events.get('2026-06-01').change, 8);
+  assert.equal(db.events.get('2026-06-01').importance, 'high');
+  assert.equal(db.events.get('2026-06-01').title, 'NovaScore up 8');
+
+  // Settling back under the threshold removes it
+  nextScore = 61;
+  assert.equal((await snapshotPlayer(db, player, new Date('2026-06-01T12:00:00Z'))).events, 0);
+  assert.equal(db.events.size, 0);
+});